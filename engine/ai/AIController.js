@@ -35,6 +35,9 @@ class AIController {
         this.accuracyRange = 49 - this.skillLevel * 16;
 
         this.thinkDelay = options.thinkDelay || 1000;
+
+        // Seeded 'ai' stream so a match seed reproduces AI decisions
+        this.random = options.random || new SeededRandom();
     }
 
     /**
@@ -75,8 +78,8 @@ class AIController {
 
         // Apply accuracy offset (original: -t/2+Random()%t)
         const offset = this.accuracyRange > 0
-            ? -this.accuracyRange / 2 + Math.random() * this.accuracyRange
-            : Math.random() * 5 - 2.5; // High skill = small random offset
+            ? -this.accuracyRange / 2 + this.random.next() * this.accuracyRange
+            : this.random.next() * 5 - 2.5; // High skill = small random offset
 
         const adjustedTarget = {
             x: target.x + offset,
@@ -99,6 +102,7 @@ class AIController {
             power: Math.min(trajectory.power * 2, this.config.GAMEPLAY?.MAX_POWER || 35),
             vx: trajectory.vx,
             vy: trajectory.vy,
+            target: adjustedTarget,
             targetType: target.type,
             targetName: target.name || target.type
         };
@@ -109,7 +113,7 @@ class AIController {
      * Precisely matches comp() function strategy selection
      */
     _selectTargetByStrategy(gameState) {
-        const t = Math.floor(Math.random() * 100); // Original: t=Random()%100
+        const t = this.random.int(100); // Original: t=Random()%100
 
         // Default: target king (z_kn) - always called first if cw[n] > 0
         let target = this._z_kn(gameState);
@@ -144,7 +148,7 @@ class AIController {
                     target = this._z_pk(gameState) || target;
                 }
                 // 33% chance to target tower instead
-                if (Math.floor(Math.random() * 3) === 0) {
+                if (this.random.int(3) === 0) {
                     target = this._z_ft(gameState) || target;
                 }
                 break;
@@ -174,9 +178,11 @@ class AIController {
         const castle = gameState.enemyCastle;
         if (!castle || !castle.alive) return null;
 
+        // Throne room when the game knows it, otherwise somewhere up in the castle
+        const king = castle.king || { x: castle.position.x, y: castle.position.y + 20 };
         return {
-            x: castle.position.x,
-            y: castle.position.y + 20, // King is at top of castle
+            x: king.x,
+            y: king.y,
             type: 'king',
             name: 'König',
             priority: 15
@@ -187,15 +193,16 @@ class AIController {
      * z_ka() - Target random enemy cannon
      * Original: do i=Random()%10; while( ka[!n][i].x==-1 );
      *           zx=ka[!n][i].x+10; zy=ka[!n][i].y;
+     * (ka[].x is the cannon's left edge; enemyCannons already holds centers)
      */
     _z_ka(gameState) {
         const cannons = gameState.enemyCannons?.filter(c => c && c.alive !== false);
         if (!cannons || cannons.length === 0) return null;
 
         // Select random cannon (original picks random valid cannon)
-        const cannon = cannons[Math.floor(Math.random() * cannons.length)];
+        const cannon = this.random.pick(cannons);
         return {
-            x: cannon.x + 10,
+            x: cannon.x,
             y: cannon.y,
             type: 'cannon',
             name: 'Kanone',
@@ -206,15 +213,16 @@ class AIController {
     /**
      * z_ft() - Target enemy tower (Förderturm)
      * Original: zx=ft[!n][i].x-15*f; zy=ft[!n][i].y-10;
+     * (ft[].x,y is the tower's foot; enemyTowers already holds centers)
      */
     _z_ft(gameState) {
         const towers = gameState.enemyTowers?.filter(t => t && t.alive !== false);
         if (!towers || towers.length === 0) return null;
 
-        const tower = towers[Math.floor(Math.random() * towers.length)];
+        const tower = this.random.pick(towers);
         return {
             x: tower.x,
-            y: tower.y - 10,
+            y: tower.y,
             type: 'tower',
             name: 'Förderturm',
             priority: 8
@@ -256,7 +264,7 @@ class AIController {
         if (!castle) return null;
 
         // Original randomly picks powder or balls (i=Random()&2)
-        const targetPowder = Math.random() > 0.5;
+        const targetPowder = this.random.next() > 0.5;
 
         return {
             x: castle.position.x + (castle.position.x > 0 ? -12 : 12),
@@ -271,18 +279,22 @@ class AIController {
      * Get AI thinking delay
      */
     getThinkDelay() {
-        return this.thinkDelay + Math.random() * 500;
+        return this.thinkDelay + this.random.next() * 500;
     }
 
     /**
      * Create AI from personality preset
+     * @param {Object} config - Game configuration
+     * @param {string} personalityName - Key of STRATEGIES
+     * @param {Object} options - Extra AI options (e.g. random stream)
      */
-    static fromPersonality(config, personalityName) {
+    static fromPersonality(config, personalityName, options = {}) {
         const preset = AIController.STRATEGIES[personalityName.toUpperCase()];
         if (!preset) {
-            return new AIController(config);
+            return new AIController(config, options);
         }
         return new AIController(config, {
+            ...options,
             strategy: preset.strategy,
             skillLevel: preset.skillLevel
         });
@@ -29,6 +29,13 @@ const EngineConfig = {
         FOG: 0x87CEEB
     },
 
+    // Simulation timing (fixed-step loop)
+    TIMING: {
+        FIXED_STEP: 1 / 60,         // Simulation step in seconds
+        MAX_FRAME_TIME: 0.25,       // Clamp for long frames (tab switch)
+        MAX_STEPS_PER_FRAME: 10     // Drop excess steps instead of spiralling
+    },
+
     // Turn-based game defaults
     TURNS: {
         TIME_LIMIT: 45,
@@ -40,7 +47,8 @@ const EngineConfig = {
         WIDTH: 120,
         DEPTH: 20,
         SEGMENTS: 100,
-        WATER_LEVEL: -10
+        WATER_LEVEL: -10,
+        CRATER_DEPTH: 0.6           // Crater depth per unit of radius, scaled by impact energy
     }
 };
 
@@ -2,17 +2,23 @@
  * Game Engine - Core Engine Class
  * Provides Three.js scene setup, rendering loop, and basic infrastructure
  * Games extend this class with their specific logic
+ *
+ * Headless mode ({ headless: true }) skips the renderer, DOM and input so the
+ * simulation can run in Node; drive it with simulate() instead of start().
  */
 
 class Engine {
     /**
      * Create engine instance
      * @param {Object} config - Game configuration (use createGameConfig)
-     * @param {HTMLElement} container - DOM element for canvas (optional)
+     * @param {Object} options - Engine options
+     * @param {HTMLElement} options.container - DOM element for canvas (optional)
+     * @param {boolean} options.headless - Run without renderer, DOM and input
      */
-    constructor(config, container = null) {
+    constructor(config, options = {}) {
         this.config = config || EngineConfig;
-        this.container = container || document.body;
+        this.headless = !!options.headless;
+        this.container = this.headless ? null : (options.container || document.body);
 
         // Core Three.js objects
         this.scene = null;
@@ -25,6 +31,27 @@ class Engine {
         this.deltaTime = 0;
         this.running = false;
 
+        // Fixed-step simulation (same inputs give the same result at any frame rate)
+        const timing = this.config.TIMING || {};
+        this.fixedStep = timing.FIXED_STEP || 1 / 60;
+        this.maxFrameTime = timing.MAX_FRAME_TIME || 0.25;
+        this.maxStepsPerFrame = timing.MAX_STEPS_PER_FRAME || 10;
+        this.simulationTick = 0;
+        this.simulationTime = 0;
+        this._accumulator = 0;
+        this.interpolationAlpha = 0;
+        this.timeScale = 1; // 0 pauses, 2 runs double speed (replay playback)
+
+        // Simulation-time scheduler (game flow delays, see schedule())
+        this._scheduled = [];
+        this._nextScheduleId = 1;
+
+        // Seeded random streams (terrain, wind, ai, fx) for reproducible matches
+        this.random = new RandomService(this.config.SEED);
+
+        // Game flow events (names listed by the class's static EVENTS)
+        this.events = new EventBus(this.constructor.EVENTS);
+
         // Camera tracking
         this._cameraMode = 'default';
         this._cameraTarget = null;
@@ -45,9 +72,11 @@ class Engine {
     init() {
         this._setupScene();
         this._setupCamera();
-        this._setupRenderer();
-        this._setupLighting();
-        this._setupEventListeners();
+        if (!this.headless) {
+            this._setupRenderer();
+            this._setupLighting();
+            this._setupEventListeners();
+        }
 
         // Initialize camera vectors
         const camConfig = this.config.CAMERA;
@@ -64,7 +93,7 @@ class Engine {
         this._cameraDefaultPos = this._cameraTarget.clone();
         this._cameraDefaultLookAt = this._cameraLookAt.clone();
 
-        Debug.info('Engine initialized', {
+        Debug.info('Engine initialized', this.headless ? { headless: true } : {
             renderer: this.renderer.info.render,
             pixelRatio: this.renderer.getPixelRatio()
         });
@@ -98,7 +127,7 @@ class Engine {
      */
     _setupCamera() {
         const camConfig = this.config.CAMERA;
-        const aspect = window.innerWidth / window.innerHeight;
+        const aspect = this.headless ? 16 / 9 : window.innerWidth / window.innerHeight;
 
         this.camera = new THREE.PerspectiveCamera(
             camConfig.FOV,
@@ -197,15 +226,76 @@ class Engine {
         this.renderer.setSize(width, height);
     }
 
+    /**
+     * Event names this engine emits (null = untyped, any name allowed)
+     * @returns {string[]|null}
+     */
+    static get EVENTS() {
+        return null;
+    }
+
+    /**
+     * Subscribe to an engine event
+     * @param {string} event - Event name
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} Call to unsubscribe
+     */
+    on(event, handler) {
+        return this.events.on(event, handler);
+    }
+
+    /**
+     * Subscribe for the next occurrence only
+     * @param {string} event - Event name
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} Call to unsubscribe
+     */
+    once(event, handler) {
+        return this.events.once(event, handler);
+    }
+
+    /**
+     * Unsubscribe a handler
+     * @param {string} event - Event name
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(event, handler) {
+        this.events.off(event, handler);
+    }
+
+    /**
+     * Notify subscribers of an event
+     * @param {string} event - Event name
+     * @param {Object} payload - Event data
+     */
+    emit(event, payload) {
+        this.events.emit(event, payload);
+    }
+
+    /**
+     * Set the match seed (call before init so the map uses it)
+     * @param {number|string} seed - Numeric seed or any string
+     */
+    setSeed(seed) {
+        this.random.reseed(seed);
+        return this;
+    }
+
     /**
      * Start the game loop
      */
     start() {
         if (this.running) return;
 
+        if (this.headless) {
+            Debug.warn('Headless engine has no frame loop - use simulate()');
+            return;
+        }
+
         this.running = true;
         this.clock = new THREE.Clock();
         this.lastTime = 0;
+        this._accumulator = 0;
 
         Debug.info('Engine started');
         this._animate();
@@ -221,32 +311,136 @@ class Engine {
 
     /**
      * Main animation loop
+     * Accumulates real frame time and advances the simulation in fixed steps,
+     * then renders with the leftover fraction used for interpolation
      */
     _animate() {
         if (!this.running) return;
 
         requestAnimationFrame(this._boundAnimate);
 
-        // Calculate delta time
+        // Calculate frame time
         const currentTime = this.clock.getElapsedTime();
         this.deltaTime = currentTime - this.lastTime;
         this.lastTime = currentTime;
 
-        // Cap delta time (prevents huge jumps after tab switch)
-        this.deltaTime = Math.min(this.deltaTime, 0.1);
+        // Run fixed simulation steps, then blend visuals between them
+        this.advance(this.deltaTime * this.timeScale);
+        this.interpolate(this.interpolationAlpha);
 
-        // Update game logic (override in subclass)
-        if (this.deltaTime > 0) {
-            this.update(this.deltaTime);
-        }
-
-        // Update camera
-        this._updateCamera(this.deltaTime);
+        // Update camera (visual only, runs at frame rate)
+        this._updateCamera(Math.min(this.deltaTime, 0.1));
 
         // Always render
+        this._render();
+    }
+
+    /**
+     * Draw the scene (override for other views of the same scene)
+     */
+    _render() {
         this.renderer.render(this.scene, this.camera);
     }
 
+    /**
+     * Feed elapsed real time into the fixed-step simulation
+     * @param {number} frameTime - Seconds since the last frame
+     * @returns {number} Number of simulation steps taken
+     */
+    advance(frameTime) {
+        // Cap frame time (prevents huge jumps after tab switch)
+        this._accumulator += Math.min(frameTime, this.maxFrameTime);
+
+        let steps = 0;
+        while (this._accumulator >= this.fixedStep && steps < this.maxStepsPerFrame) {
+            this.step();
+            this._accumulator -= this.fixedStep;
+            steps++;
+        }
+
+        // Too far behind: drop the backlog rather than spiral
+        if (steps >= this.maxStepsPerFrame) {
+            this._accumulator = 0;
+        }
+
+        this.interpolationAlpha = this._accumulator / this.fixedStep;
+        return steps;
+    }
+
+    /**
+     * Advance the simulation by exactly one fixed step
+     */
+    step() {
+        this.update(this.fixedStep);
+        this.simulationTick++;
+        this.simulationTime += this.fixedStep;
+        this._runScheduled();
+    }
+
+    /**
+     * Run the simulation as fast as possible, without rendering
+     * (headless matches, tests, balancing runs)
+     * @param {Object} options
+     * @param {Function} options.until - Stop as soon as this returns true
+     * @param {number} options.maxTime - Simulated seconds before giving up
+     * @returns {number} Number of steps taken
+     */
+    simulate({ until = () => false, maxTime = 600 } = {}) {
+        const maxSteps = Math.ceil(maxTime / this.fixedStep);
+        let steps = 0;
+        while (steps < maxSteps && !until()) {
+            this.step();
+            steps++;
+        }
+        return steps;
+    }
+
+    /**
+     * Run a callback after a delay in simulation time
+     * Use instead of setTimeout for anything that affects the game, so delays
+     * stay deterministic and headless runs don't wait in real time.
+     * Due times are whole ticks, so a resumed game fires on the same tick.
+     * @param {Function} fn - Callback
+     * @param {number} delayMs - Delay in milliseconds of simulation time
+     * @returns {number} Handle for cancelScheduled()
+     */
+    schedule(fn, delayMs) {
+        const id = this._nextScheduleId++;
+        const steps = Math.ceil(delayMs / 1000 / this.fixedStep - 1e-9);
+        this._scheduled.push({ id, fn, tick: this.simulationTick + Math.max(0, steps) });
+        return id;
+    }
+
+    /**
+     * Cancel a scheduled callback (safe with null or already-run handles)
+     * @param {number} id - Handle from schedule()
+     */
+    cancelScheduled(id) {
+        this._scheduled = this._scheduled.filter(task => task.id !== id);
+    }
+
+    /**
+     * Whether a scheduled callback is still waiting to run
+     * @param {number} id - Handle from schedule()
+     * @returns {boolean}
+     */
+    isScheduled(id) {
+        return this._scheduled.some(task => task.id === id);
+    }
+
+    /**
+     * Run scheduled callbacks that are due, in order
+     * @private
+     */
+    _runScheduled() {
+        const due = this._scheduled.filter(task => task.tick <= this.simulationTick);
+        if (due.length === 0) return;
+
+        this._scheduled = this._scheduled.filter(task => task.tick > this.simulationTick);
+        due.sort((a, b) => a.tick - b.tick || a.id - b.id);
+        due.forEach(task => task.fn());
+    }
+
     /**
      * Update camera position and look-at (smooth tracking)
      */
@@ -288,19 +482,32 @@ class Engine {
 
     /**
      * Update game logic (override in game class)
-     * @param {number} deltaTime - Time since last frame in seconds
+     * @param {number} deltaTime - Fixed simulation step in seconds
      */
     update(deltaTime) {
         // Override in subclass
     }
 
+    /**
+     * Blend rendered objects between the last two simulation steps
+     * (override in game class)
+     * @param {number} alpha - Fraction of a step since the last update (0-1)
+     */
+    interpolate(alpha) {
+        // Override in subclass
+    }
+
     /**
      * Clean up all resources
      */
     dispose() {
         this.stop();
+        this._scheduled = [];
+        this.events.clear();
 
-        window.removeEventListener('resize', this._boundResize);
+        if (!this.headless) {
+            window.removeEventListener('resize', this._boundResize);
+        }
 
         // Dispose scene contents
         if (this.scene) {
@@ -0,0 +1,115 @@
+/**
+ * Game Engine - Event Bus
+ * Publish/subscribe for game flow events (turns, shots, damage, game over)
+ *
+ * A bus created with a list of event names is "typed": subscribing to or
+ * emitting any other name throws, so a typo fails loudly instead of silently
+ * never firing.
+ */
+
+class EventBus {
+    /**
+     * Create event bus
+     * @param {string[]} eventNames - Allowed events (null allows any name)
+     */
+    constructor(eventNames = null) {
+        this.eventNames = eventNames ? new Set(eventNames) : null;
+        this.muted = false;
+        this._handlers = {};
+    }
+
+    /**
+     * Throw on events the bus doesn't know
+     * @private
+     */
+    _check(event) {
+        if (this.eventNames && !this.eventNames.has(event)) {
+            throw new Error(`Unknown event: ${event}`);
+        }
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} event - Event name
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} Call to unsubscribe
+     */
+    on(event, handler) {
+        this._check(event);
+        (this._handlers[event] = this._handlers[event] || []).push(handler);
+        return () => this.off(event, handler);
+    }
+
+    /**
+     * Subscribe for the next occurrence only
+     * @param {string} event - Event name
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} Call to unsubscribe
+     */
+    once(event, handler) {
+        const wrapper = payload => {
+            this.off(event, wrapper);
+            handler(payload);
+        };
+        return this.on(event, wrapper);
+    }
+
+    /**
+     * Unsubscribe a handler
+     * @param {string} event - Event name
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(event, handler) {
+        const handlers = this._handlers[event];
+        if (!handlers) return;
+        this._handlers[event] = handlers.filter(h => h !== handler);
+    }
+
+    /**
+     * Call every handler of an event
+     * A failing handler is logged and skipped - listeners can't break the game loop
+     * @param {string} event - Event name
+     * @param {Object} payload - Event data
+     */
+    emit(event, payload = {}) {
+        this._check(event);
+        if (this.muted) return;
+
+        const handlers = this._handlers[event];
+        if (!handlers || handlers.length === 0) return;
+
+        handlers.slice().forEach(handler => {
+            try {
+                handler(payload);
+            } catch (e) {
+                Debug.error(`Event handler for "${event}" failed`, { error: e.message });
+            }
+        });
+    }
+
+    /**
+     * Run a function without emitting any events (e.g. while rebuilding state)
+     * @param {Function} fn
+     */
+    silently(fn) {
+        const wasMuted = this.muted;
+        this.muted = true;
+        try {
+            fn();
+        } finally {
+            this.muted = wasMuted;
+        }
+    }
+
+    /**
+     * Remove all handlers
+     */
+    clear() {
+        this._handlers = {};
+    }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.EventBus = EventBus;
+}
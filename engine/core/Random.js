@@ -0,0 +1,180 @@
+/**
+ * Game Engine - Seeded Random Numbers
+ * Deterministic PRNG with independent named streams
+ *
+ * Every subsystem draws from its own stream (terrain, wind, ai, fx), so
+ * spawning more explosion particles never shifts the wind sequence or the
+ * AI's decisions. One match seed reproduces the whole match.
+ */
+
+class SeededRandom {
+    /**
+     * Create generator
+     * @param {number} seed - 32-bit integer seed (random if omitted)
+     */
+    constructor(seed) {
+        this.state = (seed === undefined ? RandomService.randomSeed() : seed) >>> 0;
+    }
+
+    /**
+     * Next float in [0, 1) - mulberry32
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Float in [min, max)
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * Integer in [0, max)
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Random element of an array
+     */
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+
+    /**
+     * Random direction, 1 or -1
+     */
+    sign() {
+        return this.next() > 0.5 ? 1 : -1;
+    }
+}
+
+class RandomService {
+    /**
+     * Create random service for a match
+     * @param {number|string} seed - Match seed (random if omitted)
+     */
+    constructor(seed) {
+        this.streams = {};
+        this.reseed(seed);
+    }
+
+    /**
+     * Stream names used by the engine and games
+     */
+    static get STREAMS() {
+        return ['terrain', 'wind', 'ai', 'fx', 'economy'];
+    }
+
+    /**
+     * Fresh non-deterministic seed
+     * @returns {number}
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 4294967296) >>> 0;
+    }
+
+    /**
+     * Hash a string to a 32-bit integer (FNV-1a)
+     * @param {string} str
+     * @returns {number}
+     */
+    static hash(str) {
+        let h = 0x811C9DC5;
+        for (let i = 0; i < str.length; i++) {
+            h ^= str.charCodeAt(i);
+            h = Math.imul(h, 0x01000193);
+        }
+        return h >>> 0;
+    }
+
+    /**
+     * Normalize a seed (numbers kept, strings like "castle42" hashed)
+     * @param {number|string} seed
+     * @returns {number}
+     */
+    static normalizeSeed(seed) {
+        if (seed === undefined || seed === null || seed === '') {
+            return RandomService.randomSeed();
+        }
+        const numeric = Number(seed);
+        if (Number.isInteger(numeric)) return numeric >>> 0;
+        return RandomService.hash(String(seed));
+    }
+
+    /**
+     * Reset all streams from a new match seed
+     * @param {number|string} seed - Match seed (random if omitted)
+     */
+    reseed(seed) {
+        this.seed = RandomService.normalizeSeed(seed);
+
+        // Rewind existing streams in place - subsystems keep their references
+        Object.keys(this.streams).forEach(name => {
+            this.streams[name].state = this._streamSeed(name);
+        });
+
+        Debug.info('Random seed', { seed: this.seed });
+    }
+
+    /**
+     * Starting state of a named stream for the current seed
+     * @private
+     */
+    _streamSeed(name) {
+        return RandomService.hash(`${this.seed}:${name}`);
+    }
+
+    /**
+     * Get (or create) a named stream
+     * @param {string} name
+     * @returns {SeededRandom}
+     */
+    stream(name) {
+        if (!this.streams[name]) {
+            this.streams[name] = new SeededRandom(this._streamSeed(name));
+        }
+        return this.streams[name];
+    }
+
+    /**
+     * Current position of every stream (for save games)
+     * @returns {Object} Stream name -> generator state
+     */
+    getState() {
+        const state = {};
+        Object.keys(this.streams).forEach(name => {
+            state[name] = this.streams[name].state;
+        });
+        return state;
+    }
+
+    /**
+     * Continue streams from a saved position
+     * @param {Object} state - From getState()
+     */
+    setState(state) {
+        Object.keys(state).forEach(name => {
+            this.stream(name).state = state[name] >>> 0;
+        });
+    }
+
+    get terrain() { return this.stream('terrain'); }
+    get wind() { return this.stream('wind'); }
+    get ai() { return this.stream('ai'); }
+    get fx() { return this.stream('fx'); }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.SeededRandom = SeededRandom;
+    window.RandomService = RandomService;
+}
@@ -16,6 +16,7 @@ class Entity {
         this.scene = scene;
         this.group = new THREE.Group();
         this.position = new THREE.Vector3();
+        this.previousPosition = new THREE.Vector3();
         this.alive = true;
         this.disposed = false;
 
@@ -46,9 +47,27 @@ class Entity {
      */
     setPosition(x, y, z) {
         this.position.set(x, y, z);
+        this.previousPosition.copy(this.position);
         this.syncPosition();
     }
 
+    /**
+     * Remember current position as the start of the next simulation step
+     * (call at the top of update for entities that move)
+     */
+    storePreviousPosition() {
+        this.previousPosition.copy(this.position);
+    }
+
+    /**
+     * Place group between the previous and current simulation step
+     * @param {number} alpha - Interpolation factor (0-1)
+     */
+    interpolate(alpha) {
+        if (!this.group) return;
+        this.group.position.lerpVectors(this.previousPosition, this.position, alpha);
+    }
+
     /**
      * Get world position of entity
      * @returns {THREE.Vector3}
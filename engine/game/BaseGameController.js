@@ -4,17 +4,22 @@
  * Extended by specific game implementations (BallerGame, WormsGame)
  */
 
+// Bump when the save game format changes
+const SNAPSHOT_VERSION = 1;
+
 class BaseGameController extends Engine {
     /**
      * Create game controller
      * @param {Object} config - Game configuration
+     * @param {Object} options - Engine options (e.g. { headless: true }), plus:
+     * @param {string[]} options.playerNames - Name per player/team for the league table
      */
-    constructor(config) {
-        super(config);
+    constructor(config, options = {}) {
+        super(config, options);
 
         // Core systems (null until initialized)
         this.terrain = null;
-        this.projectile = null;
+        this.projectiles = [];
         this.particles = null;
         this.trajectoryPreview = null;
 
@@ -26,14 +31,67 @@ class BaseGameController extends Engine {
             power: 0,
             currentWeapon: 0,
             wind: { strength: 0, direction: 1 },
-            ammo: []
+            ammo: [],
+            turn: 1
         };
 
-        // Turn management
+        // Replays: current match recording, and the player while watching one
+        this.replay = null;
+        this.replayPlayer = null;
+        this._matchStartTick = 0;
+
+        // Save slots (localStorage unless options.storage is given)
+        this.saves = new SaveStore(this.constructor.name, options.storage);
+
+        // League table shared by all games, and who is playing this match
+        this.league = new League(options.storage);
+        this.playerNames = options.playerNames || null;
+
+        // Turn management (simulation-time schedule handles, see Engine.schedule)
         this._pendingTurnTimeout = null;
         this._aiActionTimeout = null;
     }
 
+    /**
+     * The shot in flight: the first of them when several fly at once
+     * (e.g. an air strike), null when none does
+     * @returns {BaseProjectile|null}
+     */
+    get projectile() {
+        return this.projectiles[0] || null;
+    }
+
+    /**
+     * Fire a single shot; replaces any in flight (null clears them)
+     * @param {BaseProjectile|null} projectile
+     */
+    set projectile(projectile) {
+        this.projectiles = projectile ? [projectile] : [];
+    }
+
+    /**
+     * Game flow events - subscribe with game.on(name, handler)
+     *
+     * turnStart      { turn, player, ... }             a turn begins (match start, turn change, load)
+     * turnEnd        { turn, player, ... }             a turn is over (impact settled or timer ran out)
+     * fire           { turn, player, weapon, power, projectile }
+     * impact         { position, weapon, outOfBounds, energy } projectile landed (before damage)
+     * damage         { entity, amount, health, cause, position?, weapon? }
+     * entityKilled   { entity, cause, position?, weapon? }
+     * windChanged    { wind }                          new wind for the turn
+     * weaponSelected { index, weapon }
+     * gameOver       { winner, message, details }      winner 0 = draw, 1+ = player/team
+     *
+     * Games add their own fields to the turn payloads (see _turnInfo).
+     * @returns {string[]}
+     */
+    static get EVENTS() {
+        return [
+            'turnStart', 'turnEnd', 'fire', 'impact', 'damage',
+            'entityKilled', 'windChanged', 'weaponSelected', 'gameOver'
+        ];
+    }
+
     /**
      * Initialize game - override to add game-specific init
      */
@@ -41,9 +99,14 @@ class BaseGameController extends Engine {
         super.init();
         this._initSystems();
         this._initWorld();
-        this._initControls();
+        if (!this.headless) {
+            this._initControls();
+            this._initReplayControls();
+            this._initSaveControls();
+        }
         this._initAmmo();
         this._randomizeWind();
+        this._beginRecording();
         return this;
     }
 
@@ -52,7 +115,9 @@ class BaseGameController extends Engine {
      * @protected
      */
     _initSystems() {
-        this.particles = new ParticleSystem(this.scene, this.config);
+        this.particles = new ParticleSystem(this.scene, this.config, this.random.fx, {
+            enabled: !this.headless
+        });
     }
 
     /**
@@ -109,11 +174,13 @@ class BaseGameController extends Engine {
      * @protected
      */
     _randomizeWind() {
+        const rng = this.random.wind;
         this.state.wind = {
-            strength: Math.random() * this.config.PHYSICS.WIND_MAX,
-            direction: Math.random() > 0.5 ? 1 : -1
+            strength: rng.next() * this.config.PHYSICS.WIND_MAX,
+            direction: rng.sign()
         };
         this._updateUI();
+        this.emit('windChanged', { wind: { ...this.state.wind } });
     }
 
     /**
@@ -128,12 +195,15 @@ class BaseGameController extends Engine {
         this.state.currentWeapon = idx;
 
         // Update weapon buttons
-        document.querySelectorAll('.weapon-btn').forEach((btn, i) => {
-            btn.classList.toggle('active', i === idx);
-            btn.classList.toggle('disabled', this.state.ammo[i] === 0);
-        });
+        if (!this.headless) {
+            document.querySelectorAll('.weapon-btn').forEach((btn, i) => {
+                btn.classList.toggle('active', i === idx);
+                btn.classList.toggle('disabled', this.state.ammo[i] === 0);
+            });
+        }
 
-        Debug.log(`Selected weapon: ${this.config.WEAPONS[idx].name}`);
+        Debug.debug(`Selected weapon: ${this.config.WEAPONS[idx].name}`);
+        this.emit('weaponSelected', { index: idx, weapon: this.config.WEAPONS[idx] });
     }
 
     /**
@@ -141,7 +211,7 @@ class BaseGameController extends Engine {
      * @protected
      */
     _startCharge() {
-        if (this.state.gameOver || this.projectile) return;
+        if (this.state.gameOver || this.projectile || this.isReplaying()) return;
         this.state.charging = true;
         this.state.power = 0;
     }
@@ -195,32 +265,40 @@ class BaseGameController extends Engine {
     }
 
     /**
-     * Handle projectile impact
+     * Handle projectile impact; the turn goes on once the last shot in
+     * flight has landed
      * @protected
+     * @param {BaseProjectile} projectile - The shot that landed (default: the first in flight)
      */
-    _onProjectileHit() {
-        if (!this.projectile) return;
+    _onProjectileHit(projectile = this.projectile) {
+        if (!projectile || !this.projectiles.includes(projectile)) return;
 
-        const pos = this.projectile.position;
-        const weapon = this.projectile.weapon;
+        const pos = projectile.position;
+        const weapon = projectile.weapon;
+        const impact = this._impactOf(projectile);
+
+        this.emit('impact', {
+            position: pos.clone(), weapon, outOfBounds: !!projectile.outOfBounds, energy: impact.energy
+        });
 
-        if (!this.projectile.outOfBounds) {
+        if (!projectile.outOfBounds) {
             // Create explosion
             this.particles.createExplosion(pos, {
                 radius: weapon.radius,
                 count: Math.floor(weapon.radius * 8)
             });
 
-            // Damage terrain
-            this.terrain.damage(pos, weapon.radius);
+            // Damage terrain: the harder the hit, the deeper the crater
+            this.terrain.damage(pos, weapon.radius, this.config.TERRAIN.CRATER_DEPTH * impact.scale);
 
             // Apply entity damage (override for game-specific entities)
-            this._applyDamageToEntities(pos, weapon);
+            this._applyDamageToEntities(pos, weapon, impact);
         }
 
         // Cleanup
-        this.projectile.dispose();
-        this.projectile = null;
+        projectile.dispose();
+        this.projectiles = this.projectiles.filter(p => p !== projectile);
+        if (this.projectiles.length > 0) return;
         this.resetCamera();
 
         // Check victory
@@ -228,27 +306,87 @@ class BaseGameController extends Engine {
 
         // Schedule next turn
         if (!this.state.gameOver) {
-            this._pendingTurnTimeout = setTimeout(
+            this._pendingTurnTimeout = this.schedule(
                 () => this._nextTurn(),
                 this.config.TURNS.DELAY_AFTER_IMPACT
             );
         }
     }
 
+    /**
+     * How hard a projectile hits: its kinetic energy and the weapon's crater
+     * and damage scale at that energy
+     * @protected
+     * @param {BaseProjectile} projectile
+     * @returns {Object} {energy, scale}
+     */
+    _impactOf(projectile) {
+        const energy = projectile.getKineticEnergy();
+        return { energy, scale: BaseGameController.impactScale(projectile.weapon, energy) };
+    }
+
+    /**
+     * A weapon's energy-to-crater curve, weapon.crater = {energy, exponent, min, max}:
+     * (energy / crater.energy) ^ exponent, kept within min..max. Exponent 0.5
+     * grows the crater with impact speed, like the original's hole
+     * @param {Object} weapon - Weapon data
+     * @param {number} energy - Kinetic energy at impact
+     * @returns {number} Crater depth and damage multiplier, 1 without a curve
+     */
+    static impactScale(weapon, energy) {
+        const curve = weapon && weapon.crater;
+        if (!curve) return 1;
+        return Utils.clamp(Math.pow(Math.max(0, energy) / curve.energy, curve.exponent), curve.min, curve.max);
+    }
+
     /**
      * Apply damage to game entities - override in subclass
      * @abstract
      * @protected
      * @param {THREE.Vector3} position - Impact position
      * @param {Object} weapon - Weapon data
+     * @param {Object} impact - From _impactOf(); scale multiplies the damage
      */
-    _applyDamageToEntities(position, weapon) {
+    _applyDamageToEntities(position, weapon, impact) {
         throw new Error('_applyDamageToEntities must be implemented by subclass');
     }
 
     /**
-     * Update game loop
-     * @param {number} deltaTime - Time since last frame
+     * Damage an entity and emit damage / entityKilled
+     * @protected
+     * @param {DamageableEntity} entity - Castle, worm, ...
+     * @param {number} amount - Damage to apply
+     * @param {Object} info - Event fields: cause ('impact', 'water', ...), position, weapon
+     */
+    _damageEntity(entity, amount, info = {}) {
+        const healthBefore = entity.health;
+        const wasAlive = entity.alive;
+        entity.takeDamage(amount, info.position);
+        this._reportDamage(entity, healthBefore, wasAlive, info);
+    }
+
+    /**
+     * Emit damage / entityKilled for health an entity lost since healthBefore
+     * (use directly for damage the entity applies itself, e.g. fall damage)
+     * @protected
+     * @param {DamageableEntity} entity
+     * @param {number} healthBefore - Health before the damage
+     * @param {boolean} wasAlive - Alive before the damage
+     * @param {Object} info - Event fields (see _damageEntity)
+     */
+    _reportDamage(entity, healthBefore, wasAlive, info = {}) {
+        const amount = healthBefore - entity.health;
+        if (amount > 0) {
+            this.emit('damage', { entity, amount, health: entity.health, ...info });
+        }
+        if (wasAlive && !entity.alive) {
+            this.emit('entityKilled', { entity, ...info });
+        }
+    }
+
+    /**
+     * Update game loop (one fixed simulation step)
+     * @param {number} deltaTime - Fixed step in seconds
      */
     update(deltaTime) {
         // Update charging
@@ -279,6 +417,14 @@ class BaseGameController extends Engine {
         this._updateUI();
     }
 
+    /**
+     * Interpolate moving objects for rendering
+     * @param {number} alpha - Fraction of a step since the last update
+     */
+    interpolate(alpha) {
+        this.projectiles.forEach(p => p.interpolate(alpha));
+    }
+
     /**
      * Get charge rate (override for game-specific rates)
      * @protected
@@ -289,20 +435,20 @@ class BaseGameController extends Engine {
     }
 
     /**
-     * Update projectile physics
+     * Update projectile physics; the camera follows the first shot in flight
      * @protected
      * @param {number} deltaTime
      */
     _updateProjectile(deltaTime) {
-        const active = this.projectile.update(deltaTime, this.terrain, this.state.wind);
+        this.projectiles.slice().forEach(projectile => {
+            if (!projectile.update(deltaTime, this.terrain, this.state.wind)) {
+                this._onProjectileHit(projectile);
+            }
+        });
 
-        if (active) {
+        if (this.projectile) {
             this.setCameraTarget(this.projectile.position);
         }
-
-        if (!active) {
-            this._onProjectileHit();
-        }
     }
 
     /**
@@ -319,11 +465,23 @@ class BaseGameController extends Engine {
      * @protected
      */
     _prepareNextTurn() {
+        this.emit('turnEnd', this._turnInfo());
         this._clearTimeouts();
+        this.state.turn++;
         this.state.turnTimer = this.config.TURNS.TIME_LIMIT;
         this._randomizeWind();
     }
 
+    /**
+     * Turn fields for turnStart / turnEnd / fire events (override to add the
+     * active player, worm, ...)
+     * @protected
+     * @returns {Object}
+     */
+    _turnInfo() {
+        return { turn: this.state.turn };
+    }
+
     /**
      * Check victory conditions - override in subclass
      * @abstract
@@ -338,15 +496,65 @@ class BaseGameController extends Engine {
      * @protected
      * @param {number} winner - Winner index (0 for draw, 1+ for player)
      * @param {string} customMessage - Optional custom message
+     * @param {string} details - Optional line explaining how the match was decided
      */
-    _showVictory(winner, customMessage = null) {
+    _showVictory(winner, customMessage = null, details = '') {
+        const message = customMessage || (winner > 0 ? `Player ${winner} Wins!` : 'Draw!');
+        this._recordResult(winner);
+        this.emit('gameOver', { winner, message, details });
+        if (this.headless) return;
+
         const modal = document.getElementById('victoryModal');
         const text = document.getElementById('victoryText');
         if (modal && text) {
-            text.textContent = customMessage ||
-                (winner > 0 ? `Player ${winner} Wins!` : 'Draw!');
+            text.textContent = message;
             modal.classList.remove('hidden');
         }
+        const detailsText = document.getElementById('victoryDetails');
+        if (detailsText) detailsText.textContent = details;
+    }
+
+    /**
+     * Names of the players or teams in this match
+     * @returns {string[]} options.playerNames, or 'Player 1', 'Player 2'... by default
+     */
+    getPlayerNames() {
+        return this.playerNames || ['Player 1', 'Player 2'];
+    }
+
+    /**
+     * Enter a finished two-player match in the league table. Draws, watched
+     * replays and players missing from the roster don't count
+     * @protected
+     * @param {number} winner - 0 = draw, 1+ = player/team
+     */
+    _recordResult(winner) {
+        const names = this.getPlayerNames();
+        if (winner <= 0 || names.length !== 2 || this.isReplaying()) return;
+
+        const loser = names[2 - winner];
+        if (this.league.record(names[winner - 1], loser)) {
+            Debug.info('League table updated', { winner: names[winner - 1], loser });
+        }
+    }
+
+    /**
+     * Show a short message over the game (e.g. why a shot was refused)
+     * @protected
+     * @param {string} text - Message
+     * @param {number} duration - Display time in ms
+     */
+    _showNotice(text, duration = 2000) {
+        Debug.info(text);
+        if (this.headless) return;
+
+        const notice = document.getElementById('notice');
+        if (!notice) return;
+
+        notice.textContent = text;
+        notice.classList.remove('hidden');
+        clearTimeout(this._noticeTimer);
+        this._noticeTimer = setTimeout(() => notice.classList.add('hidden'), duration);
     }
 
     /**
@@ -364,6 +572,8 @@ class BaseGameController extends Engine {
      * @param {Object} elements - Map of element IDs to values
      */
     _updateUIElements(elements) {
+        if (this.headless) return;
+
         for (const [id, value] of Object.entries(elements)) {
             const el = document.getElementById(id);
             if (el) el.textContent = value;
@@ -383,11 +593,11 @@ class BaseGameController extends Engine {
      */
     _clearTimeouts() {
         if (this._pendingTurnTimeout) {
-            clearTimeout(this._pendingTurnTimeout);
+            this.cancelScheduled(this._pendingTurnTimeout);
             this._pendingTurnTimeout = null;
         }
         if (this._aiActionTimeout) {
-            clearTimeout(this._aiActionTimeout);
+            this.cancelScheduled(this._aiActionTimeout);
             this._aiActionTimeout = null;
         }
     }
@@ -401,6 +611,7 @@ class BaseGameController extends Engine {
         this.state.gameOver = false;
         this.state.charging = false;
         this.state.power = 0;
+        this.state.turn = 1;
     }
 
     /**
@@ -414,14 +625,14 @@ class BaseGameController extends Engine {
     /**
      * Common restart logic (call from subclass restart)
      * @protected
+     * @param {number|string} seed - Seed for the new match (random if omitted)
      */
-    _baseRestart() {
+    _baseRestart(seed) {
         this._clearTimeouts();
+        this.random.reseed(seed);
 
-        if (this.projectile) {
-            this.projectile.dispose();
-            this.projectile = null;
-        }
+        this.projectiles.forEach(p => p.dispose());
+        this.projectiles = [];
 
         this.particles.clear();
         if (this.trajectoryPreview) {
@@ -429,19 +640,386 @@ class BaseGameController extends Engine {
         }
 
         this._resetGameState();
+        this._beginRecording();
 
         // Hide victory modal
+        if (this.headless) return;
         const modal = document.getElementById('victoryModal');
         if (modal) modal.classList.add('hidden');
     }
 
+    /**
+     * One simulation step - feeds replay inputs due at this tick first
+     */
+    step() {
+        if (this.replayPlayer) {
+            this.replayPlayer.feed(this._matchTick());
+        }
+        super.step();
+    }
+
+    /**
+     * Ticks since the current match started
+     * @protected
+     */
+    _matchTick() {
+        return this.simulationTick - this._matchStartTick;
+    }
+
+    /**
+     * Start a fresh replay log for the current match
+     * @protected
+     */
+    _beginRecording() {
+        this._matchStartTick = this.simulationTick;
+        this.replay = new Replay({
+            game: this.constructor.name,
+            seed: this.random.seed,
+            configHash: Replay.hashConfig(this.config)
+        });
+    }
+
+    /**
+     * Record a player input (ignored while watching a replay)
+     * @protected
+     * @param {string} type - Input type
+     * @param {Object} data - Everything needed to apply it again
+     */
+    _recordInput(type, data = {}) {
+        if (this.replayPlayer || !this.replay) return;
+        this.replay.record(this._matchTick(), this.state.turn, type, data);
+    }
+
+    /**
+     * Apply a recorded input during playback - override in subclass
+     * @abstract
+     * @protected
+     * @param {Object} event - Replay event {tick, turn, type, ...data}
+     */
+    _applyReplayInput(event) {
+        throw new Error('_applyReplayInput must be implemented by subclass');
+    }
+
+    /**
+     * Whether a replay is driving the game (live input and AI are off)
+     * @returns {boolean}
+     */
+    isReplaying() {
+        return this.replayPlayer !== null;
+    }
+
+    /**
+     * Current match replay as JSON text
+     * @returns {string}
+     */
+    exportReplay() {
+        return JSON.stringify(this.replay);
+    }
+
+    /**
+     * Watch a replay from the start
+     * @param {Replay|string|Object} replay - Replay or its JSON (default: this match)
+     * @returns {ReplayPlayer} Player with play/pause/seek/speed controls
+     */
+    playReplay(replay = this.replayPlayer ? this.replayPlayer.replay : this.replay) {
+        const log = replay instanceof Replay ? replay : Replay.fromJSON(replay);
+        this.stopReplay();
+        return new ReplayPlayer(this, log).start();
+    }
+
+    /**
+     * Stop watching; the match continues live from the current point
+     */
+    stopReplay() {
+        if (this.replayPlayer) {
+            this.replayPlayer.stop();
+        }
+    }
+
+    /**
+     * Wire the optional replay panel (#replayPanel) if the page has one
+     * @protected
+     */
+    _initReplayControls() {
+        const bind = (id, event, handler) => {
+            const el = document.getElementById(id);
+            if (!el) return;
+            el.addEventListener(event, e => {
+                handler(e);
+                // Don't let Space (fire) re-trigger a focused button
+                if (event === 'click') el.blur();
+            });
+        };
+
+        // Save the current match as a .json download
+        bind('replaySave', 'click', () => {
+            const blob = new Blob([this.exportReplay()], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `${this.constructor.name}-${this.random.seed}.replay.json`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+        });
+
+        // Load and watch a replay file
+        bind('replayFile', 'change', e => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+            file.text()
+                .then(text => this.playReplay(text))
+                .catch(err => Debug.error('Could not load replay', { error: err.message }));
+        });
+
+        bind('replayPlay', 'click', () => {
+            const player = this.replayPlayer;
+            if (!player) return;
+            if (player.playing) {
+                player.pause();
+            } else {
+                player.play();
+            }
+        });
+
+        bind('replaySpeed', 'change', e => {
+            if (this.replayPlayer) this.replayPlayer.setSpeed(parseFloat(e.target.value));
+        });
+
+        bind('replaySeek', 'click', () => {
+            const turn = parseInt(document.getElementById('replayTurn').value, 10);
+            if (this.replayPlayer && turn > 0) this.replayPlayer.seekToTurn(turn);
+        });
+
+        bind('replayStop', 'click', () => this.stopReplay());
+
+        this._updateReplayUI();
+    }
+
+    /**
+     * Show playback controls while a replay is running
+     * @protected
+     */
+    _updateReplayUI() {
+        if (this.headless) return;
+
+        const playback = document.getElementById('replayPlayback');
+        if (playback) playback.classList.toggle('hidden', !this.replayPlayer);
+
+        const playBtn = document.getElementById('replayPlay');
+        if (playBtn && this.replayPlayer) {
+            playBtn.textContent = this.replayPlayer.playing ? '⏸' : '▶';
+        }
+    }
+
+    /**
+     * Whether the match can be saved now (not mid-shot, between turns,
+     * while the AI is about to move or after game over)
+     * @returns {boolean}
+     */
+    canSave() {
+        return !this.state.gameOver && !this.projectile && !this.isReplaying() &&
+            !this.isScheduled(this._pendingTurnTimeout) && !this.isScheduled(this._aiActionTimeout);
+    }
+
+    /**
+     * Serialize the whole match: state, terrain, entities and random streams
+     * @returns {Object} JSON-safe snapshot
+     */
+    createSnapshot() {
+        return {
+            version: SNAPSHOT_VERSION,
+            game: this.constructor.name,
+            savedAt: Date.now(),
+            seed: this.random.seed,
+            configHash: Replay.hashConfig(this.config),
+            tick: this._matchTick(),
+            random: this.random.getState(),
+            state: JSON.parse(JSON.stringify(this.state)),
+            terrain: this.terrain.serialize(),
+            entities: this._serializeEntities(),
+            replay: this.replay ? this.replay.toJSON() : null
+        };
+    }
+
+    /**
+     * Resume a match from a snapshot
+     * Rebuilds the world from the match seed through the normal init paths,
+     * then overlays the saved terrain, entities and state
+     * @param {Object} snapshot - From createSnapshot()
+     * @returns {boolean} true if restored
+     */
+    restoreSnapshot(snapshot) {
+        if (!snapshot || snapshot.game !== this.constructor.name || snapshot.version > SNAPSHOT_VERSION) {
+            Debug.warn('Snapshot is not for this game', { game: snapshot && snapshot.game });
+            return false;
+        }
+        if (!snapshot.terrain || snapshot.terrain.length !== this.terrain.segments + 1) {
+            Debug.warn('Snapshot terrain size does not match');
+            return false;
+        }
+        if (snapshot.configHash !== Replay.hashConfig(this.config)) {
+            Debug.warn('Snapshot was saved with a different config');
+        }
+
+        this.stopReplay();
+        // Rebuilding the world is not game flow - listeners only see the resumed turn
+        this.events.silently(() => this.restart(snapshot.seed));
+        this._clearTimeouts();
+
+        this.terrain.restore(snapshot.terrain);
+        Object.assign(this.state, snapshot.state);
+        this._restoreEntities(snapshot.entities);
+        this.random.setState(snapshot.random);
+        this._matchStartTick = this.simulationTick - snapshot.tick;
+        if (snapshot.replay) {
+            this.replay = Replay.fromJSON(snapshot.replay);
+        }
+
+        this._selectWeapon(this.state.currentWeapon);
+        this._updateUI();
+        this.emit('windChanged', { wind: { ...this.state.wind } });
+        this._startTurn();
+
+        Debug.info('Game restored', { turn: this.state.turn });
+        return true;
+    }
+
+    /**
+     * Serialize game entities - override in subclass
+     * @abstract
+     * @protected
+     * @returns {Object} JSON-safe entity state
+     */
+    _serializeEntities() {
+        throw new Error('_serializeEntities must be implemented by subclass');
+    }
+
+    /**
+     * Apply saved entity state to freshly built entities - override in subclass
+     * @abstract
+     * @protected
+     * @param {Object} data - From _serializeEntities()
+     */
+    _restoreEntities(data) {
+        throw new Error('_restoreEntities must be implemented by subclass');
+    }
+
+    /**
+     * Kick off the current turn - override in subclass
+     * @abstract
+     * @protected
+     */
+    _startTurn() {
+        throw new Error('_startTurn must be implemented by subclass');
+    }
+
+    /**
+     * Save the match to a named slot
+     * @param {string} slot - Slot name (default 'quicksave')
+     * @returns {boolean} true if saved
+     */
+    saveGame(slot = 'quicksave') {
+        if (!this.canSave()) {
+            Debug.warn('Cannot save right now (shot in flight, turn ending or game over)');
+            return false;
+        }
+        const saved = this.saves.save(slot, this.createSnapshot());
+        this._refreshSaveSlots();
+        return saved;
+    }
+
+    /**
+     * Resume the match stored in a slot
+     * @param {string} slot - Slot name
+     * @returns {boolean} true if restored
+     */
+    loadGame(slot) {
+        const snapshot = this.saves.load(slot);
+        return snapshot ? this.restoreSnapshot(snapshot) : false;
+    }
+
+    /**
+     * Saved games, newest first
+     * @returns {Array} [{slot, savedAt, turn}]
+     */
+    listSaves() {
+        return this.saves.list();
+    }
+
+    /**
+     * Delete a save slot
+     * @param {string} slot - Slot name
+     */
+    deleteSave(slot) {
+        this.saves.remove(slot);
+        this._refreshSaveSlots();
+    }
+
+    /**
+     * Save to the 'autosave' slot (called at every turn change)
+     * @protected
+     */
+    _autosave() {
+        if (this.saves.available && this.canSave()) {
+            this.saveGame('autosave');
+        }
+    }
+
+    /**
+     * Wire the optional save panel (#savePanel) if the page has one
+     * @protected
+     */
+    _initSaveControls() {
+        const byId = id => document.getElementById(id);
+        if (!byId('savePanel')) return;
+
+        byId('saveBtn').addEventListener('click', e => {
+            const name = byId('saveSlotName').value.trim();
+            this.saveGame(name || 'quicksave');
+            e.currentTarget.blur();
+        });
+
+        byId('loadBtn').addEventListener('click', e => {
+            const slot = byId('saveSlots').value;
+            if (slot) this.loadGame(slot);
+            e.currentTarget.blur();
+        });
+
+        byId('deleteSaveBtn').addEventListener('click', e => {
+            const slot = byId('saveSlots').value;
+            if (slot) this.deleteSave(slot);
+            e.currentTarget.blur();
+        });
+
+        this._refreshSaveSlots();
+    }
+
+    /**
+     * Fill the save slot list
+     * @protected
+     */
+    _refreshSaveSlots() {
+        if (this.headless) return;
+
+        const select = document.getElementById('saveSlots');
+        if (!select) return;
+
+        select.innerHTML = '';
+        this.listSaves().forEach(({ slot, turn, savedAt }) => {
+            const option = document.createElement('option');
+            option.value = slot;
+            option.textContent = `${slot} - turn ${turn}, ${new Date(savedAt).toLocaleTimeString()}`;
+            select.appendChild(option);
+        });
+    }
+
     /**
      * Clean up resources
      */
     dispose() {
         this._clearTimeouts();
 
-        if (this.projectile) this.projectile.dispose();
+        this.projectiles.forEach(p => p.dispose());
         if (this.terrain) this.terrain.dispose();
         if (this.particles) this.particles.dispose();
         if (this.trajectoryPreview) this.trajectoryPreview.dispose();
@@ -0,0 +1,162 @@
+/**
+ * Game Engine - League Table
+ * Results table for six named players, after BALLER.TAB in the original
+ * Ballerburg (t_na and t_gew in BALLER1.C)
+ *
+ * Each row of the table is one player: how often they beat each of the six
+ * players, then games played, won, lost and the win percentage. Only matches
+ * between two different players on the roster count. The table is shared by
+ * all games and kept in localStorage.
+ */
+
+const LEAGUE_KEY = 'Baller3D.league';
+
+class League {
+    /**
+     * Open the league table
+     * @param {Storage} storage - localStorage-like object (default: window.localStorage, null to disable)
+     */
+    constructor(storage) {
+        this.storage = storage !== undefined ? storage : SaveStore.defaultStorage();
+        this._load();
+    }
+
+    /**
+     * Players on the roster (original t_gew is 6x10)
+     */
+    static get SIZE() { return 6; }
+
+    /**
+     * Names compare on their first 7 characters, like the original's 8-byte strings
+     */
+    static get NAME_LENGTH() { return 7; }
+
+    /**
+     * Roster of a fresh table: the original's computer players
+     */
+    static get DEFAULT_NAMES() {
+        return ['Tölpel', 'Dummel', 'Brubbel', 'Wusel', 'Brösel', 'Toffel'];
+    }
+
+    /**
+     * Read roster and results, or start a fresh table
+     * @private
+     */
+    _load() {
+        let data = null;
+        if (this.storage) {
+            try {
+                data = JSON.parse(this.storage.getItem(LEAGUE_KEY));
+            } catch (e) {
+                Debug.error('Could not read league table', { error: e.message });
+            }
+        }
+        this.names = data && Array.isArray(data.names) ? data.names.slice(0, League.SIZE) : League.DEFAULT_NAMES;
+        this.results = data && Array.isArray(data.results) ? data.results : League._emptyResults();
+    }
+
+    /**
+     * Write roster and results
+     * @private
+     * @returns {boolean} true if stored
+     */
+    _save() {
+        if (!this.storage) return false;
+
+        try {
+            this.storage.setItem(LEAGUE_KEY, JSON.stringify({ names: this.names, results: this.results }));
+            return true;
+        } catch (e) {
+            Debug.error('Could not save league table', { error: e.message });
+            return false;
+        }
+    }
+
+    /**
+     * Zeroed table: per player, wins against each player, then games, won, lost, percent
+     * @private
+     */
+    static _emptyResults() {
+        return Array.from({ length: League.SIZE }, () => new Array(League.SIZE + 4).fill(0));
+    }
+
+    /**
+     * Roster place of a player
+     * @param {string} name
+     * @returns {number} -1 if not on the roster
+     */
+    indexOf(name) {
+        const key = String(name).slice(0, League.NAME_LENGTH);
+        return this.names.findIndex(n => n.slice(0, League.NAME_LENGTH) === key);
+    }
+
+    /**
+     * Rename the roster; results stay with their places unless cleared
+     * @param {string[]} names - Six names
+     * @param {boolean} clear - Also zero all results (original "Tabelle löschen")
+     */
+    setNames(names, clear = false) {
+        this.names = League.DEFAULT_NAMES.map((fallback, i) => (names[i] || '').trim() || fallback);
+        if (clear) this.results = League._emptyResults();
+        this._save();
+    }
+
+    /**
+     * Zero all results, keeping the roster
+     */
+    clear() {
+        this.results = League._emptyResults();
+        this._save();
+    }
+
+    /**
+     * Count a finished match (original ende())
+     * @param {string} winner - Winner's name
+     * @param {string} loser - Loser's name
+     * @returns {boolean} true if both are on the roster and the table changed
+     */
+    record(winner, loser) {
+        const a = this.indexOf(winner);
+        const b = this.indexOf(loser);
+        if (a < 0 || b < 0 || a === b) return false;
+
+        const n = League.SIZE;
+        const won = this.results[a];
+        const lost = this.results[b];
+        won[b]++;
+        won[n]++;
+        won[n + 1]++;
+        lost[n]++;
+        lost[n + 2]++;
+        won[n + 3] = Math.trunc(100 * won[n + 1] / won[n]);
+        lost[n + 3] = Math.trunc(100 * lost[n + 1] / lost[n]);
+
+        this._save();
+        return true;
+    }
+
+    /**
+     * The table for display, in roster order
+     * @returns {Array} [{name, beat: [wins against each player], games, won, lost, percent}]
+     *                  percent is null before the first game
+     */
+    standings() {
+        const n = League.SIZE;
+        return this.names.map((name, i) => {
+            const row = this.results[i];
+            return {
+                name,
+                beat: row.slice(0, n),
+                games: row[n],
+                won: row[n + 1],
+                lost: row[n + 2],
+                percent: row[n] ? row[n + 3] : null
+            };
+        });
+    }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.League = League;
+}
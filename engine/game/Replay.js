@@ -0,0 +1,202 @@
+/**
+ * Game Engine - Match Replays
+ * Records turn inputs and plays them back through the game controller
+ *
+ * A replay stores only the match seed, a config hash and the player inputs
+ * keyed by simulation tick. The fixed-step loop and seeded random streams
+ * make everything else (terrain, wind, flight, damage) follow from those.
+ */
+
+// Bump when the event format changes
+const REPLAY_VERSION = 1;
+
+class Replay {
+    /**
+     * Create replay log
+     * @param {Object} data - { game, seed, configHash, events }
+     */
+    constructor(data = {}) {
+        this.version = data.version || REPLAY_VERSION;
+        this.game = data.game || '';
+        this.seed = data.seed;
+        this.configHash = data.configHash || '';
+        this.events = data.events ? data.events.map(e => ({ ...e })) : [];
+    }
+
+    /**
+     * Short hash of a game config, to spot replays recorded with other rules
+     * @param {Object} config - Game configuration
+     * @returns {string} 8 hex digits
+     */
+    static hashConfig(config) {
+        return RandomService.hash(JSON.stringify(config)).toString(16).padStart(8, '0');
+    }
+
+    /**
+     * Parse a replay from JSON text or a plain object
+     * @param {string|Object} json
+     * @returns {Replay}
+     */
+    static fromJSON(json) {
+        const data = typeof json === 'string' ? JSON.parse(json) : json;
+        if (!data || !Array.isArray(data.events)) {
+            throw new Error('Not a replay: missing events');
+        }
+        if (data.version > REPLAY_VERSION) {
+            throw new Error(`Replay version ${data.version} is newer than supported (${REPLAY_VERSION})`);
+        }
+        return new Replay(data);
+    }
+
+    /**
+     * Append an input
+     * @param {number} tick - Match tick the input was applied at
+     * @param {number} turn - Turn number
+     * @param {string} type - Input type ('fire', 'move', 'jump', ...)
+     * @param {Object} data - Input payload
+     */
+    record(tick, turn, type, data = {}) {
+        this.events.push({ tick, turn, type, ...data });
+    }
+
+    /**
+     * Copy with only the first count events (e.g. taking over a replay mid-match)
+     * @param {number} count
+     * @returns {Replay}
+     */
+    truncate(count) {
+        return new Replay({ ...this, events: this.events.slice(0, count) });
+    }
+
+    /**
+     * Plain object for JSON.stringify
+     */
+    toJSON() {
+        return {
+            version: this.version,
+            game: this.game,
+            seed: this.seed,
+            configHash: this.configHash,
+            events: this.events
+        };
+    }
+}
+
+class ReplayPlayer {
+    /**
+     * Create player for a game controller
+     * @param {BaseGameController} game - Game to drive
+     * @param {Replay} replay - Log to feed back
+     */
+    constructor(game, replay) {
+        this.game = game;
+        this.replay = replay;
+        this.cursor = 0;
+        this.speed = 1;
+        this.playing = false;
+    }
+
+    /**
+     * Restart the match from the replay seed and begin playback
+     * @returns {ReplayPlayer} this
+     */
+    start() {
+        const game = this.game;
+        if (this.replay.game && this.replay.game !== game.constructor.name) {
+            Debug.warn('Replay was recorded in another game', { replay: this.replay.game });
+        }
+        if (this.replay.configHash && this.replay.configHash !== Replay.hashConfig(game.config)) {
+            Debug.warn('Replay config differs - playback may desync', { replay: this.replay.configHash });
+        }
+
+        this.cursor = 0;
+        game.replayPlayer = this;
+        game.restart(this.replay.seed);
+        this.play();
+
+        Debug.info('Replay started', { seed: this.replay.seed, events: this.replay.events.length });
+        return this;
+    }
+
+    /**
+     * Resume playback at the current speed
+     */
+    play() {
+        this.playing = true;
+        this.game.timeScale = this.speed;
+        this.game._updateReplayUI();
+    }
+
+    /**
+     * Freeze playback (rendering and camera keep running)
+     */
+    pause() {
+        this.playing = false;
+        this.game.timeScale = 0;
+        this.game._updateReplayUI();
+    }
+
+    /**
+     * Set playback speed
+     * @param {number} speed - 1 = real time, 2 = double speed, ...
+     */
+    setSpeed(speed) {
+        this.speed = Math.max(0.1, speed);
+        if (this.playing) this.game.timeScale = this.speed;
+    }
+
+    /**
+     * Jump to the start of a turn by replaying from the beginning at full speed
+     * @param {number} turn - Turn number (1 = first turn)
+     * @returns {boolean} true if the turn was reached
+     */
+    seekToTurn(turn) {
+        const wasPlaying = this.playing;
+        this.start();
+        if (!wasPlaying) this.pause();
+
+        const game = this.game;
+        game.simulate({ until: () => game.state.turn >= turn || game.state.gameOver, maxTime: 3600 });
+        return game.state.turn >= turn;
+    }
+
+    /**
+     * Apply inputs due at this tick (called by the game before each step)
+     * @param {number} tick - Current match tick
+     */
+    feed(tick) {
+        const events = this.replay.events;
+        while (this.cursor < events.length && events[this.cursor].tick <= tick) {
+            const event = events[this.cursor++];
+            if (event.tick < tick) {
+                Debug.warn('Replay input late - playback may desync', { event: event.type, tick });
+            }
+            this.game._applyReplayInput(event);
+        }
+    }
+
+    /**
+     * All inputs applied
+     */
+    get finished() {
+        return this.cursor >= this.replay.events.length;
+    }
+
+    /**
+     * Leave playback; the match continues live from here
+     */
+    stop() {
+        if (this.game.replayPlayer !== this) return;
+        this.game.replayPlayer = null;
+        this.game.timeScale = 1;
+        this.game.replay = this.replay.truncate(this.cursor);
+        this.playing = false;
+        this.game._updateReplayUI();
+    }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.Replay = Replay;
+    window.ReplayPlayer = ReplayPlayer;
+}
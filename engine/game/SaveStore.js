@@ -0,0 +1,134 @@
+/**
+ * Game Engine - Save Game Storage
+ * Named save slots for game snapshots in localStorage
+ *
+ * Each slot is one key holding the snapshot JSON; a small index key keeps
+ * slot metadata so the slot list doesn't have to parse every heightmap.
+ */
+
+class SaveStore {
+    /**
+     * Create store for one game
+     * @param {string} namespace - Key prefix, e.g. 'BallerGame'
+     * @param {Storage} storage - localStorage-like object (default: window.localStorage, null to disable)
+     */
+    constructor(namespace, storage) {
+        this.namespace = namespace;
+        this.storage = storage !== undefined ? storage : SaveStore.defaultStorage();
+    }
+
+    /**
+     * Browser localStorage, or null where unavailable (Node, privacy mode)
+     * @returns {Storage|null}
+     */
+    static defaultStorage() {
+        try {
+            return typeof localStorage !== 'undefined' ? localStorage : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    /**
+     * Whether saves can be stored at all
+     */
+    get available() {
+        return !!this.storage;
+    }
+
+    /**
+     * Storage key for a slot
+     * @private
+     */
+    _key(slot) {
+        return `${this.namespace}.save.${slot}`;
+    }
+
+    /**
+     * Slot metadata index
+     * @private
+     */
+    _readIndex() {
+        try {
+            return JSON.parse(this.storage.getItem(`${this.namespace}.saves`)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    /**
+     * @private
+     */
+    _writeIndex(index) {
+        this.storage.setItem(`${this.namespace}.saves`, JSON.stringify(index));
+    }
+
+    /**
+     * Store a snapshot in a slot (overwrites)
+     * @param {string} slot - Slot name
+     * @param {Object} snapshot - From BaseGameController.createSnapshot()
+     * @returns {boolean} true if stored
+     */
+    save(slot, snapshot) {
+        if (!this.available) return false;
+
+        try {
+            this.storage.setItem(this._key(slot), JSON.stringify(snapshot));
+            const index = this._readIndex();
+            index[slot] = { savedAt: snapshot.savedAt, turn: snapshot.state.turn };
+            this._writeIndex(index);
+            return true;
+        } catch (e) {
+            // Quota exceeded or storage blocked
+            Debug.error('Could not save game', { slot, error: e.message });
+            return false;
+        }
+    }
+
+    /**
+     * Read a snapshot
+     * @param {string} slot - Slot name
+     * @returns {Object|null} Snapshot, or null if missing or unreadable
+     */
+    load(slot) {
+        if (!this.available) return null;
+
+        try {
+            return JSON.parse(this.storage.getItem(this._key(slot)));
+        } catch (e) {
+            Debug.error('Could not read save', { slot, error: e.message });
+            return null;
+        }
+    }
+
+    /**
+     * Delete a slot
+     * @param {string} slot - Slot name
+     */
+    remove(slot) {
+        if (!this.available) return;
+
+        this.storage.removeItem(this._key(slot));
+        const index = this._readIndex();
+        delete index[slot];
+        this._writeIndex(index);
+    }
+
+    /**
+     * All slots, newest first
+     * @returns {Array} [{slot, savedAt, turn}]
+     */
+    list() {
+        if (!this.available) return [];
+
+        const index = this._readIndex();
+        return Object.keys(index)
+            .map(slot => ({ slot, ...index[slot] }))
+            .sort((a, b) => b.savedAt - a.savedAt);
+    }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.SaveStore = SaveStore;
+}
@@ -12,10 +12,14 @@ class ParticleSystem {
      * Create particle system
      * @param {THREE.Scene} scene - The scene to add particles to
      * @param {Object} config - Configuration with PHYSICS.GRAVITY
+     * @param {SeededRandom} random - Effects random stream (optional)
+     * @param {Object} options - { enabled: false } turns effects into no-ops (headless)
      */
-    constructor(scene, config) {
+    constructor(scene, config, random = null, options = {}) {
         this.scene = scene;
         this.config = config;
+        this.random = random || new SeededRandom();
+        this.enabled = options.enabled !== false;
         this.particles = [];
     }
 
@@ -25,6 +29,8 @@ class ParticleSystem {
      * @param {Object} options - Explosion options
      */
     createExplosion(position, options = {}) {
+        if (!this.enabled) return;
+
         const count = options.count || 60;
         const radius = options.radius || 5;
         const colors = options.colors || [0xff6600, 0xffaa00];
@@ -32,10 +38,10 @@ class ParticleSystem {
         const maxSize = options.maxSize || 1.1;
 
         for (let i = 0; i < count; i++) {
-            const size = Utils.random(minSize, maxSize);
+            const size = this.random.range(minSize, maxSize);
             const geometry = new THREE.SphereGeometry(size, 6, 6);
             const material = new THREE.MeshBasicMaterial({
-                color: colors[Math.floor(Math.random() * colors.length)],
+                color: this.random.pick(colors),
                 transparent: true,
                 opacity: 1
             });
@@ -43,17 +49,17 @@ class ParticleSystem {
             const particle = new THREE.Mesh(geometry, material);
             particle.position.copy(position);
 
-            const angle = Math.random() * Math.PI * 2;
-            const speed = Utils.random(radius / 2, radius);
+            const angle = this.random.next() * Math.PI * 2;
+            const speed = this.random.range(radius / 2, radius);
 
             particle.userData = {
                 velocity: new THREE.Vector3(
                     Math.cos(angle) * speed,
-                    Utils.random(radius / 2, radius),
+                    this.random.range(radius / 2, radius),
                     Math.sin(angle) * speed
                 ),
                 life: 1,
-                decay: Utils.random(0.01, 0.025),
+                decay: this.random.range(0.01, 0.025),
                 shrinkRate: options.shrinkRate || 0.98
             };
 
@@ -88,18 +94,20 @@ class ParticleSystem {
      * @param {Object} options - Debris options
      */
     createDebris(position, options = {}) {
+        if (!this.enabled) return;
+
         const count = options.count || 8;
         const colors = options.colors || [0x8B4513, 0x654321];
         const spread = options.spread || 4;
 
         for (let i = 0; i < count; i++) {
             const geometry = new THREE.BoxGeometry(
-                Utils.random(0.3, 1.1),
-                Utils.random(0.3, 1.1),
-                Utils.random(0.3, 1.1)
+                this.random.range(0.3, 1.1),
+                this.random.range(0.3, 1.1),
+                this.random.range(0.3, 1.1)
             );
             const material = new THREE.MeshPhongMaterial({
-                color: colors[Math.floor(Math.random() * colors.length)],
+                color: this.random.pick(colors),
                 transparent: true,
                 opacity: 0.9
             });
@@ -107,18 +115,18 @@ class ParticleSystem {
             const debris = new THREE.Mesh(geometry, material);
             debris.position.copy(position);
             debris.position.add(new THREE.Vector3(
-                Utils.random(-spread / 2, spread / 2),
-                Utils.random(0, spread / 2),
-                Utils.random(-spread / 2, spread / 2)
+                this.random.range(-spread / 2, spread / 2),
+                this.random.range(0, spread / 2),
+                this.random.range(-spread / 2, spread / 2)
             ));
 
             debris.userData = {
                 velocity: new THREE.Vector3(
-                    Utils.random(-8, 8),
-                    Utils.random(5, 15),
-                    Utils.random(-8, 8)
+                    this.random.range(-8, 8),
+                    this.random.range(5, 15),
+                    this.random.range(-8, 8)
                 ),
-                life: Utils.random(3, 5),
+                life: this.random.range(3, 5),
                 decay: 0.3,
                 shrinkRate: 1.0 // Don't shrink debris
             };
@@ -135,6 +143,8 @@ class ParticleSystem {
      * @param {Object} options - Display options
      */
     createFloatingText(position, value, options = {}) {
+        if (!this.enabled) return;
+
         const color = options.color || 0xff0000;
         const prefix = options.prefix || '-';
         const fontSize = options.fontSize || 48;
@@ -188,8 +198,8 @@ class ParticleSystem {
         this.particles = this.particles.filter(particle => {
             const data = particle.userData;
 
-            // Apply gravity (not to sprites/text)
-            if (!data.isSprite) {
+            // Apply gravity (not to sprites/text or tracers)
+            if (!data.isSprite && !data.weightless) {
                 data.velocity.y += gravity * deltaTime;
             }
 
@@ -247,12 +257,14 @@ class ParticleSystem {
      * @param {Object} options - Splash options
      */
     createSplash(position, options = {}) {
+        if (!this.enabled) return;
+
         const count = options.count || 15;
         const color = options.color || 0x4499ff;
         const speed = options.speed || 5;
 
         for (let i = 0; i < count; i++) {
-            const geometry = new THREE.SphereGeometry(Utils.random(0.1, 0.4), 4, 4);
+            const geometry = new THREE.SphereGeometry(this.random.range(0.1, 0.4), 4, 4);
             const material = new THREE.MeshBasicMaterial({
                 color: color,
                 transparent: true,
@@ -262,15 +274,15 @@ class ParticleSystem {
             const particle = new THREE.Mesh(geometry, material);
             particle.position.copy(position);
 
-            const angle = Math.random() * Math.PI * 2;
+            const angle = this.random.next() * Math.PI * 2;
             particle.userData = {
                 velocity: new THREE.Vector3(
-                    Math.cos(angle) * Utils.random(2, speed),
-                    Utils.random(4, 8),
-                    Math.sin(angle) * Utils.random(2, speed)
+                    Math.cos(angle) * this.random.range(2, speed),
+                    this.random.range(4, 8),
+                    Math.sin(angle) * this.random.range(2, speed)
                 ),
                 life: 0.8,
-                decay: Utils.random(0.02, 0.04),
+                decay: this.random.range(0.02, 0.04),
                 shrinkRate: 0.97
             };
 
@@ -286,6 +298,8 @@ class ParticleSystem {
      * @param {Object} options - Display options
      */
     createSpeechBubble(position, text, options = {}) {
+        if (!this.enabled) return;
+
         const canvas = document.createElement('canvas');
         canvas.width = 256;
         canvas.height = 128;
@@ -341,6 +355,35 @@ class ParticleSystem {
         this.particles.push(sprite);
     }
 
+    /**
+     * Create a fading tracer line for a shot that hits at once (hitscan)
+     * @param {THREE.Vector3} from - Muzzle
+     * @param {THREE.Vector3} to - Where the shot hit
+     * @param {Object} options - Display options
+     */
+    createTracer(from, to, options = {}) {
+        if (!this.enabled) return;
+
+        const geometry = new THREE.BufferGeometry().setFromPoints([from.clone(), to.clone()]);
+        const material = new THREE.LineBasicMaterial({
+            color: options.color || 0xffee88,
+            transparent: true,
+            opacity: 1
+        });
+        const tracer = new THREE.Line(geometry, material);
+
+        tracer.userData = {
+            velocity: new THREE.Vector3(0, 0, 0),
+            life: 1,
+            decay: options.decay || 4,
+            shrinkRate: 1.0,
+            weightless: true
+        };
+
+        this.scene.add(tracer);
+        this.particles.push(tracer);
+    }
+
     /**
      * Create retro-style explosion with trailing lines
      * Based on original Ballerburg (1987) expls() function
@@ -350,6 +393,8 @@ class ParticleSystem {
      * @param {Object} options - Explosion options
      */
     createRetroExplosion(position, options = {}) {
+        if (!this.enabled) return;
+
         const width = options.width || 8;
         const height = options.height || 8;
         const duration = options.duration || 32;
@@ -372,14 +417,14 @@ class ParticleSystem {
 
             // Random direction within explosion bounds
             // Original: x-w+w*(Random()&511)/256, y-h+h*(Random()&511)/256
-            const targetX = (Math.random() * 2 - 1) * width;
-            const targetY = (Math.random() * 2 - 1) * height;
+            const targetX = (this.random.next() * 2 - 1) * width;
+            const targetY = (this.random.next() * 2 - 1) * height;
 
             particle.userData = {
                 velocity: new THREE.Vector3(
                     targetX * 0.5,
                     targetY * 0.5 + 2,
-                    (Math.random() * 2 - 1) * width * 0.3
+                    (this.random.next() * 2 - 1) * width * 0.3
                 ),
                 life: duration / 30,
                 decay: 1,
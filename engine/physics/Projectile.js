@@ -6,8 +6,14 @@
  * Physics model inspired by original Ballerburg (1987) by Eckhard Kruse:
  * - Authentic wind drag: vx += (wind/2 - vx) / dragFactor
  * - Air resistance applied to all velocities
+ *
+ * Drag and air resistance are tuned per 1/60s step and rescaled for other
+ * step sizes, so a shot flies the same path whatever the simulation rate.
  */
 
+// Step size the per-step drag constants are tuned for
+const DRAG_REFERENCE_STEP = 1 / 60;
+
 class BaseProjectile {
     /**
      * Create projectile
@@ -21,6 +27,7 @@ class BaseProjectile {
         this.scene = scene;
         this.config = config;
         this.position = position.clone();
+        this.previousPosition = position.clone();
         this.velocity = velocity.clone();
 
         // State
@@ -45,8 +52,33 @@ class BaseProjectile {
         // Trail storage
         this.trail = [];
 
-        // Create mesh
-        this._createMesh();
+        // Create mesh (virtual probes used for aim prediction have none)
+        this.mesh = null;
+        if (!options.virtual) {
+            this._createMesh();
+        }
+    }
+
+    /**
+     * Predict where a shot comes down by flying a mesh-less copy
+     * Runs the exact same physics as the real shot, so with the fixed-step
+     * loop the prediction is where the shot will land
+     * @param {THREE.Vector3} position - Starting position
+     * @param {THREE.Vector3} velocity - Initial velocity
+     * @param {Object} config - Engine configuration
+     * @param {Object} options - { terrain, wind, step, maxTime, projectile }
+     * @returns {THREE.Vector3} Impact position (or last position if it left the world)
+     */
+    static predictImpact(position, velocity, config, options = {}) {
+        const step = options.step || (config.TIMING ? config.TIMING.FIXED_STEP : 1 / 60);
+        const maxSteps = Math.ceil((options.maxTime || 20) / step);
+        const probe = new this(null, position, velocity, config,
+            Object.assign({}, options.projectile, { virtual: true }));
+
+        for (let i = 0; i < maxSteps; i++) {
+            if (!probe.update(step, options.terrain, options.wind)) break;
+        }
+        return probe.position;
     }
 
     /**
@@ -86,7 +118,7 @@ class BaseProjectile {
         if (wind && this.useAuthenticDrag) {
             const windTarget = wind.strength * wind.direction * 0.5;
             // Drag pulls velocity toward wind target
-            this.velocity.x += (windTarget - this.velocity.x) / this.dragFactor;
+            this.velocity.x += (windTarget - this.velocity.x) * this._dragPull(this.dragFactor, deltaTime);
         } else if (wind) {
             // Simple additive wind (fallback)
             const windEffect = wind.strength * wind.direction * deltaTime * 0.3;
@@ -94,11 +126,13 @@ class BaseProjectile {
         }
 
         // Apply air resistance (slight velocity decay)
-        this.velocity.x *= this.airResistance;
-        this.velocity.z *= this.airResistance;
+        const resistance = this._airResistanceFor(deltaTime);
+        this.velocity.x *= resistance;
+        this.velocity.z *= resistance;
 
         // Store old position for interpolated collision
         const oldPos = this.position.clone();
+        this.previousPosition.copy(oldPos);
 
         // Move
         this.position.add(this.velocity.clone().multiplyScalar(deltaTime));
@@ -126,6 +160,42 @@ class BaseProjectile {
         return true;
     }
 
+    /**
+     * Kinetic energy per unit mass, v^2 / 2 (at impact: how hard it hits)
+     * @returns {number}
+     */
+    getKineticEnergy() {
+        return this.velocity.lengthSq() / 2;
+    }
+
+    /**
+     * Fraction of the gap to the wind target closed during one step
+     * @protected
+     * @param {number} dragFactor - Steps to close the gap at the reference rate
+     * @param {number} deltaTime - Step size in seconds
+     */
+    _dragPull(dragFactor, deltaTime) {
+        return 1 - Math.pow(1 - 1 / dragFactor, deltaTime / DRAG_REFERENCE_STEP);
+    }
+
+    /**
+     * Air resistance multiplier for one step
+     * @protected
+     * @param {number} deltaTime - Step size in seconds
+     */
+    _airResistanceFor(deltaTime) {
+        return Math.pow(this.airResistance, deltaTime / DRAG_REFERENCE_STEP);
+    }
+
+    /**
+     * Place mesh between the previous and current simulation step
+     * @param {number} alpha - Interpolation factor (0-1)
+     */
+    interpolate(alpha) {
+        if (!this.mesh || this.disposed) return;
+        this.mesh.position.lerpVectors(this.previousPosition, this.position, alpha);
+    }
+
     /**
      * Update trail points
      * @protected
@@ -251,16 +321,17 @@ class BouncingProjectile extends BaseProjectile {
         // Apply wind with authentic drag (reduced effect for bouncing projectiles)
         if (wind && this.useAuthenticDrag) {
             const windTarget = wind.strength * wind.direction * 0.3;
-            this.velocity.x += (windTarget - this.velocity.x) / (this.dragFactor * 2);
+            this.velocity.x += (windTarget - this.velocity.x) * this._dragPull(this.dragFactor * 2, deltaTime);
         } else if (wind) {
             this.velocity.x += wind.strength * wind.direction * deltaTime * 0.1;
         }
 
         // Apply air resistance
-        this.velocity.x *= this.airResistance;
-        this.velocity.z *= this.airResistance;
+        const resistance = this._airResistanceFor(deltaTime);
+        this.velocity.x *= resistance;
+        this.velocity.z *= resistance;
 
-        const oldPos = this.position.clone();
+        this.previousPosition.copy(this.position);
         this.position.add(this.velocity.clone().multiplyScalar(deltaTime));
 
         this._updateTrail();
@@ -297,6 +368,69 @@ class BouncingProjectile extends BaseProjectile {
     }
 }
 
+/**
+ * Placed charge (for dynamite, etc.): lies on the ground until its timer
+ * runs out, and drops onto whatever is left when the ground under it is
+ * blown away
+ */
+class PlacedProjectile extends BaseProjectile {
+    /**
+     * @param {THREE.Scene} scene - The scene
+     * @param {THREE.Vector3} position - Where it is put down
+     * @param {Object} config - Engine configuration
+     * @param {Object} options - Projectile options plus timer (seconds, default 5)
+     */
+    constructor(scene, position, config, options = {}) {
+        super(scene, position, new THREE.Vector3(0, 0, 0), config, options);
+        this.timer = options.timer || 5;
+        this.elapsed = 0;
+    }
+
+    /**
+     * Seconds until it goes off
+     * @returns {number}
+     */
+    get remaining() {
+        return Math.max(0, this.timer - this.elapsed);
+    }
+
+    update(deltaTime, terrain) {
+        if (this.exploded || this.disposed) return false;
+
+        this.elapsed += deltaTime;
+        if (this.elapsed >= this.timer) {
+            this.explode();
+            return false;
+        }
+
+        // Falls while there is no ground under it, then rests on it again
+        this.previousPosition.copy(this.position);
+        if (terrain) {
+            const groundY = terrain.getHeight(this.position.x, this.position.z);
+            if (this.position.y > groundY) {
+                const gravity = this.config.PHYSICS ? this.config.PHYSICS.GRAVITY : -9.8;
+                this.velocity.y += gravity * deltaTime;
+                this.position.y = Math.max(groundY, this.position.y + this.velocity.y * deltaTime);
+            }
+            if (this.position.y <= groundY) {
+                this.position.y = groundY;
+                this.velocity.y = 0;
+            }
+        }
+
+        if (this._checkOutOfBounds()) {
+            this.outOfBounds = true;
+            return false;
+        }
+
+        if (this.mesh) {
+            this.mesh.position.copy(this.position);
+        }
+
+        return true;
+    }
+}
+
 /**
  * AI Trajectory Calculator
  * Based on original Ballerburg (1987) comp() function by Eckhard Kruse
@@ -377,19 +511,59 @@ class TrajectoryCalculator {
         };
     }
 
+    /**
+     * Find the launch power that lands a shot at targetX along a fixed aim
+     * Bisects on predicted impacts, so drag and wind are accounted for
+     * @param {THREE.Vector3} origin - Launch position
+     * @param {THREE.Vector3} direction - Normalized aim direction
+     * @param {number} targetX - World x to land at
+     * @param {Object} config - Engine configuration
+     * @param {Object} options - { minPower, maxPower, speed, projectileClass, iterations } plus predictImpact options
+     * @returns {number|null} - Power, or null if the target is out of reach
+     */
+    static solvePower(origin, direction, targetX, config, options = {}) {
+        const ProjectileClass = options.projectileClass || BaseProjectile;
+        const speed = options.speed || 1;
+        const iterations = options.iterations || 16;
+        const side = Math.sign(targetX - origin.x) || 1;
+
+        // Signed miss: negative = short of the target
+        const miss = power => {
+            const velocity = direction.clone().multiplyScalar(power * speed);
+            const impact = ProjectileClass.predictImpact(origin, velocity, config, options);
+            return (impact.x - targetX) * side;
+        };
+
+        let low = options.minPower || 0;
+        let high = options.maxPower || 100;
+        if (miss(high) < 0) return null;
+
+        for (let i = 0; i < iterations; i++) {
+            const mid = (low + high) / 2;
+            if (miss(mid) < 0) {
+                low = mid;
+            } else {
+                high = mid;
+            }
+        }
+        return (low + high) / 2;
+    }
+
     /**
      * Add random inaccuracy to a calculated trajectory (for AI difficulty)
      * @param {Object} trajectory - Result from calculateTrajectory
      * @param {number} inaccuracy - Max deviation (0-1, where 0.1 = 10%)
+     * @param {SeededRandom} random - Random stream (optional, e.g. engine 'ai' stream)
      * @returns {Object} - Modified trajectory
      */
-    static addInaccuracy(trajectory, inaccuracy = 0.1) {
+    static addInaccuracy(trajectory, inaccuracy = 0.1, random = null) {
         if (!trajectory) return null;
 
-        const factor = 1 + (Math.random() * 2 - 1) * inaccuracy;
+        const rng = random || new SeededRandom();
+        const factor = 1 + (rng.next() * 2 - 1) * inaccuracy;
         return {
             vx: trajectory.vx * factor,
-            vy: trajectory.vy * (1 + (Math.random() * 2 - 1) * inaccuracy),
+            vy: trajectory.vy * (1 + (rng.next() * 2 - 1) * inaccuracy),
             angle: trajectory.angle,
             power: trajectory.power * factor,
             direction: trajectory.direction
@@ -401,5 +575,6 @@ class TrajectoryCalculator {
 if (typeof window !== 'undefined') {
     window.BaseProjectile = BaseProjectile;
     window.BouncingProjectile = BouncingProjectile;
+    window.PlacedProjectile = PlacedProjectile;
     window.TrajectoryCalculator = TrajectoryCalculator;
 }
@@ -9,10 +9,12 @@ class BaseTerrain {
      * Create terrain
      * @param {THREE.Scene} scene - The scene to add terrain to
      * @param {Object} config - Configuration with TERRAIN settings
+     * @param {SeededRandom} random - Terrain random stream (optional)
      */
-    constructor(scene, config) {
+    constructor(scene, config, random = null) {
         this.scene = scene;
         this.config = config;
+        this.random = random || new SeededRandom();
 
         this.mesh = null;
         this.heightMap = [];
@@ -67,7 +69,7 @@ class BaseTerrain {
         // Base implementation: flat with random noise
         const baseHeight = options.baseHeight || 0;
         const noise = options.noise || 1;
-        return baseHeight + (Math.random() - 0.5) * noise;
+        return baseHeight + (this.random.next() - 0.5) * noise;
     }
 
     /**
@@ -235,6 +237,27 @@ class BaseTerrain {
         return modified;
     }
 
+    /**
+     * Copy of the heightmap (for save games)
+     * @returns {number[][]}
+     */
+    serialize() {
+        return this.heightMap.map(row => row.slice());
+    }
+
+    /**
+     * Replace the heightmap with a saved one and rebuild the mesh
+     * @param {number[][]} heightMap - From serialize()
+     * @returns {boolean} false if the size doesn't match this terrain
+     */
+    restore(heightMap) {
+        if (!Array.isArray(heightMap) || heightMap.length !== this.segments + 1) return false;
+
+        this.heightMap = heightMap.map(row => row.slice());
+        this._updateMesh();
+        return true;
+    }
+
     /**
      * Clean up resources
      */
@@ -38,6 +38,26 @@ const BallerConfig = createGameConfig({
         FOG: 0x87CEEB
     },
 
+    // Classic view: the original's 640x400 monochrome screen, seen from the
+    // side. The screen shows SPAN world units across from LEFT, BOTTOM up;
+    // colours become TONES grey levels, drawn as dither patterns of INK on PAPER
+    CLASSIC_VIEW: {
+        WIDTH: 640,
+        HEIGHT: 400,
+        LEFT: -60,
+        BOTTOM: -8,
+        SPAN: 120,
+        TONES: 5,
+        INK: 0x000000,
+        PAPER: 0xFFFFFF
+    },
+
+    // The original's BALLER.MUS, played when a match ends
+    MUSIC: {
+        ENABLED: true,
+        VOLUME: 0.3
+    },
+
     // Turn-based settings
     TURNS: {
         TIME_LIMIT: 45,
@@ -52,6 +72,123 @@ const BallerConfig = createGameConfig({
         // Castle starting health
         CASTLE_HEALTH: 100,
 
+        // Castle per player: null for the classic 3D castle, or a descriptor
+        // from CastleLoader (original BALLER.DAT). Designs are drawn in
+        // screen pixels; CASTLE_SCALE is world units per pixel
+        CASTLE_DESIGNS: [null, null],
+        CASTLE_SCALE: 0.12,
+
+        // Cannon platforms of the left castle, mirrored for the right one
+        // (original BALLER.DAT: up to 10 x,y pairs, all manned at the start)
+        CANNON_SLOTS: [
+            { x: 0, y: 12 },
+            { x: 5, y: 4 }
+        ],
+
+        // Throne room of the left castle (original BALLER.DAT: throne x,y,
+        // always 30x25). It runs through the whole castle; a ball reaching it
+        // hits the king
+        THRONE_ROOM: { x: 0, y: 3, width: 4, height: 3 },
+
+        // Stonework (original anbau(): 20 stones per purchase, each touching
+        // the castle or the ground, only within the castle's grounds). Cells
+        // of CELL units; the area reaches BACK behind and FRONT in front of
+        // the castle's centre, towards the enemy
+        BUILD: {
+            STONES: 20,
+            CELL: 1,
+            AREA: { BACK: 7, FRONT: 9, HEIGHT: 16 },
+            STONE_HEALTH: 8
+        },
+
+        // Wind vane on the left castle's back tower (original BALLER.DAT:
+        // vane x,y). Only a player who owns one can read the wind
+        WIND_VANE: { x: -4, y: 12 },
+
+        // Original au_kap option: a king with no cannons, towers, people or
+        // gold to speak of gives up
+        CAPITULATION: true,
+
+        // Original max_rund option: after this many rounds (a turn for each
+        // player) the better position wins, valued at market prices. 0 = no limit
+        MAX_ROUNDS: 0,
+
+        // Mining towers (original fturm(): in a row in front of the castle,
+        // 30 pixels apart). FIRST_X is the nearest tower's distance from the
+        // castle, mirrored for the right one; a direct hit brings one down
+        MINING_TOWERS: { FIRST_X: 9, SPACING: 4, HEALTH: 20 },
+
+        // A ball passing this close to a cannon destroys it. Must stay below
+        // the muzzle's distance from the cannon so a shot can't hit its own gun
+        CANNON_HIT_RADIUS: 2,
+
+        // What a hit does inside a castle (original schuss(), manual section 9).
+        // CHAMBERS are the classic castle's storerooms, placed like THRONE_ROOM;
+        // BALLER.DAT castles bring their own. A ball within MARGIN of one costs
+        // GOLD_LOSS gold or BALL_LOSS balls, or sets off all the powder in a
+        // blast that damages the castle. A ball coming down within the castle's
+        // WIDTH kills a person on each of CASUALTY_ROLLS coin tosses and wears
+        // down the masonry it went into by the full damage. The castle's
+        // health takes HEALTH_SHARE of every hit
+        HIT_ZONES: {
+            CHAMBERS: {
+                gold: { x: -4, y: 3.5, width: 2, height: 2 },
+                powder: { x: -2.5, y: 0.5, width: 2, height: 2 },
+                balls: { x: 2, y: 0.5, width: 2, height: 2 }
+            },
+            MARGIN: 0.4,
+            WIDTH: 11,
+            GOLD_LOSS: 200,
+            BALL_LOSS: 2,
+            POWDER_BLAST: { RADIUS: 6, DAMAGE: 20 },
+            CASUALTY_ROLLS: 4,
+            HEALTH_SHARE: 0.3,
+            COLORS: { gold: 0xFFD700, powder: 0xFF6600, balls: 0x999999, walls: 0xFF0000 }
+        },
+
+        // Treasury and people (original rechnen(); tax in percent, steps of 2)
+        ECONOMY: {
+            START_GOLD: 400,
+            START_POPULATION: 200,
+            START_TAX: 20,
+            START_POWDER: 180,
+            START_BALLS: 12,
+            TAX_STEP: 2,
+            MAX_TAX: 100,
+            AI_TAX: 16,
+            TOWER_INCOME: { MIN: 40, MAX: 70 },
+
+            // Storeroom capacity (treasury, powder barrels, ball pile) of the
+            // classic castle; BALLER.DAT castles size them by their chambers
+            MAX_GOLD: 1500,
+            MAX_POWDER: 300,
+            MAX_BALLS: 20
+        },
+
+        // Powder per shot (original sch_obj(): 5-20 units, arrows step 1 or 3).
+        // The charge sets muzzle speed as in schuss(): v = .4 + .25 * charge,
+        // scaled so a full charge fires at MAX_POWER
+        CHARGE: {
+            MIN: 5,
+            MAX: 20,
+            START: 12,
+            STEP: 1,
+            BIG_STEP: 3
+        },
+
+        // Market goods (original markt(): base price, bounds pmi/pma, drift psp)
+        MARKET: {
+            ITEMS: [
+                { id: 'build',  name: 'Stonework',    price: 200, min: 98,  max: 302, swing: 10 },
+                { id: 'tower',  name: 'Mining tower', price: 500, min: 347, max: 707, swing: 50 },
+                { id: 'cannon', name: 'Cannon',       price: 400, min: 302, max: 498, swing: 50 },
+                { id: 'vane',   name: 'Wind vane',    price: 150, min: 102, max: 200, swing: 20 },
+                { id: 'powder', name: 'Powder',       price: 50,  min: 30,  max: 89,  swing: 10, amount: 30 },
+                { id: 'balls',  name: 'Cannonballs',  price: 50,  min: 29,  max: 91,  swing: 10, amount: 2 }
+            ],
+            MAX_TOWERS: 5
+        },
+
         // Mountain positions for terrain generation
         MOUNTAIN_POSITIONS: [
             { x: -40, z: 0 },
@@ -65,13 +202,21 @@ const BallerConfig = createGameConfig({
         { stone: 0x4A4A4A, roof: 0x0066CC, name: 'Blue' }
     ],
 
-    // Weapons configuration
+    // Weapons configuration. crater: energy-to-crater curve (see
+    // BaseGameController.impactScale); a ball at the reference energy (about
+    // a mid-range shot) digs and damages as listed, the hole's depth growing
+    // with impact speed as in the original
     WEAPONS: [
-        { name: 'Cannonball', damage: 60, radius: 8,  speed: 1.0, ammo: -1, icon: '●' },
-        { name: 'Explosive',  damage: 80, radius: 12, speed: 0.9, ammo: 8,  icon: '◉' },
-        { name: 'Chain Shot', damage: 40, radius: 15, speed: 0.7, ammo: 6,  icon: '○○' },
-        { name: 'Fire Ball',  damage: 45, radius: 10, speed: 1.1, ammo: 10, icon: '☀' },
-        { name: 'Stone Ball', damage: 35, radius: 6,  speed: 1.3, ammo: -1, icon: '■' }
+        { name: 'Cannonball', damage: 60, radius: 8,  speed: 1.0, ammo: -1, icon: '●',
+            crater: { energy: 500, exponent: 0.5, min: 0.5, max: 1.5 } },
+        { name: 'Explosive',  damage: 80, radius: 12, speed: 0.9, ammo: 8,  icon: '◉',
+            crater: { energy: 400, exponent: 0.5, min: 0.5, max: 1.5 } },
+        { name: 'Chain Shot', damage: 40, radius: 15, speed: 0.7, ammo: 6,  icon: '○○',
+            crater: { energy: 250, exponent: 0.5, min: 0.5, max: 1.5 } },
+        { name: 'Fire Ball',  damage: 45, radius: 10, speed: 1.1, ammo: 10, icon: '☀',
+            crater: { energy: 600, exponent: 0.5, min: 0.5, max: 1.5 } },
+        { name: 'Stone Ball', damage: 35, radius: 6,  speed: 1.3, ammo: -1, icon: '■',
+            crater: { energy: 850, exponent: 0.5, min: 0.5, max: 1.5 } }
     ]
 });
 
@@ -3,20 +3,55 @@
  * Extends BaseGameController with Ballerburg-specific logic
  */
 
+// How far (world units) a rounded powder charge may land from the AI's target
+const AI_AIM_TOLERANCE = 2;
+
 class BallerGame extends BaseGameController {
-    constructor() {
-        super(BallerConfig);
+    /**
+     * @param {Object} options - Engine options plus:
+     * @param {string[]} options.playerTypes - 'human' or 'ai' per player
+     * @param {Object} options.config - Config override, e.g. for balancing runs (default BallerConfig)
+     * @param {string} options.language - Language of the game's texts, see BallerStrings (default 'en')
+     */
+    constructor(options = {}) {
+        super(options.config || BallerConfig, options);
         Debug.info('BallerGame: Creating...');
 
         // Game entities (Ballerburg-specific)
         this.castles = [];
         this.cannons = [];
+        this.kings = [];
+        this.towers = [];
+        this.vanes = [];
 
         // Ballerburg-specific state
         this.state.currentPlayer = 0;
 
+        // Gold, population and taxes per player, and the shared market
+        this.economy = new Economy(this.config);
+        this.market = new Market(this.config);
+        this._marketOpen = false;
+        this._buildMode = false;
+
+        // Castles to choose from: the six of the original BALLER.DAT, then
+        // any loaded from .DAT files
+        this.castleChoices = CastleLoader.originals();
+        this._castlesOpen = false;
+
+        // Audiences with the king, in the player's language
+        this.advisor = new KingAdvisor();
+        this.language = options.language || BallerStrings.DEFAULT;
+        this._kingOpen = false;
+
+        // The original's flat black-and-white side view, instead of the 3D camera
+        this.classicView = new ClassicView(this.config.CLASSIC_VIEW);
+
+        // Sound chip for the victory tune (read from BALLER.MUS when first needed)
+        this.synth = new ChipSynth();
+        this._victoryTune = null;
+
         // AI support - player types: 'human' or 'ai'
-        this.playerTypes = ['human', 'ai']; // Player 1 human, Player 2 AI by default
+        this.playerTypes = options.playerTypes || ['human', 'ai']; // Player 1 human, Player 2 AI by default
         this.aiControllers = [null, null];
     }
 
@@ -24,11 +59,31 @@ class BallerGame extends BaseGameController {
      * Initialize game systems
      */
     init() {
+        this._initEconomy();
         super.init();
+        this._startTurn();
         Debug.info('BallerGame: Initialized');
         return this;
     }
 
+    /**
+     * Kick off the current turn at match start, after a turn change or after loading
+     */
+    _startTurn() {
+        this.state.power = this._chargeToPower(this._shotCharge());
+        this._highlightActiveCannon();
+        this.emit('turnStart', this._turnInfo());
+
+        if (this._isCurrentPlayerAI()) {
+            // Clear trajectory preview for AI turns
+            if (this.trajectoryPreview) this.trajectoryPreview.clear();
+            this._scheduleAIAction();
+        } else {
+            // Show initial trajectory preview for human player
+            this._updateTrajectoryPreview();
+        }
+    }
+
     /**
      * Initialize game systems (override)
      */
@@ -48,7 +103,9 @@ class BallerGame extends BaseGameController {
         this.playerTypes.forEach((type, i) => {
             if (type === 'ai') {
                 // BRUBBEL: strategy=3 (balanced), skill=3 (medium accuracy)
-                this.aiControllers[i] = AIController.fromPersonality(this.config, 'BRUBBEL');
+                this.aiControllers[i] = AIController.fromPersonality(this.config, 'BRUBBEL', {
+                    random: this.random.ai
+                });
                 Debug.info(`AI Controller initialized for Player ${i + 1}`,
                     AIController.STRATEGIES.BRUBBEL);
             }
@@ -60,20 +117,24 @@ class BallerGame extends BaseGameController {
      */
     _initWorld() {
         // Create terrain using BallerTerrain
-        this.terrain = new BallerTerrain(this.scene, this.config);
+        this.terrain = new BallerTerrain(this.scene, this.config, this.random.terrain);
         this.terrain.generate();
 
         // Create water plane
         this._createWater(-8, 0.7);
 
-        // Create castles and cannons
+        // Create castles, every cannon platform manned
         for (let i = 0; i < this.config.GAMEPLAY.PLAYER_COUNT; i++) {
             const castle = new Castle(this.scene, this.terrain, i, this.config);
             this.castles.push(castle);
-
-            const cannon = new Cannon(this.scene, castle);
-            this.cannons.push(cannon);
+            castle.cannonSlots.forEach((slot, s) => this._placeCannon(i, s));
+            this.kings.push(new King(this.scene, castle));
+            this._placeVane(i);
         }
+        this.state.activeCannon = this.castles.map(() => 0);
+        this.state.stones = 0;
+        this.state.scores = null;
+        this._highlightActiveCannon();
 
         Debug.info('World created', {
             castles: this.castles.length,
@@ -89,6 +150,11 @@ class BallerGame extends BaseGameController {
         window.addEventListener('keydown', e => this._onKeyDown(e));
         window.addEventListener('keyup', e => this._onKeyUp(e));
 
+        // Click a cannon of your castle to fire from it
+        if (this.renderer) {
+            this.renderer.domElement.addEventListener('click', e => this._onCanvasClick(e));
+        }
+
         // Fire button
         const fireBtn = document.getElementById('fireBtn');
         if (fireBtn) {
@@ -112,6 +178,76 @@ class BallerGame extends BaseGameController {
             });
         });
 
+        // Tax arrows (HUD and market dialog)
+        const taxStep = this.config.GAMEPLAY.ECONOMY.TAX_STEP;
+        [['taxDown', -taxStep], ['taxUp', taxStep], ['marketTaxDown', -taxStep], ['marketTaxUp', taxStep]]
+            .forEach(([id, delta]) => {
+                const btn = document.getElementById(id);
+                if (btn) btn.addEventListener('click', () => this._changeTax(delta));
+            });
+
+        // Powder charge arrows
+        const chargeStep = this.config.GAMEPLAY.CHARGE.STEP;
+        [['chargeDown', -chargeStep], ['chargeUp', chargeStep]].forEach(([id, delta]) => {
+            const btn = document.getElementById(id);
+            if (btn) btn.addEventListener('click', () => this._changeCharge(delta));
+        });
+
+        // Market dialog
+        const marketBtn = document.getElementById('marketBtn');
+        if (marketBtn) {
+            marketBtn.addEventListener('click', () => {
+                this.toggleMarket();
+                marketBtn.blur();
+            });
+        }
+        const marketClose = document.getElementById('marketClose');
+        if (marketClose) marketClose.addEventListener('click', () => this.toggleMarket(false));
+
+        // Audience with the king
+        const kingBtn = document.getElementById('kingBtn');
+        if (kingBtn) {
+            kingBtn.addEventListener('click', () => {
+                this.consultKing();
+                kingBtn.blur();
+            });
+        }
+        const kingClose = document.getElementById('kingClose');
+        if (kingClose) kingClose.addEventListener('click', () => this._showKing(null));
+
+        // 3D or classic view
+        const viewBtn = document.getElementById('viewBtn');
+        if (viewBtn) {
+            viewBtn.addEventListener('click', () => {
+                this.toggleClassicView();
+                viewBtn.blur();
+            });
+        }
+
+        // Castle selection dialog
+        const castleBtn = document.getElementById('castleBtn');
+        if (castleBtn) {
+            castleBtn.addEventListener('click', () => {
+                this.toggleCastles();
+                castleBtn.blur();
+            });
+        }
+        const castleClose = document.getElementById('castleClose');
+        if (castleClose) castleClose.addEventListener('click', () => this.toggleCastles(false));
+        const castleStart = document.getElementById('castleStart');
+        if (castleStart) castleStart.addEventListener('click', () => this._startNewMatch());
+        const castleFile = document.getElementById('castleFile');
+        if (castleFile) {
+            castleFile.addEventListener('change', e => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (!file) return;
+                file.text()
+                    .then(text => this.addCastles(text, file.name))
+                    .catch(err => Debug.error('Could not load castles', { error: err.message }));
+            });
+        }
+
         // Window resize
         window.addEventListener('resize', () => this._onResize());
     }
@@ -120,35 +256,70 @@ class BallerGame extends BaseGameController {
      * Handle keyboard input
      */
     _onKeyDown(e) {
-        // Block input during game over, projectile flight, or AI turn
-        if (this.state.gameOver || this.projectile || this._isCurrentPlayerAI()) return;
+        // The view can change at any time, it only affects the drawing
+        if (e.key === 'v' || e.key === 'V') {
+            this.toggleClassicView();
+            return;
+        }
 
-        const cannon = this.cannons[this.state.currentPlayer];
-        if (!cannon) return;
+        // Block input during game over, projectile flight, AI turn or replay
+        if (this.state.gameOver || this.projectile || this._isCurrentPlayerAI() || this.isReplaying()) return;
+
+        if (this._kingOpen) {
+            if (e.key === 'Escape' || e.key === 'Enter') this._showKing(null);
+            return;
+        }
+        if (e.key === 'k' || e.key === 'K') {
+            this.consultKing();
+            return;
+        }
+        if (e.key === 'm' || e.key === 'M' || (e.key === 'Escape' && this._marketOpen)) {
+            this.toggleMarket();
+            return;
+        }
+        if (e.key === 'b' || e.key === 'B' || (e.key === 'Escape' && this._buildMode)) {
+            this.toggleBuildMode();
+            return;
+        }
+        // Aiming and firing wait while the market is open
+        if (this._marketOpen) return;
+
+        const charge = this.config.GAMEPLAY.CHARGE;
 
         switch (e.key) {
             case 'ArrowUp':
-                cannon.setAim(cannon.verticalAngle + 2, cannon.horizontalAngle);
-                this._updateTrajectoryPreview();
+                this._nudgeAim(2, 0);
                 break;
             case 'ArrowDown':
-                cannon.setAim(cannon.verticalAngle - 2, cannon.horizontalAngle);
-                this._updateTrajectoryPreview();
+                this._nudgeAim(-2, 0);
                 break;
             case 'ArrowLeft':
-                cannon.setAim(cannon.verticalAngle, cannon.horizontalAngle - 3);
-                this._updateTrajectoryPreview();
+                this._nudgeAim(0, -3);
                 break;
             case 'ArrowRight':
-                cannon.setAim(cannon.verticalAngle, cannon.horizontalAngle + 3);
-                this._updateTrajectoryPreview();
+                this._nudgeAim(0, 3);
+                break;
+            case 'c': case 'C':
+                this.cycleCannon();
                 break;
             case ' ':
                 this._startCharge();
                 break;
+            case '[': case ']':
+                this._changeCharge(e.key === '[' ? -charge.STEP : charge.STEP);
+                break;
+            case '{': case '}':
+                this._changeCharge(e.key === '{' ? -charge.BIG_STEP : charge.BIG_STEP);
+                break;
             case '1': case '2': case '3': case '4': case '5':
                 this._selectWeapon(parseInt(e.key, 10) - 1);
                 break;
+            case '-':
+                this._changeTax(-this.config.GAMEPLAY.ECONOMY.TAX_STEP);
+                break;
+            case '+': case '=':
+                this._changeTax(this.config.GAMEPLAY.ECONOMY.TAX_STEP);
+                break;
         }
         this._updateUI();
     }
@@ -162,35 +333,324 @@ class BallerGame extends BaseGameController {
         }
     }
 
+    /**
+     * Turn the active cannon by a few degrees (arrow keys)
+     * @param {number} dVertical - Elevation change
+     * @param {number} dHorizontal - Direction change
+     */
+    _nudgeAim(dVertical, dHorizontal) {
+        const cannon = this._currentCannon();
+        if (!cannon) return;
+        cannon.setAim(cannon.verticalAngle + dVertical, cannon.horizontalAngle + dHorizontal);
+        this._updateTrajectoryPreview();
+    }
+
+    /**
+     * Select the cannon under the mouse, if it belongs to the current player;
+     * in build mode, place a stone where the castle's front was clicked
+     */
+    _onCanvasClick(e) {
+        if (this.state.gameOver || this.projectile || this._isCurrentPlayerAI() || this.isReplaying() ||
+            this._marketOpen) return;
+
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const mouse = this.classicView.active ?
+            this.classicView.pointer(e.clientX - rect.left, e.clientY - rect.top, rect.width, rect.height) :
+            new THREE.Vector2(
+                ((e.clientX - rect.left) / rect.width) * 2 - 1,
+                -((e.clientY - rect.top) / rect.height) * 2 + 1
+            );
+        if (!mouse) return;
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(mouse, this._viewCamera());
+
+        if (this._buildMode) {
+            const castle = this.castles[this.state.currentPlayer];
+            const plane = new THREE.Plane(new THREE.Vector3(0, 0, 1), -castle.position.z);
+            const point = raycaster.ray.intersectPlane(plane, new THREE.Vector3());
+            if (point) {
+                const cell = castle.cellAt(point);
+                if (!this.placeStone(cell.x, cell.y)) this._showNotice('Stones must touch your castle');
+            }
+            return;
+        }
+
+        const own = this._cannonsOf(this.state.currentPlayer);
+        const hit = raycaster.intersectObjects(own.map(c => c.group), true)[0];
+        if (!hit) return;
+
+        const cannon = own.find(c => {
+            for (let obj = hit.object; obj; obj = obj.parent) {
+                if (obj === c.group) return true;
+            }
+            return false;
+        });
+        if (cannon) this.selectCannon(cannon.slot);
+    }
+
+    /**
+     * Surviving cannons of a player, in platform order
+     * @param {number} player - Player index
+     * @returns {Cannon[]}
+     */
+    _cannonsOf(player) {
+        return this.cannons.filter(c => c.castle.playerIndex === player);
+    }
+
+    /**
+     * The cannon the current player fires from (null if none is left)
+     * @returns {Cannon|null}
+     */
+    _currentCannon() {
+        const player = this.state.currentPlayer;
+        return this._cannonsOf(player).find(c => c.slot === this.state.activeCannon[player]) || null;
+    }
+
+    /**
+     * Fire from another cannon (click or C key)
+     * @param {number} slot - Cannon platform of the current player's castle
+     * @returns {boolean} true if a cannon stands there
+     */
+    selectCannon(slot) {
+        const player = this.state.currentPlayer;
+        if (!this._cannonsOf(player).some(c => c.slot === slot)) return false;
+
+        this.state.activeCannon[player] = slot;
+        this.state.power = this._chargeToPower(this._shotCharge());
+        this._highlightActiveCannon();
+        this._updateTrajectoryPreview();
+        this._updateUI();
+        return true;
+    }
+
+    /**
+     * Select the current player's next surviving cannon
+     */
+    cycleCannon() {
+        if (this.state.gameOver || this.projectile || this._isCurrentPlayerAI() || this.isReplaying()) return;
+
+        const own = this._cannonsOf(this.state.currentPlayer);
+        if (own.length === 0) return;
+        const index = own.indexOf(this._currentCannon());
+        this.selectCannon(own[(index + 1) % own.length].slot);
+    }
+
+    /**
+     * Make sure every player's active cannon still stands (after one is destroyed)
+     */
+    _validateActiveCannons() {
+        this.state.activeCannon.forEach((slot, player) => {
+            const own = this._cannonsOf(player);
+            if (own.length > 0 && !own.some(c => c.slot === slot)) {
+                this.state.activeCannon[player] = own[0].slot;
+            }
+        });
+        this._highlightActiveCannon();
+    }
+
+    /**
+     * Glow on the cannon the current player fires from
+     */
+    _highlightActiveCannon() {
+        if (this.headless) return;
+        const active = this._currentCannon();
+        this.cannons.forEach(c => c.setHighlight(c === active));
+    }
+
+    /**
+     * Wind vane of a player
+     * @param {number} player - Player index
+     * @returns {WindVane|null} null once it has been shot off
+     */
+    _vaneOf(player) {
+        return this.vanes.find(v => v.castle.playerIndex === player) || null;
+    }
+
+    /**
+     * Put a wind vane on a castle
+     * @param {number} player - Castle owner
+     * @returns {WindVane}
+     */
+    _placeVane(player) {
+        const vane = new WindVane(this.scene, this.castles[player]);
+        this.vanes.push(vane);
+        return vane;
+    }
+
+    /**
+     * Shoot off a wind vane a ball passed through (original: wx[n]=-1)
+     * @param {WindVane} vane
+     * @param {Object} info - Event fields {cause, position, weapon}
+     */
+    _destroyVane(vane, info) {
+        this.vanes.splice(this.vanes.indexOf(vane), 1);
+        vane.kill();
+        this.particles.createExplosion(vane.position, { radius: 1, count: 8 });
+        vane.dispose();
+
+        Debug.info(`Player ${vane.castle.playerIndex + 1} lost the wind vane`);
+        this.emit('entityKilled', { entity: vane, ...info });
+    }
+
+    /**
+     * Wind as the current player sees it: exact with a vane, unknown without
+     * @returns {Object|null} {strength, direction}, null if unknown
+     */
+    getVisibleWind() {
+        return this._vaneOf(this.state.currentPlayer) ? this.state.wind : null;
+    }
+
+    /**
+     * Mining towers of a player
+     * @param {number} player - Player index
+     * @returns {MiningTower[]}
+     */
+    _towersOf(player) {
+        return this.towers.filter(t => t.castle.playerIndex === player);
+    }
+
+    /**
+     * Build a mining tower on a free place in front of the castle
+     * (fturm(): the nearest free one, so lost towers are rebuilt first)
+     * @param {number} player - Castle owner
+     * @param {number} slot - Place in the row (first free one if omitted)
+     * @returns {MiningTower}
+     */
+    _placeTower(player, slot = this._freeTowerSlot(player)) {
+        const tower = new MiningTower(this.scene, this.castles[player], slot);
+        this.towers.push(tower);
+        return tower;
+    }
+
+    /**
+     * First place in front of the castle without a tower
+     * @param {number} player - Castle owner
+     * @returns {number}
+     */
+    _freeTowerSlot(player) {
+        const taken = this._towersOf(player).map(t => t.slot);
+        let slot = 0;
+        while (taken.includes(slot)) slot++;
+        return slot;
+    }
+
+    /**
+     * Remove a mining tower that was shot down
+     * @param {MiningTower} tower
+     */
+    _removeTower(tower) {
+        this.towers.splice(this.towers.indexOf(tower), 1);
+        this.particles.createExplosion(tower.getCenter(), { radius: 3, count: 24 });
+        tower.dispose();
+        Debug.info(`Player ${tower.castle.playerIndex + 1} lost a mining tower`, { slot: tower.slot });
+    }
+
+    /**
+     * Put a new cannon on a castle platform
+     * @param {number} player - Castle owner
+     * @param {number} slot - Platform index
+     * @returns {Cannon}
+     */
+    _placeCannon(player, slot) {
+        const cannon = new Cannon(this.scene, this.castles[player], slot);
+        this.cannons.push(cannon);
+        this.cannons.sort((a, b) => a.castle.playerIndex - b.castle.playerIndex || a.slot - b.slot);
+        return cannon;
+    }
+
+    /**
+     * First castle platform without a cannon
+     * @param {number} player - Castle owner
+     * @returns {number} Slot index, -1 if all are manned
+     */
+    _freeCannonSlot(player) {
+        const taken = this._cannonsOf(player).map(c => c.slot);
+        return this.castles[player].cannonSlots.findIndex((s, i) => !taken.includes(i));
+    }
+
+    /**
+     * Blow up a cannon hit by a ball (original: ka[n][j].x=-1)
+     * @param {Cannon} cannon
+     * @param {Object} info - Event fields {cause, position, weapon}
+     */
+    _destroyCannon(cannon, info) {
+        this.cannons.splice(this.cannons.indexOf(cannon), 1);
+        cannon.kill();
+        this.particles.createExplosion(cannon.position, { radius: 2, count: 16 });
+        cannon.dispose();
+
+        Debug.info(`Player ${cannon.castle.playerIndex + 1} lost a cannon`, { slot: cannon.slot });
+        this.emit('entityKilled', { entity: cannon, ...info });
+        this._validateActiveCannons();
+    }
+
     /**
      * Update trajectory preview based on current aim
      */
     _updateTrajectoryPreview() {
         if (!this.trajectoryPreview || this._isCurrentPlayerAI()) return;
 
-        const cannon = this.cannons[this.state.currentPlayer];
-        if (!cannon) return;
+        const cannon = this._currentCannon();
+        if (!cannon) {
+            this.trajectoryPreview.clear();
+            return;
+        }
 
-        // Calculate preview velocity (use current power or default)
+        // Preview velocity from the powder charge the shot would use
         const weapon = this.config.WEAPONS[this.state.currentWeapon];
-        const power = this.state.charging ? this.state.power : 20;
-        const speed = Math.max(10, power) * weapon.speed;
+        const speed = this._chargeToPower(this._shotCharge()) * weapon.speed;
 
         const position = cannon.getFirePosition();
         const direction = cannon.getFireDirection();
         const velocity = direction.multiplyScalar(speed);
 
-        this.trajectoryPreview.update(position, velocity, this.state.wind, this.terrain);
+        // Without a vane the preview can't give the wind away
+        this.trajectoryPreview.update(position, velocity, this.getVisibleWind(), this.terrain);
+    }
+
+    /**
+     * Pull the trigger (override) - there is no hold-to-charge, the powder
+     * charge alone sets the muzzle speed
+     */
+    _startCharge() {
+        if (this.state.gameOver || this.projectile || this.isReplaying()) return;
+        this.toggleBuildMode(false);
+        this.state.charging = true;
+        this.state.power = this._chargeToPower(this._shotCharge());
     }
 
     /**
      * Fire projectile (override)
+     * Costs the powder charge and one ball; refused with a message when the
+     * stores run out (original ein_zug())
      */
     _fire() {
+        if (!this.state.charging) return;
+
+        const reason = this.whyCannotFire();
+        if (reason) {
+            this.state.charging = false;
+            this._showNotice(reason);
+            return;
+        }
+
+        const charge = this._shotCharge();
+        this.state.power = this._chargeToPower(charge);
         const fireData = this._getFireData();
         if (!fireData) return;
 
-        const cannon = this.cannons[this.state.currentPlayer];
+        const player = this.getCurrentEconomy();
+        player.powder -= charge;
+        player.balls--;
+
+        const cannon = this._currentCannon();
+        this._recordInput('fire', {
+            cannon: cannon.slot,
+            weapon: this.state.currentWeapon,
+            verticalAngle: cannon.verticalAngle,
+            horizontalAngle: cannon.horizontalAngle,
+            charge
+        });
 
         // Create projectile
         const position = cannon.getFirePosition();
@@ -205,29 +665,548 @@ class BallerGame extends BaseGameController {
         );
         this.projectile.weapon = fireData.weapon;
 
+        this.emit('fire', {
+            ...this._turnInfo(),
+            weapon: fireData.weapon,
+            power: fireData.power,
+            charge,
+            projectile: this.projectile
+        });
+
         // Track projectile with camera
         this.setCameraTarget(
             new THREE.Vector3(position.x * 0.5, position.y + 15, position.z + 40),
             position
         );
 
-        Debug.debug('Fired', { power: fireData.power, weapon: fireData.weapon.name });
+        Debug.debug('Fired', { charge, powder: player.powder, balls: player.balls, weapon: fireData.weapon.name });
+        this._updateUI();
     }
 
     /**
-     * Update game logic (override)
+     * Why the current player can't fire right now (null if they can)
+     * @returns {string|null}
      */
-    update(deltaTime) {
-        // Update charging and trajectory preview
-        if (this.state.charging) {
-            this.state.power = Math.min(
-                this.config.GAMEPLAY.MAX_POWER,
-                this.state.power + deltaTime * this._getChargeRate()
-            );
-            // Update trajectory preview during charge to show power changes
-            this._updateTrajectoryPreview();
+    whyCannotFire() {
+        if (!this._currentCannon()) return 'You have no cannon left!';
+
+        const player = this.getCurrentEconomy();
+        if (player.powder < this.config.GAMEPLAY.CHARGE.MIN) return 'Not enough powder!';
+        if (player.balls <= 0) return 'No cannonballs left!';
+        return null;
+    }
+
+    /**
+     * Powder the next shot will use: the cannon's charge, but never more
+     * than is left in store (original sch_obj())
+     * @returns {number}
+     */
+    _shotCharge() {
+        const cannon = this._currentCannon();
+        const charge = cannon ? cannon.charge : this.config.GAMEPLAY.CHARGE.START;
+        return Math.min(charge, this.getCurrentEconomy().powder);
+    }
+
+    /**
+     * Launch power for a powder charge (original schuss(): v = .4 + .25 * charge)
+     * @param {number} charge - Powder units
+     * @returns {number}
+     */
+    _chargeToPower(charge) {
+        const speed = c => 0.4 + 0.25 * c;
+        return this.config.GAMEPLAY.MAX_POWER * speed(charge) / speed(this.config.GAMEPLAY.CHARGE.MAX);
+    }
+
+    /**
+     * Powder charge for a launch power (inverse of _chargeToPower, not rounded)
+     * @param {number} power
+     * @returns {number}
+     */
+    _powerToCharge(power) {
+        const fullSpeed = 0.4 + 0.25 * this.config.GAMEPLAY.CHARGE.MAX;
+        return (power / this.config.GAMEPLAY.MAX_POWER * fullSpeed - 0.4) / 0.25;
+    }
+
+    /**
+     * Load more or less powder for the next shot (charge arrows, [ ] and { } keys)
+     * @param {number} delta - Change in powder units
+     */
+    _changeCharge(delta) {
+        if (this.state.gameOver || this.projectile || this._isCurrentPlayerAI() || this.isReplaying()) return;
+
+        const cannon = this._currentCannon();
+        if (!cannon) return;
+        cannon.setCharge(cannon.charge + delta);
+        this.state.power = this._chargeToPower(this._shotCharge());
+        this._updateTrajectoryPreview();
+        this._updateUI();
+    }
+
+    /**
+     * Replay a recorded shot or tax change (override)
+     */
+    _applyReplayInput(event) {
+        switch (event.type) {
+            case 'fire': {
+                this.selectCannon(event.cannon);
+                const cannon = this._currentCannon();
+                this._selectWeapon(event.weapon);
+                cannon.setAim(event.verticalAngle, event.horizontalAngle);
+                cannon.setCharge(event.charge);
+                this.state.charging = true;
+                this._fire();
+                break;
+            }
+            case 'tax':
+                this._setTax(event.tax);
+                break;
+            case 'buy':
+                this._purchase(event.item);
+                break;
+            case 'stone':
+                this._placeStone(event.x, event.y);
+                break;
+            case 'pass':
+                this._nextTurn();
+                break;
+        }
+    }
+
+    /**
+     * Give up the rest of the turn (an AI with nothing to fire)
+     */
+    _passTurn() {
+        this._recordInput('pass');
+        this._nextTurn();
+    }
+
+    /**
+     * Fresh treasury for every player and opening market prices
+     */
+    _initEconomy() {
+        this.state.economy = [];
+        const designs = this.config.GAMEPLAY.CASTLE_DESIGNS || [];
+        for (let i = 0; i < this.config.GAMEPLAY.PLAYER_COUNT; i++) {
+            this.state.economy.push(this.economy.createPlayer(designs[i] ? designs[i].start : null));
+        }
+        this.state.prices = this.market.createPrices(this.random.stream('economy'));
+        this.state.audiences = this.state.economy.map(() => this.advisor.createRecord());
+    }
+
+    /**
+     * Treasury of the player whose turn it is
+     * @returns {Object} {gold, population, tax, powder, balls, vane}
+     */
+    getCurrentEconomy() {
+        return this.state.economy[this.state.currentPlayer];
+    }
+
+    /**
+     * Raise or lower the current player's tax (HUD arrows, -/+ keys)
+     * @param {number} delta - Change in percent
+     */
+    _changeTax(delta) {
+        if (this.state.gameOver || this.projectile || this._isCurrentPlayerAI() || this.isReplaying()) return;
+        this._setTax(this.getCurrentEconomy().tax + delta);
+    }
+
+    /**
+     * Set the current player's tax rate (recorded for replays)
+     * @param {number} tax - Rate in percent
+     */
+    _setTax(tax) {
+        const player = this.getCurrentEconomy();
+        const clamped = this.economy.clampTax(tax);
+        if (clamped === player.tax) return;
+
+        this._recordInput('tax', { tax: clamped });
+        player.tax = clamped;
+        this._updateUI();
+        this._renderMarket();
+    }
+
+    /**
+     * What the current player's castle has room for (market restrictions)
+     * @returns {Object} {cannons, cannonSlots, towers, vane, canBuild, storage}
+     */
+    _getCastleCapacity() {
+        const player = this.state.currentPlayer;
+        return {
+            cannons: this._cannonsOf(player).length,
+            cannonSlots: this.castles[player].cannonSlots.length,
+            towers: this._towersOf(player).length,
+            vane: !!this._vaneOf(player),
+            canBuild: this.castles[player].hasBuildRoom(),
+            storage: this.castles[player].storage
+        };
+    }
+
+    /**
+     * Why the current player can't buy an item (null if they can)
+     * @param {string} id - Market item id
+     * @returns {string|null}
+     */
+    whyCannotBuy(id) {
+        return this.market.whyNot(id, this.getCurrentEconomy(), this.state.prices, this._getCastleCapacity());
+    }
+
+    /**
+     * Buy from the market for the human player whose turn it is
+     * @param {string} id - Market item id
+     * @returns {boolean} true if bought
+     */
+    buy(id) {
+        if (this.state.gameOver || this.projectile || this._isCurrentPlayerAI() || this.isReplaying()) return false;
+        return this._purchase(id);
+    }
+
+    /**
+     * Pay for an item and put it in place (recorded for replays)
+     * @param {string} id - Market item id
+     * @returns {boolean} true if bought
+     */
+    _purchase(id) {
+        const player = this.getCurrentEconomy();
+        if (this.whyCannotBuy(id)) return false;
+
+        this._recordInput('buy', { item: id });
+        this.market.buy(id, player, this.state.prices, this._getCastleCapacity());
+
+        switch (id) {
+            case 'tower':
+                this._placeTower(this.state.currentPlayer);
+                break;
+            case 'cannon': {
+                // Goes on the first free platform; fire from it if it's the only one
+                const hadCannon = !!this._currentCannon();
+                const cannon = this._placeCannon(this.state.currentPlayer, this._freeCannonSlot(this.state.currentPlayer));
+                if (!hadCannon) this.selectCannon(cannon.slot);
+                break;
+            }
+            case 'vane':
+                this._placeVane(this.state.currentPlayer);
+                break;
+            case 'build':
+                this.state.stones += this.config.GAMEPLAY.BUILD.STONES;
+                this.toggleBuildMode(true);
+                break;
         }
 
+        Debug.info(`Player ${this.state.currentPlayer + 1} bought ${id}`, { gold: player.gold });
+        this._updateUI();
+        this._renderMarket();
+        return true;
+    }
+
+    /**
+     * Computer shopping before its shot (original comp(): powder when low,
+     * balls when out, a cannon when none is left, towers for patient strategies)
+     */
+    _aiShopping() {
+        const player = this.getCurrentEconomy();
+        const ai = this.aiControllers[this.state.currentPlayer];
+
+        if (player.powder < 20) this._purchase('powder');
+        if (!player.balls) this._purchase('balls');
+        if (this._getCastleCapacity().cannons === 0) this._purchase('cannon');
+        if (this._towersOf(this.state.currentPlayer).length < 3 && ai && ai.strategy > 2) this._purchase('tower');
+    }
+
+    /**
+     * What the king judges the current player by
+     * @returns {Object} Situation for KingAdvisor.consult()
+     */
+    _kingSituation() {
+        const player = this.state.currentPlayer;
+        const economy = this.getCurrentEconomy();
+        const start = this._startOf(player);
+        const price = id => this.state.prices[this.market.indexOf(id)];
+
+        return {
+            gold: economy.gold,
+            tax: economy.tax,
+            population: economy.population,
+            startGold: start.gold,
+            startPopulation: start.people,
+            towers: this._towersOf(player).length,
+            cannons: this._cannonsOf(player).length,
+            vane: !!this._vaneOf(player),
+            towerPrice: price('tower'),
+            cannonPrice: price('cannon'),
+            turn: this.state.turn - 1
+        };
+    }
+
+    /**
+     * Ask the king for advice, for the human player whose turn it is (original
+     * koenig()). Only once a turn, and he tires of daily visits
+     * @returns {string|null} What he said, null if it isn't the player's move
+     */
+    consultKing() {
+        if (this.state.gameOver || this.projectile || this._isCurrentPlayerAI() || this.isReplaying()) return null;
+
+        const answer = this.advisor.consult(this.state.audiences[this.state.currentPlayer],
+            this._kingSituation(), this.random.stream('king'));
+        const text = BallerStrings.get(`king.${answer.key}`, this.language, answer.params);
+        Debug.info(`Player ${this.state.currentPlayer + 1} consulted the king: ${answer.key}`);
+        this._showKing(answer.key, text);
+        return text;
+    }
+
+    /**
+     * Show the king's dialog, or close it
+     * @param {string|null} key - KingAdvisor message key, 'refused', or null to close
+     * @param {string} message - The text for the key
+     */
+    _showKing(key, message = '') {
+        this._kingOpen = !!key;
+        if (this.headless) return;
+
+        const modal = document.getElementById('kingModal');
+        if (modal) modal.classList.toggle('hidden', !this._kingOpen);
+        if (!this._kingOpen) return;
+
+        const text = key => BallerStrings.get(`king.${key}`, this.language);
+        const refused = key === 'refused';
+        const fields = {
+            kingTitle: refused ? '' : text('title'),
+            kingMessage: message,
+            kingClose: text(refused ? 'refusedButton' : 'acknowledge')
+        };
+        Object.entries(fields).forEach(([id, value]) => {
+            const el = document.getElementById(id);
+            if (el) el.textContent = value;
+        });
+    }
+
+    /**
+     * Show or hide the market dialog
+     * @param {boolean} open - Force open/closed (toggles if omitted)
+     */
+    toggleMarket(open = !this._marketOpen) {
+        if (open && (this.state.gameOver || this.projectile || this._isCurrentPlayerAI() || this.isReplaying())) return;
+
+        this._marketOpen = open;
+        if (this.headless) return;
+
+        const modal = document.getElementById('marketModal');
+        if (modal) modal.classList.toggle('hidden', !open);
+        this._renderMarket();
+    }
+
+    /**
+     * Castle for each player from the next match on (init or restart).
+     * Saves remember their castles; replays need the same ones to play back
+     * @param {Array<Object|null>} designs - Per player: a CastleLoader
+     *                                       descriptor, or null for the classic castle
+     */
+    useCastles(designs) {
+        this._useGameplay({ CASTLE_DESIGNS: designs.map(d => d || null) });
+    }
+
+    /**
+     * Round limit from the next match on (init or restart)
+     * @param {number} rounds - Rounds until the better position wins, 0 for no limit
+     */
+    useMaxRounds(rounds) {
+        this._useGameplay({ MAX_ROUNDS: Math.max(0, Math.trunc(rounds) || 0) });
+    }
+
+    /**
+     * Replace gameplay settings in the config (match options)
+     * @param {Object} values - GAMEPLAY keys to override
+     */
+    _useGameplay(values) {
+        this.config = Object.freeze(mergeConfig(this.config, { GAMEPLAY: values }));
+    }
+
+    /**
+     * Add the castles of a BALLER.DAT file to the choices
+     * @param {string} text - File contents
+     * @param {string} source - Shown before each castle's name, e.g. the file name
+     * @returns {Object[]} The new descriptors
+     * @throws {Error} If the file is incomplete
+     */
+    addCastles(text, source) {
+        const castles = CastleLoader.parse(text).map(c => ({ ...c, name: `${source}: ${c.name}` }));
+        this.castleChoices.push(...castles);
+        Debug.info(`Loaded ${castles.length} castles from ${source}`);
+        this._renderCastles();
+        return castles;
+    }
+
+    /**
+     * Show or hide the castle selection dialog
+     * @param {boolean} open - Force open/closed (toggles if omitted)
+     */
+    toggleCastles(open = !this._castlesOpen) {
+        this._castlesOpen = open;
+        if (this.headless) return;
+
+        const modal = document.getElementById('castleModal');
+        if (modal) modal.classList.toggle('hidden', !open);
+        this._renderCastles();
+    }
+
+    /**
+     * Fill the castle dialog's player selects, keeping the current picks
+     */
+    _renderCastles() {
+        if (this.headless || !this._castlesOpen) return;
+
+        const rounds = document.getElementById('roundLimit');
+        if (rounds) rounds.value = this.config.GAMEPLAY.MAX_ROUNDS || '';
+
+        const designs = this.config.GAMEPLAY.CASTLE_DESIGNS || [];
+        for (let i = 0; i < this.config.GAMEPLAY.PLAYER_COUNT; i++) {
+            const select = document.getElementById(`castleSelect${i + 1}`);
+            if (!select) continue;
+
+            const picked = select.options.length ? select.value : String(this.castleChoices.indexOf(designs[i]));
+            select.innerHTML = '';
+            ['Classic 3D castle', ...this.castleChoices.map(c => c.name)].forEach((name, k) => {
+                const option = document.createElement('option');
+                option.value = String(k - 1);
+                option.textContent = name;
+                select.appendChild(option);
+            });
+            select.value = picked;
+        }
+    }
+
+    /**
+     * Start a new match with the castles and round limit picked in the dialog
+     */
+    _startNewMatch() {
+        const designs = [];
+        for (let i = 0; i < this.config.GAMEPLAY.PLAYER_COUNT; i++) {
+            const select = document.getElementById(`castleSelect${i + 1}`);
+            designs.push(select ? this.castleChoices[parseInt(select.value, 10)] : null);
+        }
+        const rounds = document.getElementById('roundLimit');
+
+        this.toggleCastles(false);
+        this.useCastles(designs);
+        if (rounds) this.useMaxRounds(parseInt(rounds.value, 10));
+        this.stopReplay();
+        this.restart();
+    }
+
+    /**
+     * Enter or leave build mode, where clicks place the stones bought as
+     * stonework. Unplaced stones stay until the end of the turn
+     * @param {boolean} on - Force on/off (toggles if omitted)
+     */
+    toggleBuildMode(on = !this._buildMode) {
+        if (on && (this.state.stones <= 0 || this.state.gameOver || this.projectile ||
+            this._isCurrentPlayerAI() || this.isReplaying())) return;
+        if (on === this._buildMode) return;
+
+        this._buildMode = on;
+        if (this.headless) return;
+
+        if (on) {
+            this.toggleMarket(false);
+            this._showNotice(`Build: click next to your walls (${this.state.stones} stones, B to stop)`);
+        }
+        this.renderer.domElement.style.cursor = on ? 'crosshair' : '';
+        this._updateUI();
+    }
+
+    /**
+     * Place a stone for the human player whose turn it is
+     * @param {number} cx - Build grid cell x of their castle
+     * @param {number} cy - Build grid cell y
+     * @returns {boolean} true if placed
+     */
+    placeStone(cx, cy) {
+        if (this.state.gameOver || this.projectile || this._isCurrentPlayerAI() || this.isReplaying()) return false;
+        return this._placeStone(cx, cy);
+    }
+
+    /**
+     * Add a stone to the current player's castle (recorded for replays)
+     * @param {number} cx - Build grid cell x
+     * @param {number} cy - Build grid cell y
+     * @returns {boolean} true if placed
+     */
+    _placeStone(cx, cy) {
+        const castle = this.castles[this.state.currentPlayer];
+        if (this.state.stones <= 0 || !castle.canBuildAt(cx, cy)) return false;
+
+        this._recordInput('stone', { x: cx, y: cy });
+        castle.addBlock(cx, cy);
+        this.state.stones--;
+        if (this.state.stones === 0) this.toggleBuildMode(false);
+
+        this._updateUI();
+        return true;
+    }
+
+    /**
+     * Fill the market dialog: what the player owns and what they can buy
+     */
+    _renderMarket() {
+        if (this.headless || !this._marketOpen) return;
+
+        const player = this.getCurrentEconomy();
+        const castle = this._getCastleCapacity();
+        this._updateUIElements({
+            'marketPlayer': `Player ${this.state.currentPlayer + 1}`,
+            'marketGold': player.gold,
+            'marketTowers': castle.towers,
+            'marketCannons': castle.cannons,
+            'marketVane': castle.vane ? 'yes' : 'no',
+            'marketPowder': player.powder,
+            'marketBalls': player.balls,
+            'marketPopulation': player.population,
+            'marketTax': player.tax
+        });
+
+        const list = document.getElementById('marketItems');
+        if (!list) return;
+
+        list.innerHTML = '';
+        this.market.items.forEach((item, i) => {
+            const reason = this.whyCannotBuy(item.id);
+            const full = this.market.isFull(item.id, player, castle.storage);
+            const btn = document.createElement('button');
+            btn.className = 'market-item';
+            btn.disabled = !!reason;
+            btn.title = reason || (full ? 'Storeroom full - you would pay for nothing' : '');
+            btn.textContent = `${item.name}${item.amount ? ` (${item.amount})` : ''} - ${this.state.prices[i]}`;
+            btn.addEventListener('click', () => this.buy(item.id));
+            list.appendChild(btn);
+        });
+    }
+
+    /**
+     * End-of-turn taxes, migration and price drift after the player's move (rechnen())
+     */
+    _collectTaxes() {
+        const player = this.getCurrentEconomy();
+        const rng = this.random.stream('economy');
+        const towers = this._towersOf(this.state.currentPlayer).length;
+        const maxGold = this.castles[this.state.currentPlayer].storage.MAX_GOLD;
+        const result = this.economy.collect(player, rng, towers, maxGold);
+        this.market.drift(this.state.prices, rng);
+
+        Debug.debug(`Player ${this.state.currentPlayer + 1} economy`, {
+            gold: player.gold,
+            population: player.population,
+            income: result.income,
+            migration: result.migration
+        });
+
+        if (player.population <= 0) {
+            this._checkVictory();
+        }
+    }
+
+    /**
+     * Update game logic (override)
+     */
+    update(deltaTime) {
         // Update turn timer
         if (!this.state.gameOver && !this.projectile) {
             this.state.turnTimer -= deltaTime;
@@ -252,7 +1231,13 @@ class BallerGame extends BaseGameController {
                 );
             }
 
-            if (!active) {
+            // A vane in the way is shot off and the ball flies on
+            const position = this.projectile.position;
+            this.vanes.filter(v => v.isHitBy(position)).forEach(v =>
+                this._destroyVane(v, { cause: 'impact', position: position.clone(), weapon: this.projectile.weapon }));
+
+            // A ball flying into a cannon or a throne room stops there
+            if (!active || this._targetInPath()) {
                 this._onProjectileHit();
             }
         }
@@ -260,36 +1245,131 @@ class BallerGame extends BaseGameController {
         // Update particles
         this.particles.update(deltaTime);
 
-        // Update castle health bars (make them face camera)
-        this.castles.forEach(castle => {
-            castle.updateHealthBar(this.camera);
+        // Vanes swing with the wind
+        this.vanes.forEach(vane => {
+            vane.setWind(this.state.wind, this.config.PHYSICS.WIND_MAX);
+            vane.update(deltaTime);
         });
 
+        // Update castle health bars (make them face camera)
+        if (!this.headless) {
+            this.castles.forEach(castle => {
+                castle.updateHealthBar(this._viewCamera());
+            });
+        }
+
         // Update UI
         this._updateUI();
     }
 
+    /**
+     * Whether the ball in flight has reached a cannon, a mining tower or a throne room
+     * @returns {boolean}
+     */
+    _targetInPath() {
+        const position = this.projectile.position;
+        const radius = this.config.GAMEPLAY.CANNON_HIT_RADIUS;
+        return this.cannons.some(c => c.isHitBy(position, radius)) ||
+            this.towers.some(t => t.isHitBy(position)) ||
+            this.kings.some(k => k.isHitBy(position));
+    }
+
     /**
      * Apply damage to entities (override)
+     * Blast damage grows with how hard the ball hit; direct hits on cannons,
+     * kings, vanes and chambers do the same at any speed, as in the original
      */
-    _applyDamageToEntities(position, weapon) {
+    _applyDamageToEntities(position, weapon, impact = { scale: 1 }) {
+        // Cannons only go down to direct hits
+        const radius = this.config.GAMEPLAY.CANNON_HIT_RADIUS;
+        this.cannons.filter(c => c.isHitBy(position, radius))
+            .forEach(c => this._destroyCannon(c, { cause: 'impact', position, weapon }));
+
+        // A ball in the throne room kills the king (original end code 16)
+        this.kings.filter(k => k.isHitBy(position)).forEach(king => {
+            king.kill();
+            this.particles.createExplosion(king.position, { radius: 3, count: 30 });
+            king.dispose();
+            Debug.info(`Player ${king.castle.playerIndex + 1}'s king was hit`);
+            this.emit('entityKilled', { entity: king, cause: 'impact', position, weapon });
+        });
+
+        // Mining towers take blast damage; a direct hit brings one down
+        this.towers.slice().forEach(tower => {
+            const dist = position.distanceTo(tower.getCenter());
+            if (dist >= weapon.radius) return;
+
+            this._damageEntity(tower, weapon.damage * impact.scale * (1 - dist / weapon.radius),
+                { cause: 'impact', position, weapon });
+            if (!tower.alive) this._removeTower(tower);
+        });
+
         this.castles.forEach((castle, i) => {
             if (!castle.alive) return;
 
             const dist = position.distanceTo(castle.position);
             if (dist < weapon.radius + 5) {
                 const dmgFactor = 1 - (dist / (weapon.radius + 5));
-                const damage = weapon.damage * dmgFactor;
-                castle.takeDamage(damage, position);
+                const damage = weapon.damage * impact.scale * dmgFactor;
+                this._damageEntity(castle, damage, { cause: 'impact', position, weapon });
 
                 // Show damage number
                 this.particles.createFloatingText(castle.position.clone(), damage, {
                     color: this.config.PLAYERS[i].roof
                 });
+            }
 
-                if (!castle.alive) {
-                    this._checkVictory();
-                }
+            this._applyHitZones(castle, position, weapon);
+        });
+    }
+
+    /**
+     * What a hit does inside a castle (original schuss()): the gold or ball
+     * chamber loses part of its stock, the powder chamber goes up with all
+     * the powder, and people in the walls may die
+     * @param {Castle} castle
+     * @param {THREE.Vector3} position - Impact point
+     * @param {Object} weapon
+     */
+    _applyHitZones(castle, position, weapon) {
+        const settings = this.config.GAMEPLAY.HIT_ZONES;
+        const economy = this.state.economy[castle.playerIndex];
+        const rng = this.random.stream('hits');
+
+        castle.hitZonesAt(position).forEach(zone => {
+            let lost = 0;
+            switch (zone.type) {
+                case 'gold':
+                    lost = Math.min(settings.GOLD_LOSS, economy.gold);
+                    economy.gold -= lost;
+                    break;
+                case 'powder':
+                    lost = economy.powder;
+                    economy.powder = 0;
+                    break;
+                case 'balls':
+                    lost = Math.min(settings.BALL_LOSS, economy.balls);
+                    economy.balls -= lost;
+                    break;
+                case 'walls':
+                    for (let k = 0; k < settings.CASUALTY_ROLLS; k++) lost += rng.int(2);
+                    lost = Math.min(lost, economy.population);
+                    economy.population -= lost;
+                    break;
+            }
+
+            // The chamber bursts; a full powder store takes part of the castle with it
+            const color = settings.COLORS[zone.type];
+            if (zone.type === 'powder' && lost > 0) {
+                const blast = settings.POWDER_BLAST;
+                this.particles.createExplosion(zone.center, { radius: blast.RADIUS, count: blast.RADIUS * 10 });
+                this._damageEntity(castle, blast.DAMAGE, { cause: 'impact', position: zone.center, weapon });
+            } else if (zone.type !== 'walls') {
+                this.particles.createExplosion(zone.center, { radius: 2, count: 16, colors: [color, 0xffaa00] });
+            }
+            if (lost > 0) {
+                this.particles.createFloatingText(zone.center.clone(), lost, { color });
+                Debug.info(`Player ${castle.playerIndex + 1} lost ${lost} ${zone.type === 'walls' ? 'people' : zone.type}`);
             }
         });
     }
@@ -298,21 +1378,162 @@ class BallerGame extends BaseGameController {
      * Switch to next player (override)
      */
     _nextTurn() {
+        this._collectTaxes();
+        if (this.state.gameOver) return;
+
+        // The next king may give up before his turn (original code 32)
+        const next = (this.state.currentPlayer + 1) % this.config.GAMEPLAY.PLAYER_COUNT;
+        if (this._shouldCapitulate(next)) {
+            this._endGame(next, 'capitulation');
+            return;
+        }
+
+        // Out of rounds: the worse position loses, the left one on a tie (code 64)
+        const maxRounds = this.config.GAMEPLAY.MAX_ROUNDS;
+        if (maxRounds && Math.trunc(this.state.turn / 2) >= maxRounds) {
+            this.state.scores = this.castles.map((c, i) => this.scorePosition(i));
+            this._endGame(this.state.scores[1].total < this.state.scores[0].total ? 1 : 0, 'rounds');
+            return;
+        }
+
+        this.advisor.endTurn(this.state.audiences[this.state.currentPlayer]);
         this._prepareNextTurn();
+        this.toggleMarket(false);
+        this._showKing(null);
+        this.toggleBuildMode(false);
+        this.state.stones = 0;
 
         this.state.currentPlayer = (this.state.currentPlayer + 1) % this.config.GAMEPLAY.PLAYER_COUNT;
 
         Debug.info(`Turn: Player ${this.state.currentPlayer + 1}`);
 
-        // Trigger AI turn if current player is AI
-        if (this._isCurrentPlayerAI()) {
-            // Clear trajectory preview for AI turns
-            if (this.trajectoryPreview) this.trajectoryPreview.clear();
-            this._scheduleAIAction();
-        } else {
-            // Show initial trajectory preview for human player
-            this._updateTrajectoryPreview();
-        }
+        this._autosave();
+        this._startTurn();
+    }
+
+    /**
+     * Worth of a player's position in gold at today's prices (original
+     * ein_zug() at the round limit):
+     *   ge + pu * p4 / 30 + ku * p5 / 2 + vane * p3 + vo * 4
+     *      + p1 per mining tower + p2 per cannon
+     * @param {number} player - Player index
+     * @returns {Object} {gold, powder, balls, vane, people, towers, cannons, total}
+     */
+    scorePosition(player) {
+        const economy = this.state.economy[player];
+        const price = id => this.state.prices[this.market.indexOf(id)];
+        const score = {
+            gold: economy.gold,
+            powder: Math.trunc(economy.powder * price('powder') / 30),
+            balls: Math.trunc(economy.balls * price('balls') / 2),
+            vane: this._vaneOf(player) ? price('vane') : 0,
+            people: economy.population * 4,
+            towers: this._towersOf(player).length * price('tower'),
+            cannons: this._cannonsOf(player).length * price('cannon')
+        };
+        score.total = Object.values(score).reduce((sum, value) => sum + value, 0);
+        return score;
+    }
+
+    /**
+     * Gold and people a player's castle started the match with: its
+     * design's, else the economy defaults
+     * @param {number} player - Player index
+     * @returns {Object} {gold, people}
+     */
+    _startOf(player) {
+        const design = (this.config.GAMEPLAY.CASTLE_DESIGNS || [])[player];
+        const settings = this.config.GAMEPLAY.ECONOMY;
+        return design ? design.start : { gold: settings.START_GOLD, people: settings.START_POPULATION };
+    }
+
+    /**
+     * Whether a king sees no way out and capitulates (original zug()):
+     * no cannon left while the enemy still has one, fewer people than his
+     * castle started with, less gold than a third of a cannon and no mining towers
+     * @param {number} player - Player index
+     * @returns {boolean}
+     */
+    _shouldCapitulate(player) {
+        if (!this.config.GAMEPLAY.CAPITULATION) return false;
+
+        const economy = this.state.economy[player];
+        const enemy = (player + 1) % this.config.GAMEPLAY.PLAYER_COUNT;
+        const cannonPrice = this.state.prices[this.market.indexOf('cannon')];
+
+        return this._cannonsOf(player).length === 0 &&
+            this._cannonsOf(enemy).length > 0 &&
+            economy.population < this._startOf(player).people &&
+            economy.gold < Math.trunc(cannonPrice / 3) &&
+            this._towersOf(player).length === 0;
+    }
+
+    /**
+     * Castle health, the surviving cannons, mining towers and wind vanes (for save games)
+     * @protected
+     */
+    _serializeEntities() {
+        return {
+            designs: this.config.GAMEPLAY.CASTLE_DESIGNS,
+            maxRounds: this.config.GAMEPLAY.MAX_ROUNDS,
+            castles: this.castles.map(c => c.serialize()),
+            cannons: this.cannons.map(c => ({ player: c.castle.playerIndex, ...c.serialize() })),
+            towers: this.towers.map(t => ({ player: t.castle.playerIndex, ...t.serialize() })),
+            vanes: this.vanes.map(v => v.castle.playerIndex)
+        };
+    }
+
+    /**
+     * Resume a match with the castles and round limit it was saved with (override)
+     * @param {Object} snapshot - From createSnapshot()
+     * @returns {boolean} true if restored
+     */
+    restoreSnapshot(snapshot) {
+        // The world is rebuilt from the config, so the match options must be set first
+        const saved = snapshot && snapshot.game === this.constructor.name && snapshot.entities;
+        if (saved && saved.designs) this.useCastles(saved.designs);
+        if (saved && saved.maxRounds !== undefined) this.useMaxRounds(saved.maxRounds);
+        return super.restoreSnapshot(snapshot);
+    }
+
+    /**
+     * Apply saved castles, cannons, mining towers and wind vanes to the rebuilt world
+     * @protected
+     */
+    _restoreEntities(data) {
+        data.castles.forEach((saved, i) => this.castles[i] && this.castles[i].restore(saved));
+
+        // Only the saved cannons survive
+        this.cannons.forEach(c => c.dispose());
+        this.cannons = [];
+        data.cannons.forEach(saved => this._placeCannon(saved.player, saved.slot).restore(saved));
+
+        this.towers.forEach(t => t.dispose());
+        this.towers = [];
+        (data.towers || []).forEach(saved => this._placeTower(saved.player, saved.slot).restore(saved));
+
+        this.vanes.forEach(v => v.dispose());
+        this.vanes = [];
+        data.vanes.forEach(player => this._placeVane(player));
+    }
+
+    /**
+     * Turn event fields (override)
+     */
+    _turnInfo() {
+        return { ...super._turnInfo(), player: this.state.currentPlayer };
+    }
+
+    /**
+     * Names for the league table: options.playerNames, else the computer's
+     * name for AI players (as the original entered its opponents) and
+     * 'Player N' for humans
+     * @returns {string[]}
+     */
+    getPlayerNames() {
+        const names = this.playerNames || [];
+        return this.playerTypes.map((type, i) => names[i] ||
+            (type === 'ai' ? AIController.STRATEGIES.BRUBBEL.name : `Player ${i + 1}`));
     }
 
     /**
@@ -327,12 +1548,12 @@ class BallerGame extends BaseGameController {
      */
     _scheduleAIAction() {
         const ai = this.aiControllers[this.state.currentPlayer];
-        if (!ai) return;
+        if (!ai || this.isReplaying()) return;
 
         const delay = ai.getThinkDelay();
         Debug.debug(`AI thinking for ${Math.round(delay)}ms...`);
 
-        this._aiActionTimeout = setTimeout(() => {
+        this._aiActionTimeout = this.schedule(() => {
             this._executeAITurn();
         }, delay);
     }
@@ -344,8 +1565,25 @@ class BallerGame extends BaseGameController {
         if (this.state.gameOver || this.projectile) return;
 
         const ai = this.aiControllers[this.state.currentPlayer];
-        const cannon = this.cannons[this.state.currentPlayer];
-        if (!ai || !cannon) return;
+        if (!ai) return;
+
+        // The computer always taxes its people at 16% (original comp(): st[n]=16)
+        this._setTax(this.config.GAMEPLAY.ECONOMY.AI_TAX);
+        this._aiShopping();
+
+        // Out of cannons, powder or balls even after shopping - pass at once
+        // rather than wait out the turn timer
+        const blocked = this.whyCannotFire();
+        if (blocked) {
+            Debug.info(`AI cannot fire: ${blocked}`);
+            this._passTurn();
+            return;
+        }
+
+        // Fire from a random surviving cannon (original comp())
+        const own = this._cannonsOf(this.state.currentPlayer);
+        this.selectCannon(this.random.ai.pick(own).slot);
+        const cannon = this._currentCannon();
 
         // Build game state for AI (matches original z_* function requirements)
         const gameState = this._getAIGameState();
@@ -361,28 +1599,83 @@ class BallerGame extends BaseGameController {
 
         if (!shot) {
             Debug.warn('AI could not calculate shot');
+            this._passTurn();
             return;
         }
 
-        // Set cannon angle and fire
-        cannon.setAim(shot.angle, cannon.horizontalAngle);
-        this.state.power = Math.min(shot.power, this.config.GAMEPLAY.MAX_POWER);
+        // Keep the AI's angle if it can reach, otherwise pick a reachable
+        // weapon and lob, solving the powder charge against the real shot physics
+        const aim = this._solveAIAim(cannon, shot.target, shot.angle);
+        this._selectWeapon(aim.weapon);
+        cannon.setAim(aim.angle, cannon.horizontalAngle);
+        cannon.setCharge(aim.charge);
 
         Debug.debug('AI firing', {
             target: shot.targetName,
-            angle: shot.angle.toFixed(1),
-            power: this.state.power.toFixed(1)
+            weapon: this.config.WEAPONS[aim.weapon].name,
+            angle: aim.angle.toFixed(1),
+            charge: aim.charge
         });
 
-        // Fire after brief aiming animation
-        this.state.charging = true;
-        setTimeout(() => {
+        // Fire after brief aiming pause
+        this._aiActionTimeout = this.schedule(() => {
             if (!this.state.gameOver && !this.projectile) {
+                this.state.charging = true;
                 this._fire();
             }
         }, 300);
     }
 
+    /**
+     * Find weapon, angle and powder charge that land the cannon's shot on an AI target
+     * Tries the current weapon first and the AI's preferred angle before
+     * sweeping. Powder comes in whole units, so each solved power is rounded
+     * to a charge and the first one landing within AI_AIM_TOLERANCE wins;
+     * otherwise the closest shot (at most the powder in store) is used
+     * @returns {Object} {weapon, angle, charge}
+     */
+    _solveAIAim(cannon, target, preferredAngle) {
+        const limits = this.config.GAMEPLAY.CHARGE;
+        const maxCharge = Math.min(limits.MAX, this.getCurrentEconomy().powder);
+        const minPower = this._chargeToPower(limits.MIN);
+        const maxPower = this._chargeToPower(maxCharge);
+        const angles = [preferredAngle, 15, 20, 25, 30, 35, 40, 45, 55, 65];
+        const weapons = [this.state.currentWeapon].concat(
+            this.config.WEAPONS.map((w, i) => i).filter(i => i !== this.state.currentWeapon)
+        ).filter(i => this.state.ammo[i] !== 0);
+
+        const predictOptions = {
+            terrain: this.terrain,
+            wind: this.state.wind,
+            step: this.fixedStep
+        };
+
+        let best = null;
+        for (const weapon of weapons) {
+            const speed = this.config.WEAPONS[weapon].speed;
+            for (const angle of angles) {
+                cannon.setAim(angle, cannon.horizontalAngle);
+                const origin = cannon.getFirePosition();
+                const direction = cannon.getFireDirection();
+
+                const power = TrajectoryCalculator.solvePower(origin, direction, target.x, this.config,
+                    Object.assign({ minPower, maxPower, speed }, predictOptions));
+                // Out of reach - try the fullest charge available
+                const charge = power === null ? maxCharge :
+                    Utils.clamp(Math.round(this._powerToCharge(power)), limits.MIN, maxCharge);
+
+                const impact = BaseProjectile.predictImpact(origin,
+                    direction.multiplyScalar(this._chargeToPower(charge) * speed), this.config, predictOptions);
+                const miss = Math.abs(impact.x - target.x);
+                if (!best || miss < best.miss) {
+                    best = { weapon, angle: cannon.verticalAngle, charge, miss };
+                }
+                if (power !== null && miss <= AI_AIM_TOLERANCE) return best;
+            }
+        }
+        return best;
+    }
+
     /**
      * Build game state for AI targeting (mirrors original Ballerburg data structures)
      * Provides data for z_kn, z_ka, z_ft, z_ge, z_pk target functions
@@ -390,64 +1683,176 @@ class BallerGame extends BaseGameController {
     _getAIGameState() {
         const enemyIdx = (this.state.currentPlayer + 1) % 2;
         const enemyCastle = this.castles[enemyIdx];
-        const enemyCannon = this.cannons[enemyIdx];
 
         return {
             // For z_kn() - king targeting
             enemyCastle: enemyCastle && enemyCastle.alive ? {
                 position: enemyCastle.position,
-                alive: enemyCastle.alive
+                alive: enemyCastle.alive,
+                king: { x: this.kings[enemyIdx].position.x, y: this.kings[enemyIdx].position.y }
             } : null,
 
-            // For z_ka() - cannon targeting
-            enemyCannons: enemyCannon && enemyCannon.mesh ? [{
-                x: enemyCannon.getFirePosition().x,
-                y: enemyCannon.getFirePosition().y,
+            // For z_ka() - cannon targeting, surviving cannons only
+            enemyCannons: this._cannonsOf(enemyIdx).map(c => ({
+                x: c.position.x,
+                y: c.position.y,
                 alive: true
-            }] : [],
+            })),
 
-            // For z_ft() - tower targeting (not implemented yet, but ready)
-            enemyTowers: [],
+            // For z_ft() - tower targeting, standing towers only
+            enemyTowers: this._towersOf(enemyIdx).map(t => {
+                const center = t.getCenter();
+                return { x: center.x, y: center.y, alive: true };
+            }),
 
-            // For z_ge() - gold targeting (always has gold in simplified version)
-            enemyGold: 500,
+            // For z_ge() - gold targeting (only worth it above 100 gold)
+            enemyGold: this.state.economy[enemyIdx].gold,
 
             // For z_pk() - powder/balls targeting
-            enemyPowder: 100,
-            enemyBalls: 10
+            enemyPowder: this.state.economy[enemyIdx].powder,
+            enemyBalls: this.state.economy[enemyIdx].balls
         };
     }
 
     /**
      * Check for victory condition (override)
+     * A player is out when the king is hit, the castle falls or the people are gone
      */
     _checkVictory() {
-        const alive = this.castles.filter(c => c.alive);
-        if (alive.length <= 1) {
-            this.state.gameOver = true;
-            const winner = alive.length === 1 ?
-                this.castles.indexOf(alive[0]) + 1 : 0;
+        if (this.state.gameOver) return;
+
+        for (let i = 0; i < this.castles.length; i++) {
+            if (!this.kings[i].alive) return this._endGame(i, 'king');
+            if (!this.castles[i].alive) return this._endGame(i, 'castle');
+            if (this.state.economy[i].population <= 0) return this._endGame(i, 'people');
+        }
+    }
+
+    /**
+     * End the match with the original end text for the reason (ende())
+     * @param {number} loser - Index of the player who lost
+     * @param {string} reason - Key of BallerGame.END_CODES
+     */
+    _endGame(loser, reason) {
+        const winner = (loser + 1) % this.config.GAMEPLAY.PLAYER_COUNT;
+        this.state.gameOver = true;
+        this.state.endReason = reason;
+
+        Debug.info('Game Over', { winner: winner + 1, reason, code: BallerGame.END_CODES[reason] });
+        this._showVictory(winner + 1, null, BallerGame.endText(reason, loser));
+        this._renderScores();
+        this._playVictoryTune();
+    }
+
+    /**
+     * Play BALLER.MUS over the victory screen, like the original ende()
+     */
+    _playVictoryTune() {
+        if (this.headless || !this.config.MUSIC.ENABLED) return;
+
+        try {
+            if (!this._victoryTune) this._victoryTune = MusicFile.sequence(MusicFile.original());
+            this.synth.play(this._victoryTune, this.config.MUSIC.VOLUME);
+        } catch (e) {
+            Debug.error('Could not play the victory tune', { error: e.message });
+        }
+    }
+
+    /**
+     * Score breakdown in the victory dialog after a match ran out of rounds
+     */
+    _renderScores() {
+        if (this.headless) return;
+
+        const table = document.getElementById('victoryScores');
+        if (!table) return;
+
+        const scores = this.state.endReason === 'rounds' ? this.state.scores : null;
+        table.classList.toggle('hidden', !scores);
+        if (!scores) return;
+
+        const rows = [
+            ['', ...scores.map((s, i) => `Player ${i + 1}`)],
+            ...[['gold', 'Gold'], ['powder', 'Powder'], ['balls', 'Cannonballs'], ['vane', 'Wind vane'],
+                ['people', 'People'], ['towers', 'Mining towers'], ['cannons', 'Cannons'], ['total', 'Total']]
+                .map(([key, label]) => [label, ...scores.map(s => s[key])])
+        ];
+        table.innerHTML = '';
+        rows.forEach((cells, r) => {
+            const tr = document.createElement('tr');
+            cells.forEach((text, c) => {
+                const cell = document.createElement(r === 0 || c === 0 ? 'th' : 'td');
+                cell.textContent = text;
+                tr.appendChild(cell);
+            });
+            table.appendChild(tr);
+        });
+    }
+
+    /**
+     * Original end codes (end & 240) by reason; a razed castle is the 3D
+     * game's own way to lose and has none
+     */
+    static get END_CODES() {
+        return { king: 16, capitulation: 32, people: 48, rounds: 64, castle: null };
+    }
 
-            Debug.info('Game Over', { winner });
-            this._showVictory(winner);
+    /**
+     * Why a match ended, in the words of the original victory dialog
+     * @param {string} reason - Key of END_CODES
+     * @param {number} loser - Index of the player who lost
+     * @returns {string}
+     */
+    static endText(reason, loser) {
+        const name = `Player ${loser + 1}`;
+        switch (reason) {
+            case 'king':
+                return `${name}'s king was hit, whereupon his people surrendered.`;
+            case 'capitulation':
+                return `${name}'s king capitulated in the face of a hopeless situation.`;
+            case 'people':
+                return `${name} has no more people.`;
+            case 'rounds':
+                return `The maximum number of rounds has been reached. ${name} is in the worse position.`;
+            case 'castle':
+                return `${name}'s castle was razed.`;
+            default:
+                return '';
         }
     }
 
+    /**
+     * HUD wind reading: signed speed with a vane, '?' without (original: "??")
+     * @returns {string}
+     */
+    _windText() {
+        const wind = this.getVisibleWind();
+        return wind ? `${(wind.strength * wind.direction).toFixed(1)}` : '?';
+    }
+
     /**
      * Update UI elements (override)
      */
     _updateUI() {
-        const cannon = this.cannons[this.state.currentPlayer];
-        if (!cannon) return;
+        if (this.headless) return;
+
+        const cannon = this._currentCannon();
 
         // Update display elements
         const elements = {
             'currentPlayer': `Player ${this.state.currentPlayer + 1}`,
             'turnTimer': Math.ceil(this.state.turnTimer),
-            'angleValue': Math.round(cannon.verticalAngle),
-            'directionValue': Math.round(cannon.horizontalAngle),
-            'windValue': `${(this.state.wind.strength * this.state.wind.direction).toFixed(1)}`,
-            'powerValue': Math.round(this.state.power)
+            'cannonValue': cannon ? `${cannon.slot + 1} of ${this._cannonsOf(this.state.currentPlayer).length}` : 'none',
+            'angleValue': cannon ? Math.round(cannon.verticalAngle) : '-',
+            'directionValue': cannon ? Math.round(cannon.horizontalAngle) : '-',
+            'windValue': this._windText(),
+            'powerValue': this._shotCharge(),
+            'goldValue': this.getCurrentEconomy().gold,
+            'powderValue': this.getCurrentEconomy().powder,
+            'ballsValue': this.getCurrentEconomy().balls,
+            'stonesValue': this.state.stones,
+            'populationValue': this.getCurrentEconomy().population,
+            'taxValue': this.getCurrentEconomy().tax
         };
 
         this._updateUIElements(elements);
@@ -461,27 +1866,72 @@ class BallerGame extends BaseGameController {
         });
     }
 
+    /**
+     * Switch between the 3D view and the classic side view. Works mid-match,
+     * in replays and on the computer's turn; the game plays the same either way
+     * @param {boolean} on - Force classic on/off (toggles if omitted)
+     */
+    toggleClassicView(on = !this.classicView.active) {
+        this.classicView.active = on;
+        Debug.info(`View: ${on ? 'classic' : '3D'}`);
+        if (this.headless) return;
+
+        const viewBtn = document.getElementById('viewBtn');
+        if (viewBtn) viewBtn.textContent = on ? '3D View' : 'Classic View';
+    }
+
+    /**
+     * Camera of the view being shown
+     * @returns {THREE.Camera}
+     */
+    _viewCamera() {
+        return this.classicView.active ? this.classicView.camera : this.camera;
+    }
+
+    /**
+     * Draw the scene in the chosen view (override)
+     */
+    _render() {
+        if (this.classicView.active) {
+            this.classicView.render(this.renderer, this.scene);
+        } else {
+            super._render();
+        }
+    }
+
     /**
      * Restart game (override)
+     * @param {number|string} seed - Seed for the new match (random if omitted)
      */
-    restart() {
-        this._baseRestart();
+    restart(seed) {
+        this._baseRestart(seed);
 
         // Dispose Ballerburg-specific entities
         this.castles.forEach(c => c.dispose());
         this.cannons.forEach(c => c.dispose());
+        this.kings.forEach(k => k.dispose());
+        this.towers.forEach(t => t.dispose());
+        this.vanes.forEach(v => v.dispose());
         this.terrain.dispose();
 
         // Reset state
         this.state.currentPlayer = 0;
+        this._initEconomy();
+        this.toggleMarket(false);
+        this._showKing(null);
+        this.synth.stop();
 
         // Rebuild world
         this.castles = [];
         this.cannons = [];
+        this.kings = [];
+        this.towers = [];
+        this.vanes = [];
         this._initWorld();
         this._initAmmo();
         this._randomizeWind();
         this.resetCamera();
+        this._startTurn();
 
         Debug.info('Game restarted');
     }
@@ -492,6 +1942,11 @@ class BallerGame extends BaseGameController {
     dispose() {
         this.castles.forEach(c => c.dispose());
         this.cannons.forEach(c => c.dispose());
+        this.kings.forEach(k => k.dispose());
+        this.towers.forEach(t => t.dispose());
+        this.vanes.forEach(v => v.dispose());
+        this.classicView.dispose();
+        this.synth.dispose();
         super.dispose();
     }
 }
@@ -0,0 +1,80 @@
+/**
+ * Ballerburg 3D - String Table
+ * Texts shown by the game, per language. German is the original wording
+ * from BALLER2.C; the original's line breaks (|) are left to the layout
+ */
+
+const BallerStrings = {
+    // Language used when a text or language is missing
+    DEFAULT: 'en',
+
+    en: {
+        king: {
+            title: 'The king says:',
+            acknowledge: 'Humbly acknowledged',
+            refused: 'The king is in no mood to see you.',
+            refusedButton: 'Pity',
+            kn0: 'Well... All right... Carry on...',
+            kn1: 'I am pleased with your work!',
+            kn2: 'Excellent, carry on!',
+            kn3: 'Perhaps you should lower the taxes...',
+            kn4: 'If you carry on like this, I shall dismiss you!',
+            kn5: 'Why not buy a mining tower...',
+            kn6: 'You had better make more of an effort!',
+            kn7: 'You need not come every round.',
+            kn8: 'Do you know you have already visited me {count} times?',
+            kn9: 'And you are sure you can manage without a wind vane?',
+            kn10: 'Nice to see you...',
+            kn11: 'What am I supposed to say at such an early stage?',
+            kn12: 'You should earn more money, build mining towers and defeat the enemy.',
+            kn13: 'I have nothing new to tell you.',
+            kn14: 'How nice of you to visit me!'
+        }
+    },
+
+    de: {
+        king: {
+            title: 'Der König meint:',
+            acknowledge: 'Demütig zur Kenntnis genommen',
+            refused: 'Der König hat keine Lust, dich zu sprechen.',
+            refusedButton: 'Schade',
+            kn0: 'Naja... Nun gut... Weiter so...',
+            kn1: 'Ich bin zufrieden mit Ihren Leistungen!',
+            kn2: 'Hervorragend, Weiter so!',
+            kn3: 'Vielleicht sollten Sie mal die Steuern senken...',
+            kn4: 'Wenn Sie so weiter machen werde ich Sie entlassen!',
+            kn5: "Vielleicht mal 'nen Förderturm kaufen...",
+            kn6: 'Sie sollten sich gefälligst mehr Mühe geben!',
+            kn7: 'Sie brauchen nicht jede Runde zu kommen.',
+            kn8: 'Wissen Sie eigentlich, daß Sie mich bereits {count}mal besucht haben?',
+            kn9: 'Und Sie sind sich sicher, daß Sie auch ohne eine Windfahne zurecht kommen?',
+            kn10: 'Schön, Sie zu sehen...',
+            kn11: 'Was soll ich denn in so einer frühen Phase schon sagen?',
+            kn12: 'Sie sollten mehr Geld verdienen, Fördertürme bauen und den Gegner besiegen.',
+            kn13: 'Ich habe Ihnen nichts neues zu sagen.',
+            kn14: "Find' ich nett, daß Sie mich mal besuchen!"
+        }
+    },
+
+    /**
+     * Look up a text
+     * @param {string} key - Dotted path, e.g. 'king.kn8'
+     * @param {string} language - Language code ('en', 'de')
+     * @param {Object} params - Values for {placeholders}
+     * @returns {string} The text, the default language's if missing, else the key
+     */
+    get(key, language = BallerStrings.DEFAULT, params = {}) {
+        const find = table => key.split('.').reduce((node, part) => (node ? node[part] : undefined), table);
+        const text = find(BallerStrings[language]) || find(BallerStrings[BallerStrings.DEFAULT]);
+        if (typeof text !== 'string') return key;
+        return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? params[name] : match));
+    }
+};
+
+// Freeze to prevent modification
+Object.freeze(BallerStrings);
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.BallerStrings = BallerStrings;
+}
@@ -8,9 +8,10 @@ class BallerTerrain extends BaseTerrain {
      * Create Ballerburg terrain
      * @param {THREE.Scene} scene
      * @param {Object} config - Game configuration
+     * @param {SeededRandom} random - Terrain random stream
      */
-    constructor(scene, config) {
-        super(scene, config);
+    constructor(scene, config, random) {
+        super(scene, config, random);
 
         // Ballerburg-specific settings
         this.mountainRadius = 25;
@@ -67,7 +68,7 @@ class BallerTerrain extends BaseTerrain {
 
         // Random variation for natural look
         const noise = options.noise || 2;
-        height += (Math.random() - 0.5) * noise;
+        height += (this.random.next() - 0.5) * noise;
 
         return height;
     }
@@ -8,20 +8,27 @@ class Cannon extends Entity {
      * Create cannon
      * @param {THREE.Scene} scene
      * @param {Castle} castle - Parent castle
+     * @param {number} slot - Cannon platform of the castle
      */
-    constructor(scene, castle) {
+    constructor(scene, castle, slot = 0) {
         super(scene);
 
         this.castle = castle;
+        this.slot = slot;
 
-        // Position above castle
+        // Position on the castle's platform
+        const offset = castle.getCannonSlot(slot);
         this.position.copy(castle.position);
-        this.position.y += 12;
+        this.position.x += offset.x;
+        this.position.y += offset.y;
 
         // Aim angles
         this.verticalAngle = 45;    // 10-80 degrees
         this.horizontalAngle = 0;   // -45 to 45 degrees
 
+        // Powder per shot, kept per cannon like the original ka[].p
+        this.charge = castle.config.GAMEPLAY.CHARGE.START;
+
         // Build cannon model
         this._build();
         this.updateRotation();
@@ -81,10 +88,11 @@ class Cannon extends Entity {
         const vertRad = Utils.degToRad(this.verticalAngle);
         const horizRad = Utils.degToRad(finalDir);
 
+        // Same heading as group.rotation.y: 0° faces +x, 180° faces -x
         const offset = new THREE.Vector3(
-            Math.sin(horizRad) * Math.cos(vertRad) * barrelLength,
+            Math.cos(horizRad) * Math.cos(vertRad) * barrelLength,
             Math.sin(vertRad) * barrelLength + 2,
-            Math.cos(horizRad) * Math.cos(vertRad) * barrelLength
+            -Math.sin(horizRad) * Math.cos(vertRad) * barrelLength
         );
 
         return this.position.clone().add(offset);
@@ -102,9 +110,9 @@ class Cannon extends Entity {
         const horizRad = Utils.degToRad(finalDir);
 
         return new THREE.Vector3(
-            Math.sin(horizRad) * Math.cos(vertRad),
+            Math.cos(horizRad) * Math.cos(vertRad),
             Math.sin(vertRad),
-            Math.cos(horizRad) * Math.cos(vertRad)
+            -Math.sin(horizRad) * Math.cos(vertRad)
         ).normalize();
     }
 
@@ -119,6 +127,59 @@ class Cannon extends Entity {
         this.updateRotation();
     }
 
+    /**
+     * Whether a point is close enough to the barrel to destroy the cannon
+     * @param {THREE.Vector3} point - Ball or impact position
+     * @param {number} radius - Hit distance
+     * @returns {boolean}
+     */
+    isHitBy(point, radius) {
+        const dx = point.x - this.position.x;
+        const dy = point.y - (this.position.y + 1.5);
+        const dz = point.z - this.position.z;
+        return dx * dx + dy * dy + dz * dz < radius * radius;
+    }
+
+    /**
+     * Show or hide the selection glow of the player's active cannon
+     * @param {boolean} active
+     */
+    setHighlight(active) {
+        if (!this.barrel || !this.barrel.material.emissive) return;
+        this.barrel.material.emissive.setHex(active ? 0x665500 : 0x000000);
+    }
+
+    /**
+     * Set powder charge, clamped to what one shot may use
+     * @param {number} charge - Powder units
+     */
+    setCharge(charge) {
+        const limits = this.castle.config.GAMEPLAY.CHARGE;
+        this.charge = Utils.clamp(Math.round(charge), limits.MIN, limits.MAX);
+    }
+
+    /**
+     * Platform, aim angles and powder charge (for save games)
+     * @returns {Object}
+     */
+    serialize() {
+        return {
+            slot: this.slot,
+            verticalAngle: this.verticalAngle,
+            horizontalAngle: this.horizontalAngle,
+            charge: this.charge
+        };
+    }
+
+    /**
+     * Apply saved aim
+     * @param {Object} data - From serialize()
+     */
+    restore(data) {
+        this.setAim(data.verticalAngle, data.horizontalAngle);
+        if (data.charge !== undefined) this.setCharge(data.charge);
+    }
+
     /**
      * Update cannon (called each frame)
      */
@@ -1,6 +1,7 @@
 /**
  * Ballerburg 3D - Castle Entity
- * Extends DamageableEntity with destructible parts
+ * Extends DamageableEntity with destructible parts. Builds the classic 3D
+ * castle, or extrudes the outlines of a BALLER.DAT design (see CastleLoader)
  */
 
 class Castle extends DamageableEntity {
@@ -34,6 +35,49 @@ class Castle extends DamageableEntity {
         this.position.set(pos.x, 0, pos.z);
         this.colors = colors;
 
+        // Cannon platforms (local x,y), mirrored so both castles face each other
+        const slots = (this.config.GAMEPLAY && this.config.GAMEPLAY.CANNON_SLOTS) ||
+            [{ x: 0, y: 12 }];
+        this.cannonSlots = slots.slice(0, 10);
+        this.throneRoom = (this.config.GAMEPLAY && this.config.GAMEPLAY.THRONE_ROOM) ||
+            { x: 0, y: 3, width: 4, height: 3 };
+        this.vaneSpot = (this.config.GAMEPLAY && this.config.GAMEPLAY.WIND_VANE) || { x: -4, y: 12 };
+        this.stonework = (this.config.GAMEPLAY && this.config.GAMEPLAY.BUILD) ||
+            { CELL: 1, AREA: { BACK: 7, FRONT: 9, HEIGHT: 16 }, STONE_HEALTH: 8 };
+        this.towerRow = (this.config.GAMEPLAY && this.config.GAMEPLAY.MINING_TOWERS) ||
+            { FIRST_X: 9, SPACING: 4 };
+        const economy = (this.config.GAMEPLAY && this.config.GAMEPLAY.ECONOMY) ||
+            { MAX_GOLD: 1500, MAX_POWDER: 300, MAX_BALLS: 20 };
+        this.storage = { MAX_GOLD: economy.MAX_GOLD, MAX_POWDER: economy.MAX_POWDER, MAX_BALLS: economy.MAX_BALLS };
+        const zones = (this.config.GAMEPLAY && this.config.GAMEPLAY.HIT_ZONES) ||
+            { CHAMBERS: {}, MARGIN: 0, WIDTH: 11, HEALTH_SHARE: 0.3 };
+        this.chambers = zones.CHAMBERS;
+        this.chamberMargin = zones.MARGIN;
+        this.span = zones.WIDTH;
+        this.healthShare = zones.HEALTH_SHARE;
+
+        // A castle from BALLER.DAT brings its own platforms, throne room,
+        // vane, tower row, building ground, storerooms and chambers
+        const designs = this.config.GAMEPLAY && this.config.GAMEPLAY.CASTLE_DESIGNS;
+        const design = designs && designs[playerIndex];
+        this.layout = design ? CastleLoader.layout(design, this.config.GAMEPLAY.CASTLE_SCALE) : null;
+        if (this.layout) {
+            this.cannonSlots = this.layout.cannonSlots.slice(0, 10);
+            this.throneRoom = this.layout.throneRoom;
+            this.vaneSpot = this.layout.vaneSpot;
+            this.towerRow = this.layout.towerRow;
+            this.storage = this.layout.storage;
+            this.chambers = this.layout.chambers;
+            this.span = this.layout.width;
+            this.stonework = {
+                ...this.stonework,
+                AREA: { ...this.stonework.AREA, ...this.layout.buildArea }
+            };
+        }
+
+        // Stones added in build mode, as grid cells in placement order
+        this.blocks = [];
+
         // Castle-specific properties
         this.parts = [];
         this.healthBarGroup = null;
@@ -50,28 +94,36 @@ class Castle extends DamageableEntity {
      * Build castle structure
      */
     _build() {
+        if (this.layout) {
+            this._buildFromLayout();
+            return;
+        }
+
         const stone = new THREE.MeshPhongMaterial({ color: this.colors.stone, shininess: 10 });
         const roof = new THREE.MeshPhongMaterial({ color: this.colors.roof, shininess: 30 });
 
         // Base foundation
-        this._addPart(new THREE.BoxGeometry(8, 3, 6), stone, { y: 1.5 }, 'base', 30);
+        this._addPart(new THREE.BoxGeometry(8, 3, 6), stone, { y: 1.5 }, 'base', 30, { width: 8, height: 3 });
 
         // Main tower
-        this._addPart(new THREE.BoxGeometry(5, 8, 5), stone, { y: 7 }, 'tower', 40);
+        this._addPart(new THREE.BoxGeometry(5, 8, 5), stone, { y: 7 }, 'tower', 40, { width: 5, height: 8 });
 
         // Main tower roof
         this._addPart(new THREE.ConeGeometry(3.5, 4, 8), roof, { y: 13 }, 'roof', 20);
 
         // Side towers
         [-4, 4].forEach(xOffset => {
-            this._addPart(new THREE.BoxGeometry(3, 6, 3), stone, { x: xOffset, y: 6 }, 'side_tower', 25);
+            this._addPart(new THREE.BoxGeometry(3, 6, 3), stone, { x: xOffset, y: 6 }, 'side_tower', 25,
+                { width: 3, height: 6 });
             this._addPart(new THREE.ConeGeometry(2.2, 3, 6), roof, { x: xOffset, y: 10.5 }, 'side_roof', 10);
         });
 
         // Walls
-        this._addPart(new THREE.BoxGeometry(8, 5, 1), stone, { y: 2.5, z: -4 }, 'wall', 15);
-        this._addPart(new THREE.BoxGeometry(1, 4, 4), stone, { x: -5, y: 2 }, 'wall', 15);
-        this._addPart(new THREE.BoxGeometry(1, 4, 4), stone, { x: 5, y: 2 }, 'wall', 15);
+        this._addPart(new THREE.BoxGeometry(8, 5, 1), stone, { y: 2.5, z: -4 }, 'wall', 15, { width: 8, height: 5 });
+        this._addPart(new THREE.BoxGeometry(1, 4, 4), stone, { x: -5, y: 2 }, 'wall', 15, { width: 1, height: 4 });
+        this._addPart(new THREE.BoxGeometry(1, 4, 4), stone, { x: 5, y: 2 }, 'wall', 15, { width: 1, height: 4 });
+
+        this._addThroneRoom();
 
         // Flag
         const poleMat = new THREE.MeshPhongMaterial({ color: 0x654321 });
@@ -84,16 +136,288 @@ class Castle extends DamageableEntity {
         this.group.add(flag);
     }
 
+    /**
+     * Build a BALLER.DAT castle: every filled outline becomes a slab of
+     * masonry or roof tiles (pattern 2,11) as deep as the classic castle.
+     * Outline-only shapes are just lines in the original and are left out
+     */
+    _buildFromLayout() {
+        const stone = new THREE.MeshPhongMaterial({ color: this.colors.stone, shininess: 10 });
+        const roof = new THREE.MeshPhongMaterial({ color: this.colors.roof, shininess: 30 });
+        const side = this.playerIndex === 0 ? 1 : -1;
+
+        // Foundation reaching down the mountainside under the whole castle
+        const foundation = new THREE.Mesh(new THREE.BoxGeometry(this.layout.width, 10, 6), stone);
+        foundation.position.y = -5;
+        foundation.receiveShadow = true;
+        this.group.add(foundation);
+
+        this.layout.shapes.forEach(shape => {
+            if (!shape.filled || shape.points.length < 3) return;
+            const points = shape.points.map(([x, y]) => [x * side, y]);
+            const isRoof = shape.pattern[1] === 11;
+            this._addOutlinePart(points, isRoof ? roof : stone, isRoof ? 'roof' : 'wall');
+        });
+
+        this._addThroneRoom();
+    }
+
+    /**
+     * Extrude an outline into a part; its health grows with its area
+     * @param {number[][]} points - Castle-local [[x, y], ...], already mirrored
+     * @param {THREE.Material} material
+     * @param {string} type - 'wall' (solid, can be built against) or 'roof'
+     * @returns {Object} The part
+     */
+    _addOutlinePart(points, material, type) {
+        const xs = points.map(p => p[0]);
+        const ys = points.map(p => p[1]);
+        const minX = Math.min(...xs);
+        const maxX = Math.max(...xs);
+        const minY = Math.min(...ys);
+        const maxY = Math.max(...ys);
+        const center = { x: (minX + maxX) / 2, y: (minY + maxY) / 2 };
+
+        // Mesh sits at the outline's centre so impacts find the nearest part
+        const shape = new THREE.Shape(points.map(([x, y]) => new THREE.Vector2(x - center.x, y - center.y)));
+        const geometry = new THREE.ExtrudeGeometry(shape, { depth: 6, bevelEnabled: false });
+        geometry.translate(0, 0, -3);
+
+        const health = Math.max(10, Math.round(CastleLoader.area(points)));
+        const footprint = type === 'wall' ? { width: maxX - minX, height: maxY - minY } : null;
+        const part = this._addPart(geometry, material, center, type, health, footprint);
+        part.outline = footprint ? points : null;
+        return part;
+    }
+
+    /**
+     * Throne room, open to the front and back of the castle
+     */
+    _addThroneRoom() {
+        const throne = new THREE.MeshPhongMaterial({ color: 0x6B1A1A, shininess: 20 });
+        const room = this.throneRoom;
+        this._addPart(new THREE.BoxGeometry(room.width, room.height, 6.2), throne, {
+            x: room.x * (this.playerIndex === 0 ? 1 : -1),
+            y: room.y + room.height / 2
+        }, 'throne', 20, room);
+    }
+
     /**
      * Add a castle part
+     * @param {Object} footprint - {width, height} seen from the front; solid
+     *                             masonry that stones can be built against
+     * @returns {Object} The part
      */
-    _addPart(geometry, material, pos, type, health) {
+    _addPart(geometry, material, pos, type, health, footprint = null) {
         const mesh = new THREE.Mesh(geometry, material.clone());
         mesh.position.set(pos.x || 0, pos.y || 0, pos.z || 0);
         mesh.castShadow = true;
         mesh.receiveShadow = true;
         this.group.add(mesh);
-        this.parts.push({ mesh, type, health, maxHealth: health, destroyed: false });
+
+        const box = footprint ? {
+            minX: (pos.x || 0) - footprint.width / 2,
+            maxX: (pos.x || 0) + footprint.width / 2,
+            minY: (pos.y || 0) - footprint.height / 2,
+            maxY: (pos.y || 0) + footprint.height / 2
+        } : null;
+        const part = { mesh, type, health, maxHealth: health, destroyed: false, box };
+        this.parts.push(part);
+        return part;
+    }
+
+    /**
+     * Whether a castle-local point is masonry or ground (rubble doesn't count)
+     * @param {number} x - Local x
+     * @param {number} y - Local y
+     * @returns {boolean}
+     */
+    isSolidAt(x, y) {
+        const ground = this.terrain.getHeight(this.position.x + x, this.position.z) - this.position.y;
+        if (y < ground) return true;
+
+        return this.partAt(x, y) !== null;
+    }
+
+    /**
+     * Standing masonry part at a castle-local point
+     * @param {number} x - Local x
+     * @param {number} y - Local y
+     * @returns {Object|null} Entry of this.parts
+     */
+    partAt(x, y) {
+        return this.parts.find(p => p.box && !p.destroyed &&
+            x >= p.box.minX && x < p.box.maxX && y >= p.box.minY && y < p.box.maxY &&
+            (!p.outline || CastleLoader.contains(p.outline, x, y))) || null;
+    }
+
+    /**
+     * Build grid cell containing a world point
+     * @param {THREE.Vector3} point
+     * @returns {Object} {x, y} cell indices
+     */
+    cellAt(point) {
+        const size = this.stonework.CELL;
+        return {
+            x: Math.floor((point.x - this.position.x) / size),
+            y: Math.floor((point.y - this.position.y) / size)
+        };
+    }
+
+    /**
+     * Whether a stone may go into a cell (original anbau()): inside the
+     * castle's grounds, free, and touching masonry or the ground
+     * @param {number} cx - Cell x
+     * @param {number} cy - Cell y
+     * @returns {boolean}
+     */
+    canBuildAt(cx, cy) {
+        if (!this.alive) return false;
+
+        const size = this.stonework.CELL;
+        const area = this.stonework.AREA;
+        const x = (cx + 0.5) * size;
+        const y = (cy + 0.5) * size;
+        const forward = this.playerIndex === 0 ? x : -x;
+        if (forward < -area.BACK || forward > area.FRONT || y < 0 || y > area.HEIGHT) return false;
+        if (this.isSolidAt(x, y)) return false;
+
+        return this.isSolidAt(x - size, y) || this.isSolidAt(x + size, y) ||
+            this.isSolidAt(x, y - size) || this.isSolidAt(x, y + size);
+    }
+
+    /**
+     * Whether there is any cell left to build on
+     * @returns {boolean}
+     */
+    hasBuildRoom() {
+        const size = this.stonework.CELL;
+        const area = this.stonework.AREA;
+        const reach = Math.ceil(Math.max(area.BACK, area.FRONT) / size);
+        for (let cx = -reach; cx < reach; cx++) {
+            for (let cy = 0; cy * size < area.HEIGHT; cy++) {
+                if (this.canBuildAt(cx, cy)) return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Add a stone block in a grid cell; it takes damage like any other part
+     * @param {number} cx - Cell x
+     * @param {number} cy - Cell y
+     * @returns {Object} The new part
+     */
+    addBlock(cx, cy) {
+        const size = this.stonework.CELL;
+        const stone = new THREE.MeshPhongMaterial({ color: this.colors.stone, shininess: 10 });
+        const part = this._addPart(new THREE.BoxGeometry(size, size, 6), stone,
+            { x: (cx + 0.5) * size, y: (cy + 0.5) * size }, 'stone', this.stonework.STONE_HEALTH,
+            { width: size, height: size });
+        this.blocks.push({ x: cx, y: cy });
+        return part;
+    }
+
+    /**
+     * Offset of a cannon platform from the castle's base
+     * @param {number} slot - Platform index
+     * @returns {Object} {x, y}
+     */
+    getCannonSlot(slot) {
+        const data = this.cannonSlots[slot];
+        const side = this.playerIndex === 0 ? 1 : -1;
+        return { x: data.x * side, y: data.y };
+    }
+
+    /**
+     * Offset of the wind vane from the castle's base
+     * @returns {Object} {x, y}
+     */
+    getVaneSpot() {
+        const side = this.playerIndex === 0 ? 1 : -1;
+        return { x: this.vaneSpot.x * side, y: this.vaneSpot.y };
+    }
+
+    /**
+     * World-space box of the throne room
+     * @returns {Object} {minX, maxX, minY, maxY, minZ, maxZ}
+     */
+    getThroneRoom() {
+        return this._roomBox(this.throneRoom);
+    }
+
+    /**
+     * World-space box of a storeroom; like the throne room it runs through
+     * the whole castle
+     * @param {string} type - 'gold', 'powder' or 'balls'
+     * @returns {Object|null} {minX, maxX, minY, maxY, minZ, maxZ}, null if the castle has none
+     */
+    getChamber(type) {
+        const room = this.chambers[type];
+        return room ? this._roomBox(room) : null;
+    }
+
+    /**
+     * World-space box of a room in the left castle's units
+     * @param {Object} room - {x, y, width, height}, x at the centre, y at the bottom
+     * @returns {Object} {minX, maxX, minY, maxY, minZ, maxZ}
+     */
+    _roomBox(room) {
+        const x = this.position.x + room.x * (this.playerIndex === 0 ? 1 : -1);
+        return {
+            minX: x - room.width / 2,
+            maxX: x + room.width / 2,
+            minY: this.position.y + room.y,
+            maxY: this.position.y + room.y + room.height,
+            minZ: this.position.z - 3.1,
+            maxZ: this.position.z + 3.1
+        };
+    }
+
+    /**
+     * Whether a point lies inside the throne room
+     * @param {THREE.Vector3} point
+     * @returns {boolean}
+     */
+    isInThroneRoom(point) {
+        const room = this.getThroneRoom();
+        return point.x > room.minX && point.x < room.maxX &&
+            point.y > room.minY && point.y < room.maxY &&
+            point.z > room.minZ && point.z < room.maxZ;
+    }
+
+    /**
+     * Castle regions an impact falls into (original schuss()): the first
+     * chamber within the margin, in the order gold, powder, balls, and the
+     * walls with their people when the ball came down over the castle or
+     * into its masonry (stones built out front included)
+     * @param {THREE.Vector3} point
+     * @returns {Object[]} [{type, center}]; type 'gold', 'powder', 'balls' or 'walls'
+     */
+    hitZonesAt(point) {
+        if (!this.alive) return [];
+
+        const zones = [];
+        const m = this.chamberMargin;
+        const chamber = ['gold', 'powder', 'balls'].find(type => {
+            const box = this.getChamber(type);
+            return box && point.x > box.minX - m && point.x < box.maxX + m &&
+                point.y > box.minY - m && point.y < box.maxY + m &&
+                point.z > box.minZ && point.z < box.maxZ;
+        });
+        if (chamber) {
+            const box = this.getChamber(chamber);
+            zones.push({
+                type: chamber,
+                center: new THREE.Vector3((box.minX + box.maxX) / 2, (box.minY + box.maxY) / 2, this.position.z)
+            });
+        }
+
+        if (Math.abs(point.x - this.position.x) < this.span / 2 ||
+            this.partAt(point.x - this.position.x, point.y - this.position.y)) {
+            zones.push({ type: 'walls', center: point.clone() });
+        }
+        return zones;
     }
 
     /**
@@ -158,6 +482,10 @@ class Castle extends DamageableEntity {
 
     /**
      * Apply damage to castle - overrides DamageableEntity
+     * Where a hit lands is found with hitZonesAt(): the castle's health takes
+     * its share of every hit, and a hit on the walls takes the full damage
+     * off the masonry part it went into. What it does to the stores and the
+     * people is up to the game
      * @param {number} damage - Amount of damage
      * @param {THREE.Vector3} impactPoint - Optional point of impact
      * @returns {boolean} - True if castle was destroyed
@@ -170,46 +498,60 @@ class Castle extends DamageableEntity {
             return super.takeDamage(damage);
         }
 
-        // Find closest part to impact
-        let closestPart = null;
-        let closestDist = Infinity;
-
-        this.parts.forEach(part => {
-            if (part.destroyed) return;
-            const worldPos = new THREE.Vector3();
-            part.mesh.getWorldPosition(worldPos);
-            const dist = worldPos.distanceTo(impactPoint);
-            if (dist < closestDist) {
-                closestDist = dist;
-                closestPart = part;
+        if (this.hitZonesAt(impactPoint).some(zone => zone.type === 'walls')) {
+            const part = this.partAt(impactPoint.x - this.position.x, impactPoint.y - this.position.y);
+            if (part) {
+                part.health -= damage;
+                if (part.health <= 0) this._markDestroyed(part);
             }
-        });
+        }
+        return super.takeDamage(damage * this.healthShare);
+    }
 
-        // Apply damage distribution
-        if (closestPart && closestDist < 8) {
-            closestPart.health -= damage * 0.7;
-            this.health -= damage * 0.3;
+    /**
+     * Show a part as rubble
+     * @param {Object} part - Entry of this.parts
+     */
+    _markDestroyed(part) {
+        part.destroyed = true;
+        part.mesh.material.transparent = true;
+        part.mesh.material.opacity = 0.3;
+        part.mesh.material.color.setHex(0x333333);
+    }
 
-            if (closestPart.health <= 0 && !closestPart.destroyed) {
-                closestPart.destroyed = true;
-                closestPart.mesh.material.transparent = true;
-                closestPart.mesh.material.opacity = 0.3;
-                closestPart.mesh.material.color.setHex(0x333333);
-            }
-        } else {
-            this.health -= damage * 0.2;
-        }
+    /**
+     * Health of the castle and its parts (for save games)
+     * @returns {Object}
+     */
+    serialize() {
+        return {
+            health: this.health,
+            alive: this.alive,
+            blocks: this.blocks.slice(),
+            parts: this.parts.map(p => ({ health: p.health, destroyed: p.destroyed }))
+        };
+    }
 
-        this.health = Math.max(0, this.health);
+    /**
+     * Apply saved health to a freshly built castle
+     * @param {Object} data - From serialize()
+     */
+    restore(data) {
+        this.health = data.health;
+
+        // Stones come after the built-in parts, so their saved health lines up
+        (data.blocks || []).forEach(block => this.addBlock(block.x, block.y));
+        data.parts.forEach((saved, i) => {
+            const part = this.parts[i];
+            if (!part) return;
+            part.health = saved.health;
+            if (saved.destroyed) this._markDestroyed(part);
+        });
 
-        if (this.health <= 0 && this.alive) {
+        if (!data.alive) {
             this.kill();
-            this.onDeath();
-            return true;
+            this.dispose();
         }
-
-        this.onDamage(damage);
-        return false;
     }
 
     /**
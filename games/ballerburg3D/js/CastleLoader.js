@@ -0,0 +1,273 @@
+/**
+ * Ballerburg 3D - Castle Loader
+ * Parser for the original BALLER.DAT castle file (burgen_laden() in BALLER1.C)
+ *
+ * The file is a stream of integers; anything between two asterisks is a
+ * remark. Each castle is 45 header values followed by drawing data ending in
+ * -1, and -999 ends the file. All values are pixels of the 640x400 screen
+ * with the origin at the left castle's bottom left corner, y pointing up.
+ */
+
+// Values before a castle's drawing data (bg[] in the original, see describe())
+const CASTLE_HEADER = 45;
+
+// The six castles of the original BALLER.DAT, remarks stripped
+const ORIGINAL_CASTLES = `
+* 1 * 130
+10,31, 70,36, -1,-1, -1,-1, -1,-1, -1,-1, -1,-1, -1,-1, -1,-1, -1,-1
+40,1  18,70  9,1  80,3  103,25  21,20  27,18  24,18  400,180,12,200  0,0,0,0
+0,0,0,30,5,55,30,55,10,45,10,30,30,30,75,65,80,60,70,50,70,35,90,35,100,45,
+100,60,130,60,130,0,-9, -2,2,11, 5,55,18,70,30,55,-9, 100,60,115,70,130,60,-9, -1
+
+* 2 * 150
+10,11, 10,51, 50,51, 80,46, 130,46, -1,-1, -1,-1, -1,-1, -1,-1, -1,-1
+45,1  135,100  80,1  52,30  126,1  35,20  63,9  18,36  500,180,12,270  0,0,0,0
+0,0,0,70,30,70,10,65,10,50,30,50,10,30,10,10,30,10,50,50,70,50,80,45,120,45,
+120,70,150,70,130,60,130,45,150,45,150,0,-9, -2,2,11, 0,70,15,100,30,70,-9,
+120,70,135,100,150,70,-9, -1
+
+* 3 * 130
+0,70, 20,70, 50,40, 50,16, 110,40, -1,-1, -1,-1, -1,-1, -1,-1, -1,-1
+10,1  95,60  11,30  50,1  80,15  28,30  72,9  42,18  500,150,14,270  0,0,0,0
+0,0,0,70,40,70,50,50,50,40,70,40,50,30,50,15,70,15,80,40,130,40,130,0,-9,
+-2,2,11, 80,40,95,60,110,40,-9, -1
+
+* 4 * 170
+10,36, 70,40, 90,40, 75,80, 150,21, 150,56, -1,-1, -1,-1, -1,-1, -1,-1
+60,1  15,80  15,5  100,1  100,20  35,20  63,9  36,18  500,190,12,300  0,0,0,0
+0,0,0,60,30,60,10,50,10,35,30,35,75,80,95,80,70,55,70,40,110,40,120,70,150,70,
+150,55,170,55,150,35,150,20,170,20,170,0,-9, -2,2,11, 0,60,15,80,30,60,-9,
+120,70,140,90,160,70,-9, -1
+
+* 5 * 115
+10,36, 55,31, 90,51, -1,-1, -1,-1, -1,-1, -1,-1, -1,-1, -1,-1, -1,-1
+10,1  27,67  50,1  85,1  102,1  28,10  9,36  6,36  500,120,6,220  0,0,0,0
+0,0,0,55,27,67,30,60,10,50,10,35,30,35,55,60,70,60,55,45,55,30,75,30,85,50,
+115,50,115,0,-9, -1
+
+* 6 * 140
+10,60, 30,60, 90,40, 110,40, -1,-1, -1,-1, -1,-1, -1,-1, -1,-1, -1,-1
+90,1  90,85  10,1  50,1  15,38  28,20  27,18  30,12  500,120,10,240  0,0,0,0
+0,0,10,60,50,60,55,30,70,30,70,70,110,70,90,55,90,40,130,40,140,0,-9,
+-2,2,11, 70,70,90,85,110,70,-9, -1
+
+-999
+`;
+
+class CastleLoader {
+    /**
+     * Read all numbers of a BALLER.DAT text, skipping *remarks* (original rdzahl())
+     * @param {string} text - File contents
+     * @returns {number[]}
+     */
+    static readNumbers(text) {
+        const numbers = [];
+        let remark = false;
+        let token = '';
+
+        const flush = () => {
+            if (token !== '' && token !== '-') numbers.push(parseInt(token, 10));
+            token = '';
+        };
+
+        for (const ch of text) {
+            if (ch === '*') {
+                flush();
+                remark = !remark;
+            } else if (remark) {
+                continue;
+            } else if (ch >= '0' && ch <= '9') {
+                token += ch;
+            } else if (ch === '-' && token === '') {
+                token = '-';
+            } else {
+                flush();
+            }
+        }
+        flush();
+        return numbers;
+    }
+
+    /**
+     * Parse a BALLER.DAT file
+     * @param {string} text - File contents
+     * @returns {Object[]} Castle descriptors (see describe())
+     * @throws {Error} If the data ends in the middle of a castle
+     */
+    static parse(text) {
+        const numbers = CastleLoader.readNumbers(text);
+        const castles = [];
+        let i = 0;
+
+        while (i < numbers.length && numbers[i] !== -999) {
+            const start = i;
+            i += CASTLE_HEADER;
+            while (i < numbers.length && numbers[i] !== -1) i++;
+            if (i >= numbers.length) {
+                throw new Error(`Castle ${castles.length + 1} is incomplete`);
+            }
+            i++;
+            castles.push(CastleLoader.describe(numbers.slice(start, i), `Castle ${castles.length + 1}`));
+        }
+        return castles;
+    }
+
+    /**
+     * Turn one castle's raw values into a descriptor
+     * Header (bg[] in the original): 0 width, 1-20 cannon x,y pairs,
+     * 21-30 throne, vane, gold, powder and ball positions, 31-36 chamber
+     * sizes, 37-40 starting gold, powder, balls and people, 41-44 reserved,
+     * then the drawing data
+     * @param {number[]} values - Header and drawing data, ending in -1
+     * @param {string} name - Display name
+     * @returns {Object} {name, width, cannons, throne, vane, gold, powder,
+     *                    balls, start, shapes}
+     */
+    static describe(values, name) {
+        const point = i => ({ x: values[i], y: values[i + 1] });
+        const chamber = (pos, size) => ({ ...point(pos), width: values[size], height: values[size + 1] });
+
+        // Unused cannon places are -1,-1; the original stops at the first one
+        const cannons = [];
+        for (let k = 0; k < 10 && values[2 + k * 2] > -1; k++) {
+            cannons.push(point(1 + k * 2));
+        }
+
+        return {
+            name,
+            width: values[0],
+            cannons,
+            throne: point(21),
+            vane: point(23),
+            gold: chamber(25, 31),
+            powder: chamber(27, 33),
+            balls: chamber(29, 35),
+            start: { gold: values[37], powder: values[38], balls: values[39], people: values[40] },
+            shapes: CastleLoader.readShapes(values.slice(CASTLE_HEADER))
+        };
+    }
+
+    /**
+     * Decode drawing data (original draw()): a list of x,y pairs ending in a
+     * negative number is a polygon; -2 style,index picks a fill pattern
+     * (2,9 masonry, 2,11 roof tiles); -4 switches between filled areas and
+     * outlines; -1 ends the castle
+     * @param {number[]} data
+     * @returns {Object[]} [{points: [[x, y], ...], pattern: [style, index], filled}]
+     */
+    static readShapes(data) {
+        const shapes = [];
+        let pattern = [2, 9];
+        let filled = true;
+        let i = 0;
+
+        while (i < data.length && data[i] !== -1) {
+            if (data[i] === -2) {
+                pattern = [data[i + 1], data[i + 2]];
+                i += 2;
+            } else if (data[i] === -4) {
+                filled = !filled;
+            } else {
+                const points = [];
+                while (data[i] > -1) {
+                    points.push([data[i], data[i + 1]]);
+                    i += 2;
+                }
+                shapes.push({ points, pattern, filled });
+            }
+            i++;
+        }
+        return shapes;
+    }
+
+    /**
+     * The castles that came with the original game
+     * @returns {Object[]} Castle descriptors
+     */
+    static originals() {
+        return CastleLoader.parse(ORIGINAL_CASTLES);
+    }
+
+    /**
+     * Convert a descriptor to the left castle's local units: x from the
+     * castle's centre towards the enemy, y up from its base, scale units per
+     * pixel. Things the original draws at a fixed size (20x12 cannons, the
+     * 30x25 throne room, towers 30 pixels apart) are converted too.
+     * Storeroom capacity follows from the chamber sizes as in the original:
+     * 150 gold per 7x10 pixels, 30 powder per 9x9, a ball per 6x6
+     * @param {Object} design - From parse()
+     * @param {number} scale - World units per pixel
+     * @returns {Object} {width, cannonSlots, throneRoom, vaneSpot, towerRow,
+     *                    buildArea, storage, chambers, shapes}
+     */
+    static layout(design, scale) {
+        const half = design.width / 2;
+        const x = px => (px - half) * scale;
+        const fits = (chamber, w, h) => Math.floor(chamber.width / w) * Math.floor(chamber.height / h);
+        // Rooms are centred on x and stand on y, like the throne room
+        const room = r => ({ x: x(r.x + r.width / 2), y: r.y * scale, width: r.width * scale, height: r.height * scale });
+
+        return {
+            width: design.width * scale,
+            cannonSlots: design.cannons.map(c => ({ x: x(c.x + 10), y: c.y * scale })),
+            throneRoom: {
+                x: x(design.throne.x + 15),
+                y: design.throne.y * scale,
+                width: 30 * scale,
+                height: 25 * scale
+            },
+            vaneSpot: { x: x(design.vane.x), y: design.vane.y * scale },
+            // Original fturm(): the first tower starts 20 pixels past the castle
+            towerRow: { FIRST_X: x(design.width + 30), SPACING: 30 * scale },
+            // Original anbau(): up to 15 pixels in front of the castle
+            buildArea: { BACK: half * scale, FRONT: x(design.width + 15) },
+            storage: {
+                MAX_GOLD: fits(design.gold, 7, 10) * 150,
+                MAX_POWDER: fits(design.powder, 9, 9) * 30,
+                MAX_BALLS: fits(design.balls, 6, 6)
+            },
+            chambers: { gold: room(design.gold), powder: room(design.powder), balls: room(design.balls) },
+            shapes: design.shapes.map(shape => ({
+                ...shape,
+                points: shape.points.map(([px, py]) => [x(px), py * scale])
+            }))
+        };
+    }
+
+    /**
+     * Area of a polygon (shoelace formula)
+     * @param {number[][]} points - [[x, y], ...]
+     * @returns {number}
+     */
+    static area(points) {
+        let sum = 0;
+        points.forEach(([x1, y1], i) => {
+            const [x2, y2] = points[(i + 1) % points.length];
+            sum += x1 * y2 - x2 * y1;
+        });
+        return Math.abs(sum) / 2;
+    }
+
+    /**
+     * Whether a point lies inside a polygon (even-odd rule)
+     * @param {number[][]} points - [[x, y], ...]
+     * @param {number} x
+     * @param {number} y
+     * @returns {boolean}
+     */
+    static contains(points, x, y) {
+        let inside = false;
+        points.forEach(([x1, y1], i) => {
+            const [x2, y2] = points[(i + 1) % points.length];
+            if ((y1 > y) !== (y2 > y) && x < x1 + (y - y1) * (x2 - x1) / (y2 - y1)) {
+                inside = !inside;
+            }
+        });
+        return inside;
+    }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.CastleLoader = CastleLoader;
+}
@@ -0,0 +1,141 @@
+/**
+ * Ballerburg 3D - Chip Synthesizer
+ * Three square-wave voices and a noise generator after the Atari ST's
+ * YM2149 sound chip, for tunes from MusicFile.sequence()
+ *
+ * The tune is rendered to PCM samples first and then played through Web
+ * Audio, so the same samples can be checked without sound hardware.
+ */
+
+// YM2149 clock in the Atari ST (Hz); tone and noise run at clock / 16 / period
+const CHIP_CLOCK = 2000000;
+
+class ChipSynth {
+    /**
+     * Create a synthesizer (the audio context opens on first play)
+     */
+    constructor() {
+        this.context = null;
+        this.source = null;
+        this._song = null;
+        this._buffer = null;
+    }
+
+    /**
+     * Amplitude of a chip volume, about 3 dB a step like the chip's DAC
+     * @param {number} volume - 0-15
+     * @returns {number} 0-1
+     */
+    static level(volume) {
+        return volume > 0 ? Math.pow(2, (volume - 15) / 2) : 0;
+    }
+
+    /**
+     * Render a tune to mono samples
+     * A voice sounds while its tone or noise is on; with both on, the noise
+     * gates the square wave as in the chip's mixer
+     * @param {Object[]} steps - From MusicFile.sequence()
+     * @param {number} sampleRate - Samples per second
+     * @returns {Float32Array} Samples in -1..1
+     */
+    render(steps, sampleRate) {
+        const length = steps.reduce((sum, step) => sum + step.seconds, 0);
+        const samples = new Float32Array(Math.round(length * sampleRate));
+        const rate = period => CHIP_CLOCK / 16 / Math.max(1, period) / sampleRate;
+        const phases = [0, 0, 0];
+        let noisePhase = 0;
+        let lfsr = 1;
+        let time = 0;
+        let start = 0;
+
+        steps.forEach(step => {
+            time += step.seconds;
+            const end = Math.min(samples.length, Math.round(time * sampleRate));
+            const voices = step.voices;
+            const speeds = voices.map(v => rate(v.period));
+            const levels = voices.map(v => (v.tone || v.noise ? ChipSynth.level(v.volume) / 3 : 0));
+            const noiseSpeed = rate(step.noise);
+
+            for (let i = start; i < end; i++) {
+                // 17-bit noise shift register, taps 0 and 3
+                for (noisePhase += noiseSpeed; noisePhase >= 1; noisePhase--) {
+                    lfsr = (lfsr >> 1) | (((lfsr ^ (lfsr >> 3)) & 1) << 16);
+                }
+                const noise = lfsr & 1;
+
+                let sample = 0;
+                for (let k = 0; k < 3; k++) {
+                    phases[k] = (phases[k] + speeds[k]) % 1;
+                    const high = (!voices[k].tone || phases[k] < 0.5) && (!voices[k].noise || noise);
+                    sample += high ? levels[k] : -levels[k];
+                }
+                samples[i] = sample;
+            }
+            start = end;
+        });
+        return samples;
+    }
+
+    /**
+     * Play a tune from the start, stopping the one playing
+     * @param {Object[]} steps - From MusicFile.sequence()
+     * @param {number} volume - Output gain (0-1)
+     * @returns {boolean} false without Web Audio
+     */
+    play(steps, volume = 1) {
+        const Context = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+        if (!Context) return false;
+
+        this.stop();
+        if (!this.context) this.context = new Context();
+        if (this.context.state === 'suspended') this.context.resume();
+
+        // Rendering takes a moment; a tune played again reuses its samples
+        if (this._song !== steps) {
+            const samples = this.render(steps, this.context.sampleRate);
+            this._buffer = this.context.createBuffer(1, samples.length, this.context.sampleRate);
+            this._buffer.copyToChannel(samples, 0);
+            this._song = steps;
+        }
+
+        const gain = this.context.createGain();
+        gain.gain.value = volume;
+        gain.connect(this.context.destination);
+
+        const source = this.context.createBufferSource();
+        source.buffer = this._buffer;
+        source.connect(gain);
+        source.onended = () => {
+            gain.disconnect();
+            if (this.source === source) this.source = null;
+        };
+        source.start();
+        this.source = source;
+        return true;
+    }
+
+    /**
+     * Stop the tune playing, if any
+     */
+    stop() {
+        if (!this.source) return;
+        this.source.stop();
+        this.source = null;
+    }
+
+    /**
+     * Stop and close the audio context
+     */
+    dispose() {
+        this.stop();
+        if (this.context) this.context.close();
+        this.context = null;
+        this._song = null;
+        this._buffer = null;
+    }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.ChipSynth = ChipSynth;
+}
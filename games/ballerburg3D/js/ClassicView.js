@@ -0,0 +1,214 @@
+/**
+ * Ballerburg 3D - Classic View
+ * The battlefield as the original showed it: side on, on a 640x400
+ * monochrome screen
+ *
+ * A locked orthographic camera looks at the field from the front. The scene
+ * is drawn into a 640x400 image without lighting: every material becomes a
+ * flat grey tone, dithered to black and white pixels, and see-through ones
+ * are drawn as a pixel screen. The image is then scaled up with hard pixel
+ * edges, by whole multiples where the window allows. Only the drawing
+ * changes; the game itself doesn't know which view is on.
+ */
+
+const CLASSIC_VERTEX_SHADER = `
+void main() {
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
+`;
+
+// Ordered 4x4 dither: paper where the tone is above the pixel's threshold
+const CLASSIC_FRAGMENT_SHADER = `
+uniform float tone;
+uniform float opacity;
+uniform vec3 ink;
+uniform vec3 paper;
+
+float bayer2(vec2 a) {
+    a = floor(a);
+    return fract(dot(a, vec2(0.5, a.y * 0.75)));
+}
+
+float bayer4(vec2 a) {
+    return bayer2(0.5 * a) * 0.25 + bayer2(a);
+}
+
+void main() {
+    if (bayer4(gl_FragCoord.xy + vec2(2.0, 1.0)) >= opacity) discard;
+    gl_FragColor = vec4(tone > bayer4(gl_FragCoord.xy) ? paper : ink, 1.0);
+}
+`;
+
+class ClassicView {
+    /**
+     * Create the view (off until switched on)
+     * @param {Object} settings - CLASSIC_VIEW config section
+     */
+    constructor(settings) {
+        this.settings = settings;
+        this.active = false;
+
+        const s = settings;
+        const top = s.BOTTOM + s.SPAN * s.HEIGHT / s.WIDTH;
+        this.camera = new THREE.OrthographicCamera(s.LEFT, s.LEFT + s.SPAN, top, s.BOTTOM, 0.1, 1000);
+        this.camera.position.set(0, 0, 500);
+        this.camera.lookAt(0, 0, 0);
+
+        // Dither materials by tone, opacity and side; created when first needed
+        this._materials = new Map();
+        this._target = null;
+        this._screen = null;
+    }
+
+    /**
+     * Grey level of a colour on the original's screen
+     * @param {THREE.Color} color - Colour with r, g, b in 0-1
+     * @param {number} levels - Number of grey levels, black and white included
+     * @returns {number} 0 (ink) to 1 (paper)
+     */
+    static tone(color, levels) {
+        const luma = 0.299 * color.r + 0.587 * color.g + 0.114 * color.b;
+        return Math.round(Utils.clamp(luma, 0, 1) * (levels - 1)) / (levels - 1);
+    }
+
+    /**
+     * The dither material standing in for a material of the scene
+     * @param {THREE.Material} material
+     * @returns {THREE.Material} The material itself if it isn't drawn
+     */
+    materialFor(material) {
+        if (!material.visible) return material;
+
+        const tone = material.color ? ClassicView.tone(material.color, this.settings.TONES) : 0;
+        const opacity = material.transparent ? Math.round(material.opacity * 16) / 16 : 1;
+        const key = `${tone}|${opacity}|${material.side}`;
+
+        let classic = this._materials.get(key);
+        if (!classic) {
+            classic = new THREE.ShaderMaterial({
+                uniforms: {
+                    tone: { value: tone },
+                    opacity: { value: opacity },
+                    ink: { value: new THREE.Color(this.settings.INK) },
+                    paper: { value: new THREE.Color(this.settings.PAPER) }
+                },
+                vertexShader: CLASSIC_VERTEX_SHADER,
+                fragmentShader: CLASSIC_FRAGMENT_SHADER,
+                side: material.side
+            });
+            this._materials.set(key, classic);
+        }
+        return classic;
+    }
+
+    /**
+     * Where the screen goes in a window, scaled by whole pixels if it fits
+     * @param {number} width - Window width
+     * @param {number} height - Window height
+     * @returns {Object} {left, top, width, height}
+     */
+    letterbox(width, height) {
+        const fit = Math.min(width / this.settings.WIDTH, height / this.settings.HEIGHT);
+        const scale = fit >= 1 ? Math.floor(fit) : fit;
+        const w = Math.round(this.settings.WIDTH * scale);
+        const h = Math.round(this.settings.HEIGHT * scale);
+        return { left: Math.floor((width - w) / 2), top: Math.floor((height - h) / 2), width: w, height: h };
+    }
+
+    /**
+     * Pointer position for raycasting with the view's camera
+     * @param {number} x - Offset from the canvas' left edge
+     * @param {number} y - Offset from the canvas' top edge
+     * @param {number} width - Canvas width
+     * @param {number} height - Canvas height
+     * @returns {THREE.Vector2|null} Normalized device coordinates, null outside the screen
+     */
+    pointer(x, y, width, height) {
+        const box = this.letterbox(width, height);
+        const u = (x - box.left) / box.width;
+        const v = (y - box.top) / box.height;
+        if (u < 0 || u > 1 || v < 0 || v > 1) return null;
+        return new THREE.Vector2(u * 2 - 1, 1 - v * 2);
+    }
+
+    /**
+     * Draw a frame: the scene in dither materials into the 640x400 image,
+     * then the image into the window. The scene is left as it was
+     * @param {THREE.WebGLRenderer} renderer
+     * @param {THREE.Scene} scene
+     */
+    render(renderer, scene) {
+        if (!this._target) this._createScreen();
+
+        // Swap in the dither materials; sprites (smoke, glow) weren't in the original
+        const swapped = [];
+        const hidden = [];
+        scene.traverse(obj => {
+            if (obj.isSprite || obj.isPoints) {
+                if (obj.visible) hidden.push(obj);
+                obj.visible = false;
+            } else if ((obj.isMesh || obj.isLine) && obj.material) {
+                swapped.push([obj, obj.material]);
+                obj.material = Array.isArray(obj.material) ?
+                    obj.material.map(m => this.materialFor(m)) : this.materialFor(obj.material);
+            }
+        });
+        const background = scene.background;
+        scene.background = this._paper;
+
+        renderer.setRenderTarget(this._target);
+        renderer.render(scene, this.camera);
+        renderer.setRenderTarget(null);
+
+        scene.background = background;
+        swapped.forEach(([obj, material]) => { obj.material = material; });
+        hidden.forEach(obj => { obj.visible = true; });
+
+        // Window: ink around the screen (the whole canvas is cleared first)
+        const size = renderer.getSize(new THREE.Vector2());
+        const box = this.letterbox(size.x, size.y);
+        renderer.setClearColor(this.settings.INK);
+        renderer.setViewport(box.left, size.y - box.top - box.height, box.width, box.height);
+        renderer.render(this._screen.scene, this._screen.camera);
+        renderer.setViewport(0, 0, size.x, size.y);
+    }
+
+    /**
+     * Create the 640x400 image and the quad that shows it
+     * @private
+     */
+    _createScreen() {
+        this._target = new THREE.WebGLRenderTarget(this.settings.WIDTH, this.settings.HEIGHT, {
+            minFilter: THREE.NearestFilter,
+            magFilter: THREE.NearestFilter
+        });
+        this._paper = new THREE.Color(this.settings.PAPER);
+
+        const quad = new THREE.Mesh(
+            new THREE.PlaneGeometry(2, 2),
+            new THREE.MeshBasicMaterial({ map: this._target.texture })
+        );
+        const scene = new THREE.Scene();
+        scene.add(quad);
+        this._screen = { scene, camera: new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1), quad };
+    }
+
+    /**
+     * Free the image and the dither materials
+     */
+    dispose() {
+        this._materials.forEach(m => m.dispose());
+        this._materials.clear();
+        if (this._target) {
+            this._target.dispose();
+            Utils.disposeMesh(this._screen.quad);
+            this._target = null;
+            this._screen = null;
+        }
+    }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.ClassicView = ClassicView;
+}
@@ -0,0 +1,87 @@
+/**
+ * Ballerburg 3D - Economy
+ * Gold, population and taxes per player, ported from rechnen() in BALLER1.C
+ *
+ * After each of a player's turns the people pay taxes and some move in or
+ * out. Income rises with the tax rate up to 65%, then falls again; high
+ * taxes drive people away, low taxes attract them. A kingdom whose
+ * population drops to zero is lost.
+ */
+
+class Economy {
+    /**
+     * Create economy model
+     * @param {Object} config - Game configuration (uses GAMEPLAY.ECONOMY)
+     */
+    constructor(config) {
+        this.settings = config.GAMEPLAY.ECONOMY;
+    }
+
+    /**
+     * Starting treasury for one player (original: ge, pu, ku, vo from the castle, st=20)
+     * Mining towers and the wind vane are entities of the game, not part of the treasury
+     * @param {Object} start - A BALLER.DAT castle's {gold, powder, balls, people}
+     *                         (default: the classic castle's values from the config)
+     * @returns {Object} {gold, population, tax, powder, balls}
+     */
+    createPlayer(start = null) {
+        return {
+            gold: start ? start.gold : this.settings.START_GOLD,
+            population: start ? start.people : this.settings.START_POPULATION,
+            tax: this.settings.START_TAX,
+            powder: start ? start.powder : this.settings.START_POWDER,
+            balls: start ? start.balls : this.settings.START_BALLS
+        };
+    }
+
+    /**
+     * Clamp a tax rate to the allowed range
+     * @param {number} tax - Requested rate in percent
+     * @returns {number}
+     */
+    clampTax(tax) {
+        return Utils.clamp(Math.round(tax), 0, this.settings.MAX_TAX);
+    }
+
+    /**
+     * Collect taxes and apply migration after a player's turn
+     * Integer arithmetic as in the original (C division truncates toward zero):
+     *   ge += vo * (st > 65 ? 130 - st : st) / (150 - rnd % 50)
+     *   vo  = vo * (95 + rnd % 11) / 100 + (21 - st + rnd % 9) * (8 + rnd % 5) / 20
+     *   ge += 40..70 per mining tower
+     * Gold beyond the treasury's capacity is lost.
+     * @param {Object} player - From createPlayer() (modified)
+     * @param {SeededRandom} rng - Economy random stream
+     * @param {number} towers - Mining towers the player owns
+     * @param {number} maxGold - Treasury capacity of the player's castle
+     * @returns {Object} {income, migration}
+     */
+    collect(player, rng, towers = 0, maxGold = this.settings.MAX_GOLD) {
+        const tax = player.tax;
+        const goldBefore = player.gold;
+        const populationBefore = player.population;
+
+        const taxYield = tax > 65 ? 130 - tax : tax;
+        player.gold += Math.trunc(player.population * taxYield / (150 - rng.int(50)));
+
+        const growth = Math.trunc(player.population * (95 + rng.int(11)) / 100);
+        const migration = Math.trunc((21 - tax + rng.int(9)) * (8 + rng.int(5)) / 20);
+        player.population = Math.max(0, growth + migration);
+
+        const towerIncome = this.settings.TOWER_INCOME;
+        for (let i = 0; i < towers; i++) {
+            player.gold += towerIncome.MIN + rng.int(towerIncome.MAX - towerIncome.MIN + 1);
+        }
+        player.gold = Math.min(player.gold, maxGold);
+
+        return {
+            income: player.gold - goldBefore,
+            migration: player.population - populationBefore
+        };
+    }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.Economy = Economy;
+}
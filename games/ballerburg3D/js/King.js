@@ -0,0 +1,60 @@
+/**
+ * Ballerburg 3D - King Entity
+ * Sits in the castle's throne room; a ball into the throne room kills him
+ * and his people surrender (original end code 16)
+ */
+
+class King extends Entity {
+    /**
+     * Create king
+     * @param {THREE.Scene} scene
+     * @param {Castle} castle - Castle whose throne room he sits in
+     */
+    constructor(scene, castle) {
+        super(scene);
+
+        this.castle = castle;
+
+        // On the throne room floor, at the front so he can be seen
+        const room = castle.getThroneRoom();
+        this.position.set((room.minX + room.maxX) / 2, room.minY, room.maxZ - 0.5);
+
+        this._build();
+        this.syncPosition();
+    }
+
+    /**
+     * Build king model: robe, head and crown
+     */
+    _build() {
+        const robe = new THREE.MeshPhongMaterial({ color: this.castle.colors.roof });
+        const skin = new THREE.MeshPhongMaterial({ color: 0xF0C8A0 });
+        const gold = new THREE.MeshPhongMaterial({ color: 0xFFD700, shininess: 80 });
+
+        const body = new THREE.Mesh(new THREE.CylinderGeometry(0.35, 0.6, 1.4), robe);
+        body.position.y = 0.7;
+        this.group.add(body);
+
+        const head = new THREE.Mesh(new THREE.SphereGeometry(0.3, 8, 8), skin);
+        head.position.y = 1.7;
+        this.group.add(head);
+
+        const crown = new THREE.Mesh(new THREE.CylinderGeometry(0.3, 0.25, 0.3, 6), gold);
+        crown.position.y = 2.1;
+        this.group.add(crown);
+    }
+
+    /**
+     * Whether a ball at this point has reached the throne room
+     * @param {THREE.Vector3} point - Ball or impact position
+     * @returns {boolean}
+     */
+    isHitBy(point) {
+        return this.alive && this.castle.isInThroneRoom(point);
+    }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.King = King;
+}
@@ -0,0 +1,100 @@
+/**
+ * Ballerburg 3D - King Advisor
+ * Audience with the king, ported from koenig() in BALLER2.C
+ *
+ * The king picks one of 15 remarks (kn0-kn14 in the string table) from a
+ * list built by rules on taxes, people, gold, towers, cannons and the wind
+ * vane. Some remarks are entered more than once to make them likelier. He
+ * sees a player at most once a turn, tires of visits in every turn and
+ * never says the same thing twice in a row.
+ */
+
+class KingAdvisor {
+    /**
+     * Fresh visit record for one player (original kn[n]: visit count,
+     * visits in consecutive turns, visited this turn; ltz[n]: last remark)
+     * @returns {Object} {visits, streak, visited, last}
+     */
+    createRecord() {
+        return { visits: 0, streak: 0, visited: false, last: null };
+    }
+
+    /**
+     * A player's turn is over: the streak of consecutive visits breaks if
+     * they didn't come (original ein_zug())
+     * @param {Object} record - From createRecord() (modified)
+     */
+    endTurn(record) {
+        if (!record.visited) record.streak = 0;
+        record.visited = false;
+    }
+
+    /**
+     * Remarks the king may make, with repeats as weights
+     * @param {Object} record - Visit record
+     * @param {Object} situation - {gold, tax, population, startGold, startPopulation,
+     *                              towers, cannons, vane, towerPrice, cannonPrice, turn}
+     *                              turn counts both players' turns from 0 (original zug)
+     * @param {SeededRandom} rng
+     * @returns {string[]} Message keys
+     */
+    candidates(record, situation, rng) {
+        const s = situation;
+        const bits = rng.int(8);
+        const list = [bits & 1 ? 'kn0' : 'kn10', bits & 2 ? 'kn12' : 'kn6'];
+        if (bits & 4) list.push('kn14');
+
+        if (s.gold > s.towerPrice && s.towers < 3) list.push('kn5');
+        if ((s.tax > 40 && s.population < s.startPopulation) || s.tax > 70) list.push('kn3');
+        if (!s.vane) list.push('kn9');
+        if (s.gold > s.startGold && s.population > s.startPopulation && s.cannons > 1) {
+            list[1] = s.towers < 2 ? 'kn1' : 'kn2';
+        }
+        if (s.towers > 2) list.push('kn2');
+        if (s.cannons < 1 && s.gold < s.cannonPrice) list.push('kn4');
+        if (record.streak > 4) list.push('kn7', 'kn7', 'kn7');
+        if (record.streak > 6 || (rng.int(8) === 0 && record.visits >= 8)) list.push('kn8', 'kn8');
+
+        // Too early to judge: the greeting or nothing much
+        if (s.turn < 4) {
+            list.length = 4;
+            list.fill('kn11', 1);
+        }
+        return list;
+    }
+
+    /**
+     * Ask for an audience
+     * @param {Object} record - Visit record (modified)
+     * @param {Object} situation - See candidates()
+     * @param {SeededRandom} rng
+     * @returns {Object} {key, params}; key 'refused' when the king won't see the player
+     */
+    consult(record, situation, rng) {
+        let result = { key: 'refused', params: {} };
+
+        if (rng.int(20) !== 0 && !record.visited && record.streak <= 9) {
+            // Drawing last time's remark adds "nothing new" until another one comes up
+            const list = this.candidates(record, situation, rng);
+            let key;
+            do {
+                key = list[rng.int(list.length)];
+                if (key === record.last) list.push('kn13', 'kn13');
+            } while (key === record.last);
+
+            record.last = key;
+            result = { key, params: { count: record.visits } };
+        }
+
+        // Every knock on the door counts, even a refused one
+        record.visited = true;
+        record.visits++;
+        if (record.streak < 15) record.streak++;
+        return result;
+    }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.KingAdvisor = KingAdvisor;
+}
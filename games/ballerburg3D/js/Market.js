@@ -0,0 +1,121 @@
+/**
+ * Ballerburg 3D - Market
+ * Prices and purchase rules, ported from markt() in BALLER2.C
+ *
+ * The six goods share one price list for both players. Prices start near
+ * their base value and drift a little after every turn, always staying
+ * within the original bounds. What a purchase actually builds (towers,
+ * cannons, the wind vane, stonework) is up to the game; this module only
+ * decides whether it is allowed and takes the gold.
+ */
+
+class Market {
+    /**
+     * Create market
+     * @param {Object} config - Game configuration (uses GAMEPLAY.MARKET and GAMEPLAY.ECONOMY)
+     */
+    constructor(config) {
+        this.items = config.GAMEPLAY.MARKET.ITEMS;
+        this.maxTowers = config.GAMEPLAY.MARKET.MAX_TOWERS;
+        this.storage = config.GAMEPLAY.ECONOMY;
+    }
+
+    /**
+     * Index of an item by id
+     * @param {string} id - 'build', 'tower', 'cannon', 'vane', 'powder' or 'balls'
+     * @returns {number} -1 if unknown
+     */
+    indexOf(id) {
+        return this.items.findIndex(item => item.id === id);
+    }
+
+    /**
+     * Opening prices: base price +-5% (original neues())
+     * @param {SeededRandom} rng - Economy random stream
+     * @returns {number[]}
+     */
+    createPrices(rng) {
+        return this.items.map(item => Math.trunc(item.price * (95 + rng.int(11)) / 100));
+    }
+
+    /**
+     * Let every price drift by up to +-swing/2, clamped to its bounds (original rechnen())
+     * @param {number[]} prices - Current prices (modified)
+     * @param {SeededRandom} rng - Economy random stream
+     */
+    drift(prices, rng) {
+        this.items.forEach((item, i) => {
+            prices[i] += Math.trunc(item.swing * rng.int(99) / 98) - Math.trunc(item.swing / 2);
+            prices[i] = Utils.clamp(prices[i], item.min, item.max);
+        });
+    }
+
+    /**
+     * Why an item can't be bought right now
+     * @param {string} id - Item id
+     * @param {Object} player - Treasury {gold, powder, balls, ...}
+     * @param {number[]} prices - Current prices
+     * @param {Object} castle - {cannons, cannonSlots, towers, vane, canBuild, storage}
+     * @returns {string|null} Reason, or null if the purchase is allowed
+     */
+    whyNot(id, player, prices, castle) {
+        const index = this.indexOf(id);
+        if (index < 0) return 'Unknown item';
+        if (player.gold < prices[index]) return 'Not enough gold';
+
+        switch (id) {
+            case 'build':
+                return castle.canBuild ? null : 'No room left to build';
+            case 'tower':
+                return castle.towers >= this.maxTowers ? `At most ${this.maxTowers} mining towers` : null;
+            case 'cannon':
+                return castle.cannons >= castle.cannonSlots ? 'No free cannon platform' : null;
+            case 'vane':
+                return castle.vane ? 'You already have a wind vane' : null;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Whether the storeroom for powder or balls is full (buying still costs
+     * gold but adds nothing, as in the original)
+     * @param {string} id - Item id
+     * @param {Object} player - Treasury
+     * @param {Object} storage - The castle's {MAX_POWDER, MAX_BALLS} (default: config)
+     * @returns {boolean}
+     */
+    isFull(id, player, storage = this.storage) {
+        if (id === 'powder') return player.powder >= storage.MAX_POWDER;
+        if (id === 'balls') return player.balls >= storage.MAX_BALLS;
+        return false;
+    }
+
+    /**
+     * Pay for an item; powder and balls go straight into storage
+     * @param {string} id - Item id
+     * @param {Object} player - Treasury (modified)
+     * @param {number[]} prices - Current prices
+     * @param {Object} castle - See whyNot()
+     * @returns {boolean} true if bought
+     */
+    buy(id, player, prices, castle) {
+        if (this.whyNot(id, player, prices, castle)) return false;
+
+        const item = this.items[this.indexOf(id)];
+        const storage = castle.storage || this.storage;
+        player.gold -= prices[this.indexOf(id)];
+
+        if (id === 'powder') {
+            player.powder = Math.min(player.powder + item.amount, storage.MAX_POWDER);
+        } else if (id === 'balls') {
+            player.balls = Math.min(player.balls + item.amount, storage.MAX_BALLS);
+        }
+        return true;
+    }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.Market = Market;
+}
@@ -0,0 +1,108 @@
+/**
+ * Ballerburg 3D - Mining Tower Entity
+ * Förderturm in front of the castle; pays 40-70 gold per turn until it is
+ * shot down (original fturm())
+ */
+
+class MiningTower extends DamageableEntity {
+    /**
+     * Create mining tower
+     * @param {THREE.Scene} scene
+     * @param {Castle} castle - Owning castle
+     * @param {number} slot - Place in the row in front of the castle (0 = nearest)
+     */
+    constructor(scene, castle, slot = 0) {
+        super(scene, castle.config.GAMEPLAY.MINING_TOWERS.HEALTH);
+
+        this.castle = castle;
+        this.slot = slot;
+
+        // Standing on the ground, towards the enemy
+        const side = castle.playerIndex === 0 ? 1 : -1;
+        this.position.copy(castle.position);
+        const row = castle.towerRow;
+        this.position.x += side * (row.FIRST_X + row.SPACING * slot);
+        this.position.y = castle.terrain.getHeight(this.position.x, this.position.z);
+
+        this._build();
+        this.syncPosition();
+    }
+
+    /**
+     * Size of the tower's box
+     */
+    static get WIDTH() { return 2.5; }
+    static get HEIGHT() { return 6; }
+
+    /**
+     * Build tower model: timber frame, winding wheel and a stone base
+     */
+    _build() {
+        const stone = new THREE.MeshPhongMaterial({ color: this.castle.colors.stone, shininess: 10 });
+        const wood = new THREE.MeshPhongMaterial({ color: 0x654321 });
+        const roof = new THREE.MeshPhongMaterial({ color: this.castle.colors.roof, shininess: 30 });
+
+        const base = new THREE.Mesh(new THREE.BoxGeometry(MiningTower.WIDTH, 1.5, MiningTower.WIDTH), stone);
+        base.position.y = 0.75;
+        base.castShadow = true;
+        this.group.add(base);
+
+        [-0.9, 0.9].forEach(x => {
+            const post = new THREE.Mesh(new THREE.BoxGeometry(0.3, 4.5, 0.3), wood);
+            post.position.set(x, 3.75, 0);
+            post.castShadow = true;
+            this.group.add(post);
+        });
+
+        const wheel = new THREE.Mesh(new THREE.CylinderGeometry(0.8, 0.8, 0.2, 12), wood);
+        wheel.position.y = 5;
+        wheel.rotation.x = Math.PI / 2;
+        this.group.add(wheel);
+
+        const top = new THREE.Mesh(new THREE.ConeGeometry(1.5, 1, 4), roof);
+        top.position.y = MiningTower.HEIGHT + 0.5;
+        this.group.add(top);
+    }
+
+    /**
+     * Middle of the tower (aim point)
+     * @returns {THREE.Vector3}
+     */
+    getCenter() {
+        return this.position.clone().add(new THREE.Vector3(0, MiningTower.HEIGHT / 2, 0));
+    }
+
+    /**
+     * Whether a ball at this point has reached the tower
+     * @param {THREE.Vector3} point - Ball or impact position
+     * @returns {boolean}
+     */
+    isHitBy(point) {
+        const half = MiningTower.WIDTH / 2;
+        return this.alive &&
+            Math.abs(point.x - this.position.x) < half &&
+            Math.abs(point.z - this.position.z) < half &&
+            point.y > this.position.y && point.y < this.position.y + MiningTower.HEIGHT;
+    }
+
+    /**
+     * State for save games
+     * @returns {Object}
+     */
+    serialize() {
+        return { slot: this.slot, health: this.health };
+    }
+
+    /**
+     * Apply saved state
+     * @param {Object} data - From serialize()
+     */
+    restore(data) {
+        this.health = data.health;
+    }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.MiningTower = MiningTower;
+}
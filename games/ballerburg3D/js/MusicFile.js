@@ -0,0 +1,322 @@
+/**
+ * Ballerburg 3D - Music File
+ * Parser and player program for Musik-Editor tunes like BALLER.MUS
+ * (m_laden() and m_musik() in MUSIK.C)
+ *
+ * A file holds bars of 96 steps (72 in waltz time) for the YM2149's three
+ * voices and its noise generator, and a list that plays them: each entry is
+ * four numbers, either a row of bars (noise, voice 1, 2, 3; negative for
+ * silence) or a command for transposition, volume, tempo, repeats and
+ * calls. All numbers are big-endian 16-bit words.
+ */
+
+// BALLER.MUS of the original, played when a match ends
+const ORIGINAL_MUSIC = `
+EgYZaQQQABwAGAAUAAsAAAABAAEAAQABAAEAAQYCAAAAAAYCAAAAAAAAAQEAAAEBAAABAf/7AAAA
+AAAA//7/9AAAAAD8GAAA/BgADfwYAAH8GAAO/BgAAvwYAA//+gABAAAAAPwYAAMABAAQ//kAAAAA
+AAD8GAADAAUAEfwYABIABgAI/BgABwAHABP8GAASAAYACPwYABAACQAK//7/0AAAAAAAFAALAAsA
+Ff/+/87//v/+ABQACwALABX//v/N//3//QAUAAsACwAV//7/zP/8//wAFAALAAsAFf/+/9AAAP/7
+ABQADAAMABX//v/0ADAAAPwYAA0ADQAW/BgADQANABf//v/Q/+8ADPwYABgAGAAY//8AAAAAAAAc
+cBxwHHAccBxwHHAccBxwHHAccBxwHHAccBxwHHAccBxwHHAccBxwHHAccBxwHHAVcBVwFXAVcBVw
+FXAccBxwHHAccBxwFnAccBxwHHAccBxwFnAccBxwHHAccBxwFnAccBxwHHAccBxwHHAccBxwHHAc
+cBxwHHAccBxwHHAccBxwHHAccBxwHHAccBxwHHAXcBZwFnAWcBZwFnAccBxwHHAccBxwFnAccBxw
+HHAccBxwFnAccBxwHHAccBxwFnAcaBxoHGgcaBxoHGgcaBxoHGgcaBxoHGgcaBxoHGgcaBxoHGgc
+aBxoHGgcaBxoHGgVaBVoFWgVaBVoFWgVaBVoFWgVaBVoFWgcaBxoHGgcaBxoHGgcaBxoHGgcaBxo
+HGgcYBxgHGAcYBxgHGAcYBxgHGAcYBxgHGAcaBxoHGgcaBxoHGgcaBxoHGgcaBxoHGgccBxwHHAc
+cBxwHHAccBxwHHAccBxwHHAccBxwHHAccBxwHHAccBxwHHAccBxwHHAcfBx8HHwcfBx8HHwcfBx8
+HHwcfBx8HHwcfBx8HHwcfBx8HHwcfBx8HHwcfBx8FHwcfBx8HHwcfBx8HHwcfBx8HHwcfBx8FXwc
+fBx8HHwcfBx8HHwcfBx8HHwcfBx8HHwdeB14HXgdeB14HXgdeB14HXgdeB14HXgdeB14HXgdeB14
+HXgdeB14HXgdeB14HXiedJ50nnSedJ50nnSedJ50nnSedJ50nnQedB50HnQedB50HnQedB50HnQe
+dB50HnQccBxwHHAccBxwHHAccBxwHHAccBxwHHAccBxwHHAccBxwHHAccBxwHHAccBxwHHAccBxw
+HHAccBxwHHAccBxwHHAccBxwHHAccBxwHHAccBxwHHAccBxwHHAccBxwHHAccBxwHHAccBxwHHAc
+cBxwHHAccBxwHHAccBxwHHAccBxwHHAccBxwHHAccBxwHHAccBxwHHAbcBtwG3AbcBpwGnAacBpw
+GnAZcBlwGXAZcBlwGHAYcBhwGHAXcBdwF3AQcBBwEHAQcBBwEHAQcBBwEHAQcBBwEHAQcBBwEHAQ
+cBBwEHAQcBBwEHAQcBBwEHAbRBtAGzwbORs4GzgbORs5GzgbOBs5GzkbRBtEG0UbRRtEG0QbRRtF
+G0QbRBtFG0UcRBxAHDwcORw4HDgcORw5HDgcOBw5HDkcRBxEHEUcRRxEHEQcRRxFHEQcRBxFHEUd
+RB1AHTwdOR04HTgdOR05HTgdOB05HTkdRB1EHUUdRR1EHUQdRR1FHUQdRB1FHUUQcBBwEHAQcBBw
+EHAQcBBwEHAQcBBwEHAcRBxEHEQcRBxEHEQcRBxEHEQcRBxEHEQcOBw4HDgcOBw4HDgcOBw4HDgc
+OBw4HDicPJw8nDycPJw8nDwcRBxEHEQcRBxEHEQdRB1EHUQdRB1EHUSdRJ1EnUSdRJ1EnUSdRJ1E
+nUSdRJ1EnUQdSB1IHUgdSB1IHUieTJ5MnkyeTJ5MnkyeTJ5MnkyeTJ5MnkweVB5UHlQeVB5UHlQe
+VB5UHlQeVB5UHlReRF5EHkAeQB5AHkAeQB5AHkAeQB5AHkAeSB5IHkgeSB5IHkgdSB1IHUgdSB1I
+HUieTJ5MnkyeTJ5MnkyeTJ5MnkyeTJ5MnkwdSB1IHUgdSB1IHUieTJ5MnkyeTJ5MnkyeTJ5Mnkye
+TJ5MnkwdSB1IHUgdSB1IHUgdSB1IHUgdSB1IHUieTJ5MnkyeTJ5MnkweVB5UHlQeVB5UHlQeVB5U
+HlQeVB5UHlQeVB5UHlQeVB5UHlQeVB5UHlQeVB5UHlQcYBxgHGAcYBxgHGAcYBxgHGAcYBxgFmAc
+YBxgHGAcYBxgHGAcYBxgHGAcYBxgHGCdWJ1YnVidWJ1YnVgdWB1YHVgdWB1YHVgdWB1YHVgdWB1Y
+HVgdVB1UHVQdVB1UHVQdVB1UHVQdVB1UHVQdVB1UHVQdVB1UHVQcVBxUHFQcVBxUHFQcVBxUHFQc
+VBxUHFQcVBxUHFQcVBxUHFQcVBxUHFQcVBxUHFQbVBtUG1QbVBtUG1QbVBtUG1QbVBtUG1Qcohye
+HJwcnBycHJwcnBycHJwcnBycHJwcnBycHJwcnBycHJwcnBycG5wanBmcGJwcrhyqG6gbqBqoGagc
+ohyeHJwcnBycHJwcnBycG5wanBmcGJwcohyeHJwcnBycHJwcnBycG5wanBmcF5wcohyeHJwcnByc
+HJwcnBycG5wanBmcGJwcrhyqHKgbqBqoGagcohyeHJwcnBycHJwcnBycG5wanBmcGJwckhyOHIwc
+jByMHIwcjByMG4wajBmMGIweVB5UHlQeVB5UHlQeVB5UHlQeVB5UHlQdVB1UHVQdVB1UHVQdVB1U
+HVQdVB1UHVQdVB1UHVQdVB1UHVQdVB1UHVQdVB1UHVQcVBxUHFQcVBxUHFQcVBxUHFQcVBxUHFQc
+VBxUHFQcVBxUHFQcVBxUHFQcVBxUHFSePJ48njyePJ48njyePJ48njyePJ48njydPJ08nTydPJ08
+nTydPJ08nTydPJ08nTwePB48HjwePB48HjwePB48HjwePB48HjwcrhyqHKgcqByoHKgcrhyqHKgc
+qByoHKgcqByoHKgcqByoHKgcqByoG6gaqBmoGKgcuhy2G7QbtBq0GbQcrhyqHKgcqByoHKgcqByo
+G6gaqBmoGKgcrhyqHKgcqByoHKgcqByoG6gaqBmoF6gcrhyqG6gaqBmoGKidkJ2QnZCdkJ2QnZCd
+kJ2QnZCdkJ2QnZCckJyQnJCckJyQnJCckJyQnJCckJyQnJAekB6QHpAekB6QHpAdkB2QHZAdkB2Q
+HZA7ODs4OzgbOBs4GzgbOBs4GzgbOBs4GzgcOBw4HDgcOBw4HDgcOBw4HDgcOBw4HDg8ODw4HDgc
+OBw4HDg8OBw4HDgcOBw4HDgdOB04HTgdOB04HTgdOB04HTgdOB04HTg9OD04PTgdOB04HTgdOB04
+HTgdOB04HTgcOBw4HDgcOBw4HDg8OBw4HDgcOBw4HDg8ODw4HDgcOBw4HDgcOBw4HDgcOBw4HDg7
+OBs4Gzg7OBs4Gzg7OBs4GzgbOBs4Gzg7RDtEG0QbRBtEG0QbRBtEG0QbRBtEG0QcRBxEHEQcRBxE
+HEQcRBxEHEQcRBxEHEQ8RDxEHEQcRBxEHEQcRBxEHEQcRBxEHEQdRB1EHUQdRB1EHUQdRB1EHUQd
+RB1EHUQ8RDxEHEQcRBxEHEQcRBxEHEQcRBxEHES9MJ0wnTCdMJ0wnTC9MJ0wnTCdMJ0wnTC9MJ0w
+nTCdMJ0wnTC9MJ0wnTCdMJ0wnTC9MJ0wnTCdMJ0wnTC9MJ0wnTCdMJ0wnTAaqBqoGqgaqBqoGqga
+qBqoGqgaqBqoGqgaqBqoGqgaqBqoGqgaqBqoGqgaqBqoGqgaqBqoGqgaqBqoGqgaqBqoGqgaqBqo
+GqgaqBqoGqgaqBqoGqgaqBqoGqgaqBqoGqgaqBqoGqgaqBqoGqgaqBqoGqgaqBqoGqgaqBqoGqga
+qBqoGqgaqBqoGqgaqBqoGqgaqBqoGqgaqBqoGqgaqBqoGqgaqBqoGqgaqBqoGqgaqBqoGqgaqBqo
+GqgaqBqoGqgaoBqgGqAaoBqgGqAaoBqgGqAaoBqgGqAaoBqgGqAaoBqgGqAaoBqgGqAaoBqgGqAa
+oBqgGqAaoBqgGqAaoBqgGqAaoBqgGqAaoBqgGqAaoBqgGqAaoBqgGqAaoBqgGqAamBqYGpgamBqY
+GpgamBqYGpgamBqYGpgamBqYGpgamBqYGpgamBqYGpgamBqYGpgamBqYGpgamBqYGpgamBqYGpga
+mBqYGpgamBqYGpgamBqYGpgamBqYGpgamBqYGpgatBq0GrQatBq0GrQatBq0GrQatBq0GrQatBq0
+GrQatBq0GrQatBq0GrQatBq0GrQatBq0GrQatBq0GrQatBq0GrQatBq0GrQatBq0GrQatBq0GrQa
+tBq0GrQatBq0GrQasBqwGrAasBqwGrAasBqwGrAasBqwGrAasBqwGrAasBqwGrAasBqwGrAasBqw
+GrCarJqsmqyarJqsmqyarJqsmqyarJqsmqyarJqsmqyarJqsmqyarJqsmqyarJqsmqwZqBmoGagZ
+qBmoGagZqBmoGagZqBmoGagZqBmoGagZqBmoGagZqBmoGagZqBmoGagZqBmoGagZqBmoGagZqBmo
+GagZqBmoGagZqBmoGagZqBmoGagZqBmoGagZqBmoGagZqBmoGagZqBmoGagZqBmoGagZqBmoGagZ
+qBmoGagZqBmoGagZqBmoGagZqBmoGagZqBmoGagZqBmoGagZqBmoGagZqBmoGagZqBmoGagZqBmo
+GagZqBmoGagZqBmoGagZqBmoGagZqBmoGagZqBmoGagZqBmoGagZqBmoGagZqBmoGagZqBmoGagZ
+qBmoGagZqBmoGagZqBmoGagZqBmoGagZqBmoGagZqBmoGagZqBmoGagZqBmoGagZqBmoGagZqBmo
+GagZqBmoGagZqBmoGagZqBmoGagepB6kHqQepB6kHqQdpB2kHaQdpB2kHaSeoJ6gnqCeoJ6gnqCd
+oJ2gnaCdoJ2gnaAfoB+gH6AfoB+gH6AeoB6gHqAeoB6gHqAdnB2cHZwdnB2cHZwdnB2cHZwdnB2c
+HZwdnB2cHZwdnB2cHZwdnB2cHZwdnB2cHZwdnB2cHZwdnB2cHZwdnB2cHZwdnB2cHZwdnB2cHZwd
+nB2cHZwdnB2cHZwdnB2cHZwdnB2cHZwdnB2cHZwdnB2cHZwdnB2cHZwdnB2cHZwdnB2cHZwdnB2c
+HZwdnB2cHZwdnB2cHZwdnB2cHZwdnB2cHZwdnB2cHZwdnB2cHZwdnB2cHZwdnB2cHZwdnB2cHZwe
+qB6oHqgeqB6oHqgeqB6oHqgeqB6oHqgeqB6oHqgeqB6oHqgeqB6oHqgeqB6oHqgeqB6oHqgeqB6o
+HqgeqB6oHqgeqB6oHqgeqB6oHqgeqB6oHqgeqB6oHqgeqB6oHqgeqB6oHqgeqB6oHqgeqB6oHqge
+qB6oHqgepB6kHqQepB6kHqQepB6kHqQepB6kHqSeoJ6gnqCeoJ6gnqCeoJ6gnqCeoJ6gnqAeoB6g
+HqAeoB6gHqAeoB6gHqAeoB6gHqD7H9sf2x/bH9sf2x/bHNsc2xzbHNsc2xzcDNwM3AzcDNwM3Azc
+DNwM3AzcDNwM3Az8CtwK3ArcCtwK3Ar8BNwE3ATcBNwE3ATdFt0W3RbdFt0W3RbdFt0W3RbdFt0W
+3Rb9Ht0e3R7dHt0e3R7dHt0e3R7dHt0e3R7cENwQ3BDcENwQ3BDcENwQ3BDcENwQ3BD8DdwN3A3c
+DdwN3A3cDdwN3A3cDdwN3A37B9sH2wf7B9sH2wf7B9sH2wfbB9sH2wcacBpwGnAacBpwGnAacBpw
+GnAacBpwGnAafBp8GnwafBp8GnwahBqEGoQahBqEGoQahBqEGoQahBqEGoQajBqMGowajBqMGowa
+fBp8GnwafBp8GnwafBp8GnwafBp8GnyadJp0mnSadJp0mnSadJp0mnSadJp0mnQafBp8GnwafBp8
+GnyafJp8mnyafJp8mnwagBqAGoAagBqAGoAahBqEGoQahBqEGoSahJqEmoSahJqEmoSadJp0mnSa
+dJp0mnQacBpwGnAacBpwGnCadJp0mnSadJp0mnQafBp8GnwafBp8GnyafJp8mnyafJp8mnwagBqA
+GoAagBqAGoAahBqEGoQahBqEGoSahJqEmoSahJqEmoQaiBqIGogaiBqIGogajBqMGowajBqMGoya
+kJqQmpCakJqQmpAamBqYGpgamBqYGpiamJqYmpiamJqYmpganBqcGpwanBqcGpwaoBqgGqAaoBqg
+GqCaoJqgmqCaoJqgmqAapBqkGqQapBqkGqQaqBqoGqgaqBqoGqgapBqkGqQapBqkGqSaoJqgmqCa
+oJqgmqAaoBqgGqAaoBqgGqAanBqcGpwanBqcGpyamJqYmpiamJqYmpgamBqYGpgamBqYGpialJqU
+mpSalJqUmpQajBqMGowajBqMGowaiBqIGogaiBqIGoiahJqEmoSahJqEmoQahBqEGoQahBqEGoQa
+gBqAGoAagBqAGoCafJp8mnyafJp8mnwafBp8GnwafBp8GnyadJp0mnSadJp0mnQfVB1UHFQbVBtU
+G1QcVBxUHFQcVBxUHFQcVB1UHVQdVB1UHVQdVB1UHVQdVB1UHVQdVB1UHVQdVB1UHVQdVB1UHVQd
+VB1UHVQdVB1UHVQdVB1UHVQdVB1UHVQdVB1UHVQdVB1UHVQdVB1UHVQdVB1UHVQdVB1UHVQdVB1U
+HVQdVB1UHVQdVB1UHVMdVB1VG1cbWBtaGlsaXRleGWAYYRhiF2QXZRZnFmgVahVrFG0UbhNvE3ES
+chJ0EXURdxB4EHo=
+`;
+
+// Chip tone periods per semitone, highest note first (original st_wert)
+const TONE_PERIODS = [
+    15, 16, 17, 18, 19, 20, 21, 22, 24, 25, 27, 28, 30,
+    32, 34, 36, 38, 40, 42, 45, 47, 50, 53, 56, 60,
+    63, 67, 71, 75, 80, 84, 89, 95, 100, 106, 113, 119,
+    127, 134, 142, 150, 159, 169, 179, 190, 201, 213, 226, 239,
+    253, 268, 284, 301, 319, 338, 358, 379, 402, 426, 451, 478,
+    506, 536, 568, 602, 638, 676, 716, 759, 804, 852, 903, 956,
+    1013, 1073, 1136, 1204, 1276, 1351, 1432, 1517, 1607, 1703, 1804, 1911,
+    2025, 2145, 2273, 2408, 2553, 2703, 2864, 3034, 3214, 3405, 3608, 3823
+];
+
+// Semitone of each note the editor writes (original st_ton)
+const NOTE_STEPS = [
+    0, 1, 3, 5, 7, 8, 10, 12, 13, 15, 17, 19, 20, 22, 24, 25,
+    27, 29, 31, 32, 34, 36, 37, 39, 41, 43, 44, 46, 48, 49, 51, 53,
+    55, 56, 58, 60, 61, 63, 65, 67, 68, 70, 72, 73,
+    75, 77, 79, 80, 82, 84, 85, 87, 89, 91, 92, 94, 96
+];
+
+// List commands (original m_musik() switch)
+const MUSIC_END = -1;
+const MUSIC_TRANSPOSE = -2;
+const MUSIC_VOLUME = -3;
+const MUSIC_TEMPO = -4;
+const MUSIC_REPEAT = -5;
+const MUSIC_EXIT_AFTER = -6;
+const MUSIC_AGAIN = -7;
+const MUSIC_CALL = -8;
+
+// List steps before a tune is taken to repeat forever
+const MUSIC_MAX_STEPS = 100000;
+
+class MusicFile {
+    /**
+     * Parse a Musik-Editor file
+     * Layout: 8 header words (2 tempo, 3 last list entry, 4 last bar, 7 waltz),
+     * 18 words of editor settings, the list, then the bars
+     * @param {ArrayBuffer|Uint8Array} bytes - File contents
+     * @returns {Object} {tempo, waltz, barLength, list, bars}; list is flat,
+     *                   four numbers per entry; bars are arrays of note words
+     * @throws {Error} If the file is shorter than its header says
+     */
+    static parse(bytes) {
+        const data = bytes instanceof ArrayBuffer ?
+            new DataView(bytes) : new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if (data.byteLength < 52) throw new Error('Music file is incomplete');
+
+        const word = i => data.getInt16(i * 2);
+        const entries = word(3) + 1;
+        const barCount = word(4) + 1;
+        const waltz = word(7) !== 0;
+        const barLength = waltz ? 72 : 96;
+
+        const listStart = 26;
+        const barStart = listStart + entries * 4;
+        if (data.byteLength < (barStart + barCount * barLength) * 2) {
+            throw new Error('Music file is incomplete');
+        }
+
+        const list = [];
+        for (let i = listStart; i < barStart; i++) list.push(word(i));
+
+        const bars = [];
+        for (let b = 0; b < barCount; b++) {
+            const bar = [];
+            for (let i = 0; i < barLength; i++) bar.push(data.getUint16((barStart + b * barLength + i) * 2));
+            bars.push(bar);
+        }
+
+        return { tempo: word(2), waltz, barLength, list, bars };
+    }
+
+    /**
+     * The tune that came with the original game
+     * @returns {Object} Parsed BALLER.MUS
+     */
+    static original() {
+        return MusicFile.parse(Uint8Array.from(atob(ORIGINAL_MUSIC.replace(/\s/g, '')), c => c.charCodeAt(0)));
+    }
+
+    /**
+     * Run a tune's list like the original player and record the sound chip
+     * after every step (1/96 bar)
+     * The original waited a busy loop of temp * tempo / 2000 rounds per step,
+     * so its speed was that of the ST; here a step at tempo 1000 and 100%
+     * lasts 1/50 s
+     * @param {Object} song - From parse()
+     * @returns {Object[]} Steps: {seconds, noise, voices: [{period, tone, noise, volume}]}
+     *                     noise is the noise generator's period
+     * @throws {Error} If the list never ends or plays a missing bar
+     */
+    static sequence(song) {
+        const list = song.list;
+        // Return positions, each with a repeat count or a mark: -5 for a call,
+        // -2 for the end of the tune
+        const stack = [0, -2];
+        const transpose = [0, 0, 0];
+        const volume = [100, 100, 100];
+        const chip = {
+            noise: 0,
+            voices: [0, 1, 2].map(() => ({ period: 0, tone: false, noise: false, volume: 0 }))
+        };
+        const steps = [];
+        let percent = 100;
+        let pos = 0;
+
+        for (let count = 0; ; count++) {
+            if (count > MUSIC_MAX_STEPS || pos >= list.length) throw new Error('Music list does not end');
+
+            switch (list[pos]) {
+                case MUSIC_END: {
+                    const mark = stack.pop();
+                    pos = stack.pop();
+                    if (mark === -2) return steps;
+                    break;
+                }
+                case MUSIC_TRANSPOSE:
+                    transpose.splice(0, 3, ...list.slice(pos + 1, pos + 4));
+                    pos += 4;
+                    break;
+                case MUSIC_VOLUME:
+                    volume.splice(0, 3, ...list.slice(pos + 1, pos + 4));
+                    pos += 4;
+                    break;
+                case MUSIC_TEMPO:
+                    percent = list[pos + 1];
+                    pos += 4;
+                    break;
+                case MUSIC_REPEAT:
+                    pos += 4;
+                    stack.push(pos, 0);
+                    break;
+                case MUSIC_EXIT_AFTER:
+                    // Leave the repeat after its given pass, past the matching AGAIN
+                    pos += 4;
+                    if (stack[stack.length - 1] === list[pos - 3]) {
+                        stack.length -= 2;
+                        for (let depth = 0; depth >= 0; pos += 4) {
+                            if (pos >= list.length) throw new Error('Music list does not end');
+                            if (list[pos] === MUSIC_END) depth = -1;
+                            depth += (list[pos] === MUSIC_REPEAT) - (list[pos] === MUSIC_AGAIN);
+                        }
+                    }
+                    break;
+                case MUSIC_AGAIN:
+                    stack[stack.length - 1]++;
+                    pos = stack[stack.length - 2];
+                    break;
+                case MUSIC_CALL:
+                    // Play from entry n (counted from 1) until END, then come back
+                    if (list[pos + 1] >= 0) {
+                        stack.push(pos + 4, -5);
+                        pos = (list[pos + 1] - 1) * 4;
+                    } else {
+                        pos += 4;
+                    }
+                    break;
+                default:
+                    MusicFile._playRow(song, list.slice(pos, pos + 4), chip, transpose, volume,
+                        song.tempo * percent / 5000000, steps);
+                    pos += 4;
+            }
+        }
+    }
+
+    /**
+     * Play one row of bars: noise, then the three voices, step by step
+     * @private
+     */
+    static _playRow(song, row, chip, transpose, volume, seconds, steps) {
+        const bars = row.map(n => {
+            if (n < 0) return null;
+            if (n >= song.bars.length) throw new Error(`Bar ${n} is missing`);
+            return song.bars[n];
+        });
+
+        for (let i = 0; i < song.barLength; i++) {
+            const note = k => (bars[k] ? bars[k][i] : 0);
+            chip.noise = note(0) & 31;
+            for (let k = 0; k < 3; k++) {
+                MusicFile._setVoice(chip, k, note(k + 1), transpose[k], volume[k]);
+            }
+            steps.push({ seconds, noise: chip.noise, voices: chip.voices.map(v => ({ ...v })) });
+        }
+    }
+
+    /**
+     * Put a note word on a voice (original s_note()): bits 0-1 fine tuning
+     * in quarter semitones, 2-7 note, 8-11 volume, 12 tone on, 13 noise on,
+     * 14 flat, 15 sharp; flat and sharp together set the noise period instead
+     * @private
+     */
+    static _setVoice(chip, k, word, transpose, volume) {
+        let step = NOTE_STEPS[(word >> 2) & 63] || 0;
+        if (word & 0x4000) step--;
+        if (word & 0x8000) step++;
+        if ((word & 0xC000) === 0xC000) {
+            chip.noise = word & 31;
+            return;
+        }
+
+        step = Utils.clamp(step - transpose, 0, 95);
+        const fine = word & 3;
+        const voice = chip.voices[k];
+        voice.period = (TONE_PERIODS[step] * (4 - fine) + TONE_PERIODS[step + 1] * fine) >> 2;
+        voice.tone = (word & 0x1000) !== 0;
+        voice.noise = (word & 0x2000) !== 0;
+        voice.volume = Math.min(15, Math.trunc(((word >> 8) & 15) * volume / 100));
+    }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.MusicFile = MusicFile;
+}
@@ -0,0 +1,95 @@
+/**
+ * Ballerburg 3D - Wind Vane Entity
+ * Flag on the castle roof; only its owner can read the wind (original fahne()).
+ * A ball passing through shoots it off, the market sells a new one
+ */
+
+class WindVane extends Entity {
+    /**
+     * Create wind vane
+     * @param {THREE.Scene} scene
+     * @param {Castle} castle - Castle it stands on
+     */
+    constructor(scene, castle) {
+        super(scene);
+
+        this.castle = castle;
+
+        const spot = castle.getVaneSpot();
+        this.position.copy(castle.position);
+        this.position.x += spot.x;
+        this.position.y += spot.y;
+
+        // Flag angle from hanging down (0) to flying level (PI/2)
+        this.lift = 0;
+        this.targetLift = 0;
+        this.heading = 1;
+
+        this._build();
+        this.syncPosition();
+    }
+
+    /**
+     * Height of the pole
+     */
+    static get HEIGHT() { return 2.5; }
+
+    /**
+     * Build vane model: pole and a flag hinged at its top
+     */
+    _build() {
+        const wood = new THREE.MeshPhongMaterial({ color: 0x654321 });
+        const cloth = new THREE.MeshPhongMaterial({ color: 0xFFFFFF, side: THREE.DoubleSide });
+
+        const pole = new THREE.Mesh(new THREE.CylinderGeometry(0.08, 0.08, WindVane.HEIGHT), wood);
+        pole.position.y = WindVane.HEIGHT / 2;
+        this.group.add(pole);
+
+        // The hinge sits on the pole top; the cloth hangs from it
+        this.hinge = new THREE.Group();
+        this.hinge.position.y = WindVane.HEIGHT;
+        this.group.add(this.hinge);
+
+        const flag = new THREE.Mesh(new THREE.PlaneGeometry(0.6, 1.2), cloth);
+        flag.position.y = -0.6;
+        this.hinge.add(flag);
+    }
+
+    /**
+     * Turn the flag with the wind (original: wk = wind / 15, capped at 90°)
+     * @param {Object} wind - {strength, direction}
+     * @param {number} windMax - Strongest possible wind
+     */
+    setWind(wind, windMax) {
+        this.heading = wind.direction;
+        this.targetLift = Math.min(1, wind.strength / windMax) * Math.PI / 2;
+    }
+
+    /**
+     * Swing towards the wind's angle
+     * @param {number} deltaTime
+     */
+    update(deltaTime) {
+        if (!this.alive) return;
+
+        this.lift += (this.targetLift - this.lift) * Math.min(1, deltaTime * 3);
+        if (this.hinge) this.hinge.rotation.z = this.heading * this.lift;
+    }
+
+    /**
+     * Whether a ball at this point passes through the vane
+     * @param {THREE.Vector3} point - Ball position
+     * @returns {boolean}
+     */
+    isHitBy(point) {
+        return this.alive &&
+            Math.abs(point.x - this.position.x) < 1 &&
+            Math.abs(point.z - this.position.z) < 1 &&
+            point.y > this.position.y && point.y < this.position.y + WindVane.HEIGHT;
+    }
+}
+
+// Export for browser
+if (typeof window !== 'undefined') {
+    window.WindVane = WindVane;
+}
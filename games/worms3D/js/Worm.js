@@ -193,6 +193,7 @@ class Worm extends DamageableEntity {
      */
     setSpawnPosition(x, y, z) {
         this.position.set(x, y + 1, z);
+        this.storePreviousPosition();
         this.syncPosition();
     }
 
@@ -202,6 +203,8 @@ class Worm extends DamageableEntity {
     update(deltaTime) {
         if (!this.alive) return;
 
+        this.storePreviousPosition();
+
         const physics = this.config.PHYSICS;
 
         // Apply gravity
@@ -340,6 +343,16 @@ class Worm extends DamageableEntity {
         this.group.rotation.y = direction > 0 ? 0 : Math.PI;
     }
 
+    /**
+     * Turn to face a direction without moving
+     * @param {number} direction - 1 (right) or -1 (left)
+     */
+    face(direction) {
+        this.facing = direction > 0 ? 1 : -1;
+        this.group.rotation.y = this.facing > 0 ? 0 : Math.PI;
+        this._updateAimIndicator();
+    }
+
     /**
      * Stop horizontal movement
      */
@@ -389,6 +402,53 @@ class Worm extends DamageableEntity {
         ).normalize();
     }
 
+    /**
+     * Whether a shot at a point hits the worm (side-on: depth doesn't count)
+     * @param {THREE.Vector3} point
+     * @returns {boolean}
+     */
+    isHitBy(point) {
+        const box = this.config.GAMEPLAY.WORM_HIT_BOX;
+        const feet = this.position.y - 0.8;
+        return this.alive && Math.abs(point.x - this.position.x) < box.HALF_WIDTH &&
+            point.y >= feet && point.y < feet + box.HEIGHT;
+    }
+
+    /**
+     * Position, movement and health (for save games)
+     * @returns {Object}
+     */
+    serialize() {
+        return {
+            position: { x: this.position.x, y: this.position.y, z: this.position.z },
+            velocity: { x: this.velocity.x, y: this.velocity.y, z: this.velocity.z },
+            grounded: this.grounded,
+            facing: this.facing,
+            aimAngle: this.aimAngle,
+            health: this.health,
+            alive: this.alive
+        };
+    }
+
+    /**
+     * Apply saved state to a freshly spawned worm
+     * @param {Object} data - From serialize()
+     */
+    restore(data) {
+        const { position, velocity } = data;
+        this.setPosition(position.x, position.y, position.z);
+        this.velocity.set(velocity.x, velocity.y, velocity.z);
+        this.grounded = data.grounded;
+        this.face(data.facing);
+        this.setAim(data.aimAngle);
+        this.health = data.health;
+
+        if (!data.alive) {
+            this.kill();
+            this.dispose();
+        }
+    }
+
     /**
      * Update health bar (visible for selected worm or after damage)
      * @param {THREE.Camera} camera
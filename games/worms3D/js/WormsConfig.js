@@ -53,7 +53,17 @@ const WormsConfig = createGameConfig({
         WORMS_PER_TEAM: 3,
         WORM_HEALTH: 100,
         FALL_DAMAGE_THRESHOLD: 8,
-        FALL_DAMAGE_MULTIPLIER: 3
+        FALL_DAMAGE_MULTIPLIER: 3,
+
+        // Hitscan shots are marched along their ray in steps of HITSCAN_STEP.
+        // The battle is fought side-on, so a worm is hit within HALF_WIDTH of
+        // its middle and HEIGHT above its feet, whatever its depth
+        HITSCAN_STEP: 0.2,
+        WORM_HIT_BOX: { HALF_WIDTH: 0.7, HEIGHT: 3 },
+
+        // Air strike bombs are let go at HEIGHT; the arrow keys move the
+        // target CURSOR_STEP a press, starting CURSOR_START in front of the worm
+        AIR_STRIKE: { HEIGHT: 60, CURSOR_STEP: 2, CURSOR_START: 15 }
     },
 
     // Team colors
@@ -62,13 +72,23 @@ const WormsConfig = createGameConfig({
         { color: 0x4444FF, name: 'Blue Team' }
     ],
 
-    // Weapons configuration
+    // Weapons configuration. crater: energy-to-crater curve (see
+    // BaseGameController.impactScale), so a rocket fired hard digs deeper;
+    // a grenade goes off on its timer however slowly it rolls. A hitscan
+    // weapon fires `shots` times a turn, reaching `range` and pushing a worm
+    // it hits by `knockback`; a placed charge leaves the worm `retreat`
+    // seconds to get away before its turn is over. An air strike drops
+    // `bombs` bombs `spacing` apart across the target
     WEAPONS: [
-        { name: 'Bazooka',    damage: 45, radius: 6,  speed: 1.0, ammo: -1, icon: '🚀', type: 'projectile' },
+        { name: 'Bazooka',    damage: 45, radius: 6,  speed: 1.0, ammo: -1, icon: '🚀', type: 'projectile',
+            crater: { energy: 600, exponent: 0.5, min: 0.5, max: 1.5 } },
         { name: 'Grenade',    damage: 50, radius: 8,  speed: 0.8, ammo: 5,  icon: '💣', type: 'bouncing', timer: 3 },
-        { name: 'Shotgun',    damage: 25, radius: 3,  speed: 1.5, ammo: 8,  icon: '🔫', type: 'hitscan' },
-        { name: 'Dynamite',   damage: 75, radius: 12, speed: 0,   ammo: 2,  icon: '🧨', type: 'placed', timer: 5 },
-        { name: 'Air Strike', damage: 30, radius: 5,  speed: 1.2, ammo: 1,  icon: '✈️', type: 'airstrike' }
+        { name: 'Shotgun',    damage: 25, radius: 3,  speed: 1.5, ammo: 8,  icon: '🔫', type: 'hitscan',
+            shots: 2, range: 60, knockback: 8 },
+        { name: 'Dynamite',   damage: 75, radius: 12, speed: 0,   ammo: 2,  icon: '🧨', type: 'placed', timer: 5,
+            retreat: 3 },
+        { name: 'Air Strike', damage: 30, radius: 5,  speed: 1.2, ammo: 1,  icon: '✈️', type: 'airstrike',
+            bombs: 5, spacing: 4 }
     ]
 });
 
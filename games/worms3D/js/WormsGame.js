@@ -4,19 +4,32 @@
  */
 
 class WormsGame extends BaseGameController {
-    constructor() {
-        super(WormsConfig);
+    /**
+     * @param {Object} options - Engine options plus:
+     * @param {string[]} options.teamTypes - 'human' or 'ai' per team
+     * @param {Object} options.config - Config override, e.g. for balancing runs (default WormsConfig)
+     */
+    constructor(options = {}) {
+        super(options.config || WormsConfig, options);
         Debug.info('WormsGame: Creating...');
 
         // Game entities (Worms-specific)
         this.teams = []; // Array of arrays of worms
 
+        // Team control - 'human' or 'ai'
+        this.teamTypes = options.teamTypes || ['human', 'human'];
+
         // Worms-specific state
         this.state.currentTeam = 0;
         this.state.currentWorm = 0;
         this.state.phase = 'move'; // 'move', 'aim', 'fire', 'wait'
+        this.state.shotsLeft = 0;  // Follow-up shots of a multi-shot weapon this turn
+        this.state.retreat = 0;    // Seconds left to run from a placed charge
+        this.state.target = null;  // Air strike target {x, z} once picked
 
         this._keysDown = {};
+        this._fuseShown = null;
+        this._targetMarker = null;
     }
 
     /**
@@ -25,16 +38,28 @@ class WormsGame extends BaseGameController {
     init() {
         super.init();
         this._updateSelectionIndicators();
+        this._startTurn();
         Debug.info('WormsGame: Initialized');
         return this;
     }
 
+    /**
+     * Kick off the current turn at match start or after loading (AI team may move first)
+     */
+    _startTurn() {
+        this.emit('turnStart', this._turnInfo());
+
+        if (this._isCurrentTeamAI()) {
+            this._scheduleAIAction();
+        }
+    }
+
     /**
      * Initialize game world (override)
      */
     _initWorld() {
         // Create terrain
-        this.terrain = new WormsTerrain(this.scene, this.config);
+        this.terrain = new WormsTerrain(this.scene, this.config, this.random.terrain);
         this.terrain.generate();
 
         // Create water
@@ -69,6 +94,11 @@ class WormsGame extends BaseGameController {
         window.addEventListener('keydown', e => this._onKeyDown(e));
         window.addEventListener('keyup', e => this._onKeyUp(e));
 
+        // Click the terrain to call an air strike there
+        if (this.renderer) {
+            this.renderer.domElement.addEventListener('click', e => this._onCanvasClick(e));
+        }
+
         // Fire button
         const fireBtn = document.getElementById('fireBtn');
         if (fireBtn) {
@@ -123,7 +153,7 @@ class WormsGame extends BaseGameController {
      * Handle key down
      */
     _onKeyDown(e) {
-        if (this.state.gameOver) return;
+        if (this.state.gameOver || this._isCurrentTeamAI() || this.isReplaying()) return;
         this._keysDown[e.key] = true;
 
         const worm = this.getCurrentWorm();
@@ -131,15 +161,20 @@ class WormsGame extends BaseGameController {
 
         switch (e.key) {
             case 'ArrowLeft':
-                if (this.state.phase === 'move') worm.move(-1);
-                break;
             case 'ArrowRight':
-                if (this.state.phase === 'move') worm.move(1);
+                if (this.state.phase === 'move') {
+                    const dir = e.key === 'ArrowLeft' ? -1 : 1;
+                    this._recordInput('move', { dir });
+                    worm.move(dir);
+                } else if (this.state.phase === 'aim' && this._isAirStrike()) {
+                    this._moveTarget(e.key === 'ArrowLeft' ? -1 : 1);
+                }
                 break;
             case 'ArrowUp':
                 if (this.state.phase === 'aim') {
                     worm.setAim(worm.aimAngle + 3);
                 } else if (this.state.phase === 'move') {
+                    this._recordInput('jump');
                     worm.jump();
                 }
                 break;
@@ -150,14 +185,14 @@ class WormsGame extends BaseGameController {
                 break;
             case ' ':
                 if (this.state.phase === 'move') {
-                    this.state.phase = 'aim';
+                    this._enterAimPhase();
                 } else if (this.state.phase === 'aim') {
                     this._startCharge();
                 }
                 break;
             case 'Enter':
                 if (this.state.phase === 'move') {
-                    this.state.phase = 'aim';
+                    this._enterAimPhase();
                 }
                 break;
             case '1': case '2': case '3': case '4': case '5':
@@ -172,11 +207,13 @@ class WormsGame extends BaseGameController {
      */
     _onKeyUp(e) {
         this._keysDown[e.key] = false;
+        if (this.isReplaying()) return;
 
         const worm = this.getCurrentWorm();
         if (!worm) return;
 
         if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+            this._recordInput('stop');
             worm.stopMove();
         }
 
@@ -185,11 +222,86 @@ class WormsGame extends BaseGameController {
         }
     }
 
+    /**
+     * Call an air strike on the clicked terrain, with the air strike selected
+     */
+    _onCanvasClick(e) {
+        if (this.state.gameOver || this.projectile || this._isCurrentTeamAI() || this.isReplaying() ||
+            this.state.phase === 'wait' || !this._isAirStrike()) return;
+
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const mouse = new THREE.Vector2(
+            ((e.clientX - rect.left) / rect.width) * 2 - 1,
+            -((e.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        const raycaster = new THREE.Raycaster();
+        raycaster.setFromCamera(mouse, this.camera);
+        const hit = raycaster.intersectObject(this.terrain.mesh)[0];
+        if (hit) this._callAirStrike({ x: hit.point.x, z: hit.point.z });
+    }
+
+    /**
+     * Call the selected air strike on a target at once; nothing changes
+     * when it is out of ammo
+     * @param {Object} target - {x, z}
+     * @returns {boolean} Whether the bombs were dropped
+     */
+    _callAirStrike(target) {
+        if (this.projectile || this.state.ammo[this.state.currentWeapon] === 0) return false;
+
+        this.state.target = target;
+        this.state.phase = 'aim';
+        this.state.charging = true;
+        this._fire();
+        return true;
+    }
+
+    /**
+     * Whether the selected weapon is the air strike
+     * @returns {boolean}
+     */
+    _isAirStrike() {
+        return this.config.WEAPONS[this.state.currentWeapon].type === 'airstrike';
+    }
+
+    /**
+     * Where the air strike goes: the picked target, else a little in front
+     * of the worm
+     * @param {Worm} worm
+     * @returns {Object} {x, z}
+     */
+    _strikeTarget(worm) {
+        if (this.state.target) return this.state.target;
+        const x = worm.position.x + worm.facing * this.config.GAMEPLAY.AIR_STRIKE.CURSOR_START;
+        return { x: Utils.clamp(x, -this.terrain.width / 2, this.terrain.width / 2), z: worm.position.z };
+    }
+
+    /**
+     * Move the air strike target one cursor step, staying over the map
+     * @param {number} dir - -1 left, 1 right
+     */
+    _moveTarget(dir) {
+        const worm = this.getCurrentWorm();
+        if (!worm) return;
+        const target = this._strikeTarget(worm);
+        const x = target.x + dir * this.config.GAMEPLAY.AIR_STRIKE.CURSOR_STEP;
+        this.state.target = { x: Utils.clamp(x, -this.terrain.width / 2, this.terrain.width / 2), z: target.z };
+    }
+
+    /**
+     * Stop moving and start aiming
+     */
+    _enterAimPhase() {
+        if (this.projectile) return;
+        this._recordInput('phase', { phase: 'aim' });
+        this.state.phase = 'aim';
+    }
+
     /**
      * Start charging (override with phase check)
      */
     _startCharge() {
-        if (this.state.phase !== 'aim') return;
+        if (this.state.phase !== 'aim' || this.state.retreat > 0) return;
         super._startCharge();
     }
 
@@ -197,7 +309,10 @@ class WormsGame extends BaseGameController {
      * Fire projectile (override)
      */
     _fire() {
-        const fireData = this._getFireData();
+        // The charge already put down was this turn's shot
+        if (this.state.retreat > 0) return;
+
+        const fireData = this.state.shotsLeft > 0 ? this._followUpFireData() : this._getFireData();
         if (!fireData) return;
 
         this.state.phase = 'wait';
@@ -205,13 +320,26 @@ class WormsGame extends BaseGameController {
         const worm = this.getCurrentWorm();
         if (!worm) return;
 
+        if (fireData.weapon.type === 'airstrike') this.state.target = this._strikeTarget(worm);
+        this._recordInput('fire', {
+            weapon: this.state.currentWeapon,
+            angle: worm.aimAngle,
+            facing: worm.facing,
+            power: fireData.power,
+            target: this.state.target
+        });
+
         // Battle cry speech bubble
         const battleCries = ['Fire!', 'Incoming!', 'Take this!', 'Eat this!'];
-        const cry = battleCries[Math.floor(Math.random() * battleCries.length)];
+        const cry = this.random.fx.pick(battleCries);
         this.particles.createSpeechBubble(worm.position.clone(), cry);
 
         const position = worm.getFirePosition();
         const direction = worm.getFireDirection();
+        if (fireData.weapon.type === 'hitscan') {
+            this._fireHitscan(worm, fireData, position, direction);
+            return;
+        }
         const velocity = direction.multiplyScalar(fireData.speed);
 
         // Create projectile based on type
@@ -220,12 +348,23 @@ class WormsGame extends BaseGameController {
                 this.scene, position, velocity, this.config,
                 { timer: fireData.weapon.timer, maxBounces: 3 }
             );
+        } else if (fireData.weapon.type === 'placed') {
+            this.projectile = this._placeCharge(worm, fireData.weapon);
+        } else if (fireData.weapon.type === 'airstrike') {
+            this.projectiles = this._dropBombs(fireData.weapon, this.state.target);
         } else {
             this.projectile = new BaseProjectile(
                 this.scene, position, velocity, this.config
             );
         }
-        this.projectile.weapon = fireData.weapon;
+        this.projectiles.forEach(p => { p.weapon = fireData.weapon; });
+
+        this.emit('fire', {
+            ...this._turnInfo(),
+            weapon: fireData.weapon,
+            power: fireData.power,
+            projectile: this.projectile
+        });
 
         // Track with camera
         this.setCameraTarget(
@@ -236,6 +375,189 @@ class WormsGame extends BaseGameController {
         Debug.debug('Fired', { power: fireData.power, weapon: fireData.weapon.name });
     }
 
+    /**
+     * Put a charge down at the worm's feet; the worm may move for the
+     * weapon's retreat time, then the turn waits for the bang
+     * @param {Worm} worm
+     * @param {Object} weapon - A 'placed' weapon
+     * @returns {PlacedProjectile}
+     */
+    _placeCharge(worm, weapon) {
+        const feet = new THREE.Vector3(worm.position.x,
+            this.terrain.getHeight(worm.position.x, worm.position.z), worm.position.z);
+        const charge = new PlacedProjectile(this.scene, feet, this.config, { timer: weapon.timer, color: 0xCC2222 });
+
+        this.state.retreat = Math.min(weapon.retreat, weapon.timer);
+        this.state.phase = 'move';
+        this._fuseShown = null;
+        return charge;
+    }
+
+    /**
+     * Let an air strike's bombs go in a row across the target, high above
+     * the map; they fall from rest and drift with the wind
+     * @param {Object} weapon - An 'airstrike' weapon
+     * @param {Object} target - {x, z}
+     * @returns {BaseProjectile[]}
+     */
+    _dropBombs(weapon, target) {
+        const height = this.config.GAMEPLAY.AIR_STRIKE.HEIGHT;
+        const bombs = [];
+        for (let i = 0; i < weapon.bombs; i++) {
+            const x = target.x + (i - (weapon.bombs - 1) / 2) * weapon.spacing;
+            bombs.push(new BaseProjectile(this.scene, new THREE.Vector3(x, height, target.z),
+                new THREE.Vector3(0, 0, 0), this.config));
+        }
+        return bombs;
+    }
+
+    /**
+     * Float the seconds left above a placed charge, once a second
+     * @param {PlacedProjectile} charge
+     */
+    _showFuse(charge) {
+        const seconds = Math.ceil(charge.remaining);
+        if (seconds === this._fuseShown) return;
+        this._fuseShown = seconds;
+        this.particles.createFloatingText(charge.position.clone(), seconds, {
+            prefix: '',
+            color: 0xffffff,
+            riseSpeed: 0.5,
+            life: 1
+        });
+    }
+
+    /**
+     * Fire data for the next shot of a multi-shot weapon; it belongs to the
+     * shot already paid for, so it uses no ammo
+     * @returns {Object|null} Fire data, null if not charging
+     */
+    _followUpFireData() {
+        if (!this.state.charging) return null;
+        this.state.charging = false;
+        return { weapon: this.config.WEAPONS[this.state.currentWeapon], power: this.state.power, speed: 0 };
+    }
+
+    /**
+     * Fire a hitscan shot: the first worm or ground along the ray from the
+     * muzzle is hit at once. A weapon with several shots a turn goes back
+     * to aiming until the last one is fired
+     * @param {Worm} worm - Shooter
+     * @param {Object} fireData - From _getFireData()
+     * @param {THREE.Vector3} origin - Muzzle
+     * @param {THREE.Vector3} direction - Unit aim direction
+     */
+    _fireHitscan(worm, fireData, origin, direction) {
+        const weapon = fireData.weapon;
+        if (this.state.shotsLeft === 0) this.state.shotsLeft = weapon.shots || 1;
+        this.state.shotsLeft--;
+
+        this.emit('fire', { ...this._turnInfo(), weapon, power: fireData.power, projectile: null });
+
+        const hit = this._traceShot(origin, direction, weapon.range, worm);
+        this.particles.createTracer(origin, hit.point);
+        // Nothing flies, so there is no kinetic energy to report
+        this.emit('impact', {
+            position: hit.point.clone(), weapon, outOfBounds: !hit.worm && !hit.ground, energy: 0
+        });
+
+        // The ground is chipped, a worm is hurt and knocked away along the shot
+        if (hit.ground) {
+            this.terrain.damage(hit.point, weapon.radius, this.config.TERRAIN.CRATER_DEPTH);
+            this.particles.createDebris(hit.point, { count: 4, spread: 1, colors: [this.config.COLORS.TERRAIN] });
+        } else if (hit.worm) {
+            this._damageEntity(hit.worm, weapon.damage, { cause: 'impact', position: hit.point.clone(), weapon });
+            this.particles.createFloatingText(hit.worm.position.clone(), weapon.damage, {
+                color: this.config.TEAMS[hit.worm.teamIndex].color
+            });
+            hit.worm.velocity.add(direction.clone().multiplyScalar(weapon.knockback));
+            hit.worm.velocity.y += weapon.knockback / 2;
+            this._checkVictory();
+        }
+
+        Debug.debug('Hitscan shot', { weapon: weapon.name, hit: hit.worm ? 'worm' : (hit.ground ? 'ground' : 'nothing') });
+        if (this.state.gameOver) return;
+
+        if (this.state.shotsLeft > 0) {
+            this.state.phase = 'aim';
+        } else {
+            this._pendingTurnTimeout = this.schedule(
+                () => this._nextTurn(),
+                this.config.TURNS.DELAY_AFTER_IMPACT
+            );
+        }
+    }
+
+    /**
+     * March a shot along its ray until it meets a worm, the ground or the
+     * end of its range
+     * @param {THREE.Vector3} origin - Start of the ray
+     * @param {THREE.Vector3} direction - Unit vector
+     * @param {number} range - Longest distance the shot flies
+     * @param {Worm} shooter - Never hit by its own shot
+     * @returns {Object} {point, worm, ground}; no worm and not ground if the shot hit nothing
+     */
+    _traceShot(origin, direction, range, shooter) {
+        const stepSize = this.config.GAMEPLAY.HITSCAN_STEP;
+        const step = direction.clone().multiplyScalar(stepSize);
+        const point = origin.clone();
+
+        for (let travelled = 0; travelled <= range; travelled += stepSize) {
+            let worm = null;
+            this.teams.forEach(team => team.forEach(w => {
+                if (!worm && w !== shooter && w.isHitBy(point)) worm = w;
+            }));
+            if (worm) return { point, worm, ground: false };
+
+            if (!this.terrain.isInBounds(point.x, point.z)) break;
+            if (point.y <= this.terrain.getHeight(point.x, point.z)) return { point, worm: null, ground: true };
+            point.add(step);
+        }
+        return { point, worm: null, ground: false };
+    }
+
+    /**
+     * Select weapon (override): not between the shots of a multi-shot weapon
+     * or while running from a placed charge
+     */
+    _selectWeapon(idx) {
+        if (this.state.shotsLeft > 0 || this.state.retreat > 0) return;
+        super._selectWeapon(idx);
+    }
+
+    /**
+     * Replay a recorded move, jump or shot (override)
+     */
+    _applyReplayInput(event) {
+        const worm = this.getCurrentWorm();
+        if (!worm) return;
+
+        switch (event.type) {
+            case 'move':
+                worm.move(event.dir);
+                break;
+            case 'stop':
+                worm.stopMove();
+                break;
+            case 'jump':
+                worm.jump();
+                break;
+            case 'phase':
+                this.state.phase = event.phase;
+                break;
+            case 'fire':
+                this._selectWeapon(event.weapon);
+                worm.face(event.facing);
+                worm.setAim(event.angle);
+                this.state.phase = 'aim';
+                this.state.power = event.power;
+                this.state.charging = true;
+                this.state.target = event.target || null;
+                this._fire();
+                break;
+        }
+    }
+
     /**
      * Get charge rate (override - slightly faster for Worms)
      */
@@ -255,6 +577,17 @@ class WormsGame extends BaseGameController {
             );
         }
 
+        // Running from a placed charge; control ends when the time is up
+        if (this.state.retreat > 0) {
+            this.state.retreat -= deltaTime;
+            if (this.state.retreat <= 0) {
+                this.state.retreat = 0;
+                this.state.phase = 'wait';
+                const worm = this.getCurrentWorm();
+                if (worm) worm.stopMove();
+            }
+        }
+
         // Update turn timer
         if (!this.state.gameOver && !this.projectile && this.state.phase !== 'wait') {
             this.state.turnTimer -= deltaTime;
@@ -268,8 +601,13 @@ class WormsGame extends BaseGameController {
         this.teams.forEach(team => {
             team.forEach(worm => {
                 if (worm.alive) {
+                    // Fall damage happens inside the worm's own physics
+                    const healthBefore = worm.health;
                     worm.update(deltaTime);
-                    worm.updateHealthBar(this.camera, worm === currentWorm);
+                    this._reportDamage(worm, healthBefore, true, { cause: 'fall' });
+                    if (!this.headless) {
+                        worm.updateHealthBar(this.camera, worm === currentWorm);
+                    }
 
                     // Check water death with splash
                     if (worm.position.y < -5) {
@@ -279,34 +617,35 @@ class WormsGame extends BaseGameController {
                         );
                         // Death phrase
                         const deathPhrases = ['Nooo!', 'Argh!', 'Bye!', 'Oof!'];
-                        const phrase = deathPhrases[Math.floor(Math.random() * deathPhrases.length)];
+                        const phrase = this.random.fx.pick(deathPhrases);
                         this.particles.createSpeechBubble(worm.position.clone(), phrase);
-                        worm.takeDamage(worm.health); // Instant death
+                        this._damageEntity(worm, worm.health, { cause: 'water' }); // Instant death
                     }
                 }
             });
         });
 
-        // Update projectile
-        if (this.projectile) {
-            const active = this.projectile.update(deltaTime, this.terrain, this.state.wind);
-
-            if (active) {
-                this.setCameraTarget(
-                    new THREE.Vector3(
-                        this.projectile.position.x,
-                        Math.max(this.projectile.position.y + 10, 20),
-                        this.projectile.position.z + 30
-                    ),
-                    this.projectile.position
-                );
+        // Update projectiles; a placed charge counts down where it lies
+        this.projectiles.slice().forEach(projectile => {
+            if (!projectile.update(deltaTime, this.terrain, this.state.wind)) {
+                this._onProjectileHit(projectile);
+            } else if (projectile instanceof PlacedProjectile) {
+                this._showFuse(projectile);
             }
+        });
 
-            if (!active) {
-                this._onProjectileHit();
-            }
+        // The camera follows the first shot in flight, or stays with the worm
+        // running from a charge
+        const lead = this.projectile;
+        if (lead && !(lead instanceof PlacedProjectile)) {
+            this.setCameraTarget(
+                new THREE.Vector3(lead.position.x, Math.max(lead.position.y + 10, 20), lead.position.z + 30),
+                lead.position
+            );
         }
 
+        this._updateTargetMarker();
+
         // Update particles
         this.particles.update(deltaTime);
 
@@ -314,10 +653,50 @@ class WormsGame extends BaseGameController {
         this._updateUI();
     }
 
+    /**
+     * Show the air strike target while aiming one
+     */
+    _updateTargetMarker() {
+        if (this.headless) return;
+
+        const worm = this.getCurrentWorm();
+        const show = !!worm && this._isAirStrike() && this.state.phase === 'aim' && !this.projectile &&
+            !this._isCurrentTeamAI();
+        if (show && !this._targetMarker) {
+            // Cone pointing down at the ground
+            this._targetMarker = new THREE.Mesh(
+                new THREE.ConeGeometry(0.8, 2, 12),
+                new THREE.MeshBasicMaterial({ color: 0xFF2222 })
+            );
+            this._targetMarker.rotation.x = Math.PI;
+            this.scene.add(this._targetMarker);
+        }
+        if (!this._targetMarker) return;
+
+        this._targetMarker.visible = show;
+        if (show) {
+            const target = this._strikeTarget(worm);
+            this._targetMarker.position.set(target.x, this.terrain.getHeight(target.x, target.z) + 2, target.z);
+        }
+    }
+
+    /**
+     * Interpolate worms and projectile for rendering (override)
+     */
+    interpolate(alpha) {
+        super.interpolate(alpha);
+        this.teams.forEach(team => {
+            team.forEach(worm => {
+                if (worm.alive && worm.group) worm.interpolate(alpha);
+            });
+        });
+    }
+
     /**
      * Apply damage to entities (override)
+     * Damage grows with how hard the shot hit (impact.scale)
      */
-    _applyDamageToEntities(position, weapon) {
+    _applyDamageToEntities(position, weapon, impact = { scale: 1 }) {
         this.teams.forEach(team => {
             team.forEach(worm => {
                 if (!worm.alive) return;
@@ -325,8 +704,8 @@ class WormsGame extends BaseGameController {
                 const dist = position.distanceTo(worm.position);
                 if (dist < weapon.radius + 2) {
                     const dmgFactor = 1 - (dist / (weapon.radius + 2));
-                    const damage = weapon.damage * dmgFactor;
-                    worm.takeDamage(damage);
+                    const damage = weapon.damage * impact.scale * dmgFactor;
+                    this._damageEntity(worm, damage, { cause: 'impact', position, weapon });
 
                     this.particles.createFloatingText(
                         worm.position.clone(),
@@ -352,6 +731,9 @@ class WormsGame extends BaseGameController {
 
         // Move to next team
         this.state.currentTeam = (this.state.currentTeam + 1) % this.config.GAMEPLAY.TEAM_COUNT;
+        this.state.shotsLeft = 0;
+        this.state.retreat = 0;
+        this.state.target = null;
 
         // Find next alive worm in team
         const team = this.teams[this.state.currentTeam];
@@ -389,12 +771,151 @@ class WormsGame extends BaseGameController {
         }
 
         Debug.info(`Turn: Team ${this.state.currentTeam + 1}, Worm ${this.state.currentWorm + 1}`);
+
+        this._autosave();
+        this._startTurn();
+    }
+
+    /**
+     * Worm positions and health (for save games)
+     * @protected
+     */
+    _serializeEntities() {
+        return {
+            teams: this.teams.map(team => team.map(w => w.serialize()))
+        };
+    }
+
+    /**
+     * Apply saved worms to the freshly spawned teams
+     * @protected
+     */
+    _restoreEntities(data) {
+        data.teams.forEach((team, t) => team.forEach((saved, i) => {
+            const worm = this.teams[t] && this.teams[t][i];
+            if (worm) worm.restore(saved);
+        }));
+        this._updateSelectionIndicators();
+    }
+
+    /**
+     * Turn event fields (override)
+     */
+    _turnInfo() {
+        return { ...super._turnInfo(), player: this.state.currentTeam, worm: this.state.currentWorm };
+    }
+
+    /**
+     * Names for the league table: options.playerNames, else the team names
+     * @returns {string[]}
+     */
+    getPlayerNames() {
+        const names = this.playerNames || [];
+        return this.config.TEAMS.slice(0, this.config.GAMEPLAY.TEAM_COUNT).map((team, i) => names[i] || team.name);
+    }
+
+    /**
+     * Check if current team is AI-controlled
+     */
+    _isCurrentTeamAI() {
+        return this.teamTypes[this.state.currentTeam] === 'ai';
+    }
+
+    /**
+     * Schedule AI action with thinking delay
+     */
+    _scheduleAIAction() {
+        if (this.isReplaying()) return;
+        const delay = 1000 + this.random.ai.next() * 500;
+        this._aiActionTimeout = this.schedule(() => this._executeAITurn(), delay);
+    }
+
+    /**
+     * Execute AI turn: face the nearest enemy worm and lob a bazooka shot at it
+     */
+    _executeAITurn() {
+        if (this.state.gameOver || this.projectile) return;
+
+        const worm = this.getCurrentWorm();
+        const target = worm ? this._findNearestEnemy(worm) : null;
+        if (!target) return;
+
+        worm.face(target.position.x - worm.position.x);
+        this._selectWeapon(0);
+
+        const weapon = this.config.WEAPONS[0];
+        const shot = this._solveLob(worm, target.position, weapon);
+        if (!shot) {
+            Debug.warn('AI could not calculate shot');
+            return;
+        }
+
+        // Aim error from the seeded ai stream
+        const rng = this.random.ai;
+        worm.setAim(shot.angle + rng.range(-3, 3));
+        this.state.phase = 'aim';
+        this.state.charging = true;
+        this.state.power = shot.power * rng.range(0.95, 1.05);
+
+        Debug.debug('AI firing', { angle: worm.aimAngle.toFixed(1), power: this.state.power.toFixed(1) });
+        this._fire();
+    }
+
+    /**
+     * Nearest living worm of another team
+     */
+    _findNearestEnemy(worm) {
+        let nearest = null;
+        let nearestDist = Infinity;
+        this.teams.forEach((team, t) => {
+            if (t === worm.teamIndex) return;
+            team.forEach(enemy => {
+                if (!enemy.alive) return;
+                const dist = Math.abs(enemy.position.x - worm.position.x);
+                if (dist < nearestDist) {
+                    nearestDist = dist;
+                    nearest = enemy;
+                }
+            });
+        });
+        return nearest;
+    }
+
+    /**
+     * Find an angle and power that lands the shot on target
+     * Solves against the real projectile physics, so drag and wind count
+     * @returns {{angle: number, power: number}|null}
+     */
+    _solveLob(worm, targetPos, weapon) {
+        for (let angle = 45; angle <= 80; angle += 5) {
+            worm.setAim(angle);
+            const power = TrajectoryCalculator.solvePower(
+                worm.getFirePosition(),
+                worm.getFireDirection(),
+                targetPos.x,
+                this.config,
+                {
+                    minPower: 10,
+                    maxPower: this.config.GAMEPLAY.MAX_POWER,
+                    speed: weapon.speed,
+                    terrain: this.terrain,
+                    wind: this.state.wind,
+                    step: this.fixedStep
+                }
+            );
+            if (power !== null) {
+                return { angle, power };
+            }
+        }
+        return null;
     }
 
     /**
      * Check victory (override)
      */
     _checkVictory() {
+        if (this.state.gameOver) return;
+
         const aliveTeams = this.teams.filter(team =>
             team.some(worm => worm.alive)
         );
@@ -417,11 +938,13 @@ class WormsGame extends BaseGameController {
      * Update UI (override)
      */
     _updateUI() {
+        if (this.headless) return;
+
         const worm = this.getCurrentWorm();
 
         const elements = {
             'currentTeam': `Team ${this.state.currentTeam + 1}`,
-            'turnTimer': Math.ceil(this.state.turnTimer),
+            'turnTimer': Math.ceil(this.state.retreat > 0 ? this.state.retreat : this.state.turnTimer),
             'aimValue': worm ? Math.round(worm.aimAngle) : 0,
             'phaseValue': this.state.phase,
             'windValue': `${(this.state.wind.strength * this.state.wind.direction).toFixed(1)}`,
@@ -433,9 +956,10 @@ class WormsGame extends BaseGameController {
 
     /**
      * Restart (override)
+     * @param {number|string} seed - Seed for the new match (random if omitted)
      */
-    restart() {
-        this._baseRestart();
+    restart(seed) {
+        this._baseRestart(seed);
 
         // Dispose Worms-specific entities
         this.teams.forEach(team => team.forEach(w => w.dispose()));
@@ -446,6 +970,9 @@ class WormsGame extends BaseGameController {
         this.state.currentTeam = 0;
         this.state.currentWorm = 0;
         this.state.phase = 'move';
+        this.state.shotsLeft = 0;
+        this.state.retreat = 0;
+        this.state.target = null;
 
         // Rebuild world
         this._initWorld();
@@ -453,6 +980,7 @@ class WormsGame extends BaseGameController {
         this._randomizeWind();
         this.resetCamera();
         this._updateSelectionIndicators();
+        this._startTurn();
 
         Debug.info('Game restarted');
     }
@@ -462,6 +990,7 @@ class WormsGame extends BaseGameController {
      */
     dispose() {
         this.teams.forEach(team => team.forEach(w => w.dispose()));
+        Utils.removeAndDispose(this.scene, this._targetMarker);
         super.dispose();
     }
 }
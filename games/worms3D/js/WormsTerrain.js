@@ -4,9 +4,9 @@
  */
 
 class WormsTerrain extends BaseTerrain {
-    constructor(scene, config) {
-        super(scene, config);
-        this.seed = Math.random() * 1000;
+    constructor(scene, config, random) {
+        super(scene, config, random);
+        this.seed = this.random.next() * 1000;
     }
 
     /**
@@ -22,7 +22,7 @@ class WormsTerrain extends BaseTerrain {
      * Generate varied procedural terrain
      */
     generate(options = {}) {
-        this.seed = options.seed || Math.random() * 1000;
+        this.seed = options.seed || this.random.next() * 1000;
         super.generate({
             ...options,
             smooth: true,
@@ -77,7 +77,7 @@ class WormsTerrain extends BaseTerrain {
 
         for (let i = 0; i < count; i++) {
             const x = -this.width / 2 + margin + spacing * (i + 1);
-            const z = (Math.random() - 0.5) * this.depth * 0.5;
+            const z = (this.random.next() - 0.5) * this.depth * 0.5;
             const y = this.getHeight(x, z);
 
             // Find a relatively flat spot nearby
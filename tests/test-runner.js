@@ -226,12 +226,27 @@ global.THREE = {
             }
             return this;
         }
+        sub(v) {
+            this.x -= v.x;
+            this.y -= v.y;
+            this.z -= v.z;
+            return this;
+        }
+        lerpVectors(a, b, t) {
+            this.x = a.x + (b.x - a.x) * t;
+            this.y = a.y + (b.y - a.y) * t;
+            this.z = a.z + (b.z - a.z) * t;
+            return this;
+        }
         distanceTo(v) {
             const dx = this.x - v.x;
             const dy = this.y - v.y;
             const dz = this.z - v.z;
             return Math.sqrt(dx * dx + dy * dy + dz * dz);
         }
+        lengthSq() {
+            return this.x * this.x + this.y * this.y + this.z * this.z;
+        }
         set(x, y, z) {
             this.x = x;
             this.y = y;
@@ -240,8 +255,14 @@ global.THREE = {
         }
     },
     Group: class {
-        constructor() { this.children = []; this.position = new global.THREE.Vector3(); this.rotation = { x: 0, y: 0, z: 0 }; }
-        add(child) { this.children.push(child); }
+        constructor() {
+            this.children = [];
+            this.position = new global.THREE.Vector3();
+            this.rotation = { x: 0, y: 0, z: 0 };
+            this.scale = { x: 1, y: 1, z: 1, set(x, y, z) { this.x = x; this.y = y; this.z = z; } };
+            this.visible = true;
+        }
+        add(child) { this.children.push(child); child.parent = this; }
         remove(child) { const i = this.children.indexOf(child); if (i > -1) this.children.splice(i, 1); }
         traverse(fn) { this.children.forEach(fn); }
         clear() { this.children = []; }
@@ -250,6 +271,8 @@ global.THREE = {
         constructor() { this.children = []; this.fog = null; }
         add(obj) { this.children.push(obj); }
         remove(obj) { const i = this.children.indexOf(obj); if (i > -1) this.children.splice(i, 1); }
+        traverse(fn) { this.children.forEach(fn); }
+        clear() { this.children = []; }
     },
     Mesh: class {
         constructor(geometry, material) {
@@ -257,21 +280,35 @@ global.THREE = {
             this.material = material || {};
             this.position = new global.THREE.Vector3();
             this.rotation = { x: 0, y: 0, z: 0 };
-            this.scale = { x: 1, y: 1, z: 1, multiplyScalar(s) { this.x *= s; this.y *= s; this.z *= s; } };
+            this.scale = {
+                x: 1, y: 1, z: 1,
+                multiplyScalar(s) { this.x *= s; this.y *= s; this.z *= s; },
+                set(x, y, z) { this.x = x; this.y = y; this.z = z; }
+            };
             this.castShadow = false;
             this.receiveShadow = false;
             this.userData = {};
         }
         getWorldPosition(target) {
+            // Offsets only - the mock has no rotation or scale
             target.copy(this.position);
+            for (let obj = this.parent; obj; obj = obj.parent) target.add(obj.position);
             return target;
         }
+        traverse(fn) { fn(this); }
     },
     BoxGeometry: class { dispose() {} },
     SphereGeometry: class { dispose() {} },
     CylinderGeometry: class { dispose() {} },
     ConeGeometry: class { dispose() {} },
     PlaneGeometry: class { dispose() {} },
+    ExtrudeGeometry: class {
+        constructor(shape, options) { this.shape = shape; this.options = options; }
+        translate() { return this; }
+        dispose() {}
+    },
+    Shape: class { constructor(points = []) { this.points = points; } },
+    Vector2: class { constructor(x = 0, y = 0) { this.x = x; this.y = y; } },
     BufferGeometry: class {
         constructor() { this.attributes = {}; }
         setAttribute(name, attr) { this.attributes[name] = attr; }
@@ -292,6 +329,7 @@ global.THREE = {
         clone() { return new global.THREE.MeshBasicMaterial(this); }
         dispose() {}
     },
+    Color: class { constructor(hex) { this.hex = hex; } },
     Fog: class { constructor() {} },
     AmbientLight: class { constructor() {} },
     DirectionalLight: class {
@@ -303,6 +341,18 @@ global.THREE = {
         lookAt() {}
         updateProjectionMatrix() {}
     },
+    OrthographicCamera: class {
+        constructor(left, right, top, bottom, near, far) {
+            Object.assign(this, { left, right, top, bottom, near, far });
+            this.position = new global.THREE.Vector3();
+        }
+        lookAt() {}
+        updateProjectionMatrix() {}
+    },
+    ShaderMaterial: class {
+        constructor(opts = {}) { Object.assign(this, opts); }
+        dispose() {}
+    },
     WebGLRenderer: class {
         constructor() { this.shadowMap = {}; }
         setSize() {}
@@ -458,9 +508,9 @@ class Cannon {
         const baseDir = this.castle.playerIndex === 0 ? 0 : 180;
         const finalDir = baseDir + this.horizontalAngle;
         return new THREE.Vector3(
-            Math.sin((finalDir * Math.PI) / 180) * Math.cos((this.verticalAngle * Math.PI) / 180),
+            Math.cos((finalDir * Math.PI) / 180) * Math.cos((this.verticalAngle * Math.PI) / 180),
             Math.sin((this.verticalAngle * Math.PI) / 180),
-            Math.cos((finalDir * Math.PI) / 180) * Math.cos((this.verticalAngle * Math.PI) / 180)
+            -Math.sin((finalDir * Math.PI) / 180) * Math.cos((this.verticalAngle * Math.PI) / 180)
         ).normalize();
     }
 
@@ -1175,6 +1225,1355 @@ runner.describe('TrajectoryCalculator', () => {
     });
 });
 
+// ============================================================================
+// Engine Source Tests (real browser scripts run against the THREE mock)
+// ============================================================================
+
+const vm = require('vm');
+
+/**
+ * Load browser scripts into a shared sandbox, in the given order.
+ * Scripts export through `window.X = X`, so the sandbox doubles as window.
+ */
+function loadSources(files) {
+    const quiet = () => {};
+    const sandbox = {
+        THREE: global.THREE,
+        console: { log: quiet, info: quiet, debug: quiet, warn: quiet, error: console.error },
+        setTimeout,
+        clearTimeout,
+        atob
+    };
+    sandbox.window = sandbox;
+    vm.createContext(sandbox);
+
+    files.forEach(file => {
+        const fullPath = path.join(__dirname, '..', file);
+        vm.runInContext(fs.readFileSync(fullPath, 'utf8'), sandbox, { filename: fullPath });
+    });
+    return sandbox;
+}
+
+const ENGINE_CORE = [
+    'engine/core/Utils.js',
+    'engine/core/Debug.js',
+    'engine/core/ConfigBase.js',
+    'engine/core/Random.js',
+    'engine/core/EventBus.js',
+    'engine/entities/Entity.js',
+    'engine/physics/Projectile.js',
+    'engine/core/Engine.js'
+];
+
+const flatTerrain = { getHeight: () => 0 };
+
+/**
+ * Fly one shot through an Engine fed with the given frame time
+ */
+function simulateShot(src, frameTime) {
+    const engine = new src.Engine(src.EngineConfig, { headless: true });
+    const projectile = new src.BaseProjectile(
+        new THREE.Scene(),
+        new THREE.Vector3(-40, 20, 0),
+        new THREE.Vector3(18, 14, 0),
+        src.EngineConfig
+    );
+    const wind = { strength: 3, direction: -1 };
+    let flying = true;
+    engine.update = (dt) => {
+        if (flying) flying = projectile.update(dt, flatTerrain, wind);
+    };
+
+    for (let frame = 0; flying && frame < 10000; frame++) {
+        engine.advance(frameTime);
+    }
+    return projectile.position;
+}
+
+runner.describe('Engine fixed-step loop', () => {
+    const src = loadSources(ENGINE_CORE);
+
+    runner.test('Engine.advance runs whole fixed steps and keeps remainder', () => {
+        const engine = new src.Engine(src.EngineConfig, { headless: true });
+        let updates = 0;
+        engine.update = () => { updates++; };
+        const steps = engine.advance(engine.fixedStep * 2.5);
+        runner.assertEqual(steps, 2, 'Should take two whole steps');
+        runner.assertEqual(updates, 2);
+        runner.assertNearlyEqual(engine.interpolationAlpha, 0.5, 0.0001);
+        runner.assertEqual(engine.simulationTick, 2);
+    });
+
+    runner.test('Engine.advance caps steps per frame', () => {
+        const engine = new src.Engine(src.EngineConfig, { headless: true });
+        engine.update = () => {};
+        const steps = engine.advance(10);
+        runner.assertEqual(steps, engine.maxStepsPerFrame, 'Should stop at the step cap');
+        runner.assertEqual(engine.interpolationAlpha, 0, 'Backlog should be dropped');
+    });
+
+    runner.test('Same shot lands in the same place at 30 and 144 fps', () => {
+        const at30 = simulateShot(src, 1 / 30);
+        const at144 = simulateShot(src, 1 / 144);
+        runner.assertEqual(at30.x, at144.x, 'Impact x should match exactly');
+        runner.assertEqual(at30.z, at144.z, 'Impact z should match exactly');
+    });
+
+    runner.test('Projectile drag is independent of step size', () => {
+        const config = src.EngineConfig;
+        const wind = { strength: 3, direction: 1 };
+        const fine = new src.BaseProjectile(new THREE.Scene(), new THREE.Vector3(), new THREE.Vector3(10, 0, 0), config);
+        const coarse = new src.BaseProjectile(new THREE.Scene(), new THREE.Vector3(), new THREE.Vector3(10, 0, 0), config);
+        for (let i = 0; i < 4; i++) fine.update(1 / 120, null, wind);
+        coarse.update(1 / 30, null, wind);
+        runner.assertNearlyEqual(fine.velocity.x, coarse.velocity.x, 0.001, 'Horizontal velocity should match');
+    });
+
+    runner.test('Projectile.interpolate blends previous and current position', () => {
+        const proj = new src.BaseProjectile(new THREE.Scene(), new THREE.Vector3(), new THREE.Vector3(10, 0, 0), src.EngineConfig);
+        proj.update(0.1, null, null);
+        proj.interpolate(0.5);
+        runner.assertNearlyEqual(proj.mesh.position.x, proj.position.x / 2, 0.0001);
+    });
+});
+
+runner.describe('Seeded random streams', () => {
+    const src = loadSources([
+        ...ENGINE_CORE,
+        'engine/world/Terrain.js',
+        'engine/ai/AIController.js'
+    ]);
+
+    runner.test('Same seed gives the same sequence', () => {
+        const a = new src.SeededRandom(1234);
+        const b = new src.SeededRandom(1234);
+        for (let i = 0; i < 20; i++) {
+            runner.assertEqual(a.next(), b.next(), `Value ${i} should match`);
+        }
+    });
+
+    runner.test('SeededRandom stays in [0, 1)', () => {
+        const rng = new src.SeededRandom(99);
+        for (let i = 0; i < 1000; i++) {
+            const v = rng.next();
+            runner.assertTrue(v >= 0 && v < 1, `Out of range: ${v}`);
+        }
+    });
+
+    runner.test('Named streams are independent', () => {
+        const a = new src.RandomService(42);
+        const b = new src.RandomService(42);
+        // Burn fx values on one service only
+        for (let i = 0; i < 50; i++) a.fx.next();
+        runner.assertEqual(a.wind.next(), b.wind.next(), 'fx use must not shift wind');
+        runner.assertTrue(a.terrain.next() !== a.wind.next(), 'Streams should differ');
+    });
+
+    runner.test('String seeds are hashed consistently', () => {
+        const a = new src.RandomService('castle42');
+        const b = new src.RandomService('castle42');
+        runner.assertEqual(a.seed, b.seed);
+        runner.assertEqual(new src.RandomService('123').seed, 123, 'Numeric strings stay numeric');
+    });
+
+    runner.test('reseed rewinds streams held by subsystems', () => {
+        const service = new src.RandomService(7);
+        const held = service.ai;
+        const first = held.next();
+        held.next();
+        service.reseed(7);
+        runner.assertEqual(held.next(), first, 'Held stream should restart');
+    });
+
+    runner.test('Terrain with same seed generates the same heightmap', () => {
+        const makeTerrain = seed => {
+            const service = new src.RandomService(seed);
+            const terrain = new src.BaseTerrain(new THREE.Scene(), src.EngineConfig, service.terrain);
+            terrain.generate({ noise: 4 });
+            return terrain.heightMap;
+        };
+        const a = makeTerrain(5);
+        const b = makeTerrain(5);
+        const c = makeTerrain(6);
+        runner.assertEqual(JSON.stringify(a), JSON.stringify(b), 'Same seed, same map');
+        runner.assertTrue(JSON.stringify(a) !== JSON.stringify(c), 'Different seed, different map');
+    });
+
+    runner.test('AI decisions reproduce from the ai stream', () => {
+        const gameState = {
+            enemyCastle: { position: new THREE.Vector3(40, 10, 0), alive: true },
+            enemyCannons: [{ x: 38, y: 22 }, { x: 42, y: 22 }],
+            enemyTowers: [{ x: 50, y: 5 }],
+            enemyGold: 500, enemyPowder: 100, enemyBalls: 10
+        };
+        const shots = seed => {
+            const ai = src.AIController.fromPersonality(src.EngineConfig, 'BRUBBEL', {
+                random: new src.RandomService(seed).ai
+            });
+            const results = [];
+            for (let i = 0; i < 10; i++) {
+                const shot = ai.calculateShot({ x: -40, y: 22 }, gameState, { strength: 1, direction: 1 }, -9.8);
+                results.push(`${shot.targetType}:${shot.vx.toFixed(6)}`);
+            }
+            return results.join(',');
+        };
+        runner.assertEqual(shots(11), shots(11));
+    });
+});
+
+// --- Ballerburg Cannon Aim Tests ---
+runner.describe('Ballerburg cannon aim', () => {
+    const src = loadSources([
+        'engine/core/Utils.js',
+        'engine/entities/Entity.js',
+        'games/ballerburg3D/js/Cannon.js'
+    ]);
+    const cannonOf = player => new src.Cannon(new THREE.Scene(), {
+        playerIndex: player,
+        position: new THREE.Vector3(player === 0 ? -40 : 40, 0, 0),
+        config: { GAMEPLAY: { CHARGE: { START: 10, MIN: 5, MAX: 20 } } },
+        getCannonSlot: () => ({ x: 0, y: 12 })
+    });
+
+    runner.test('Shots leave along the barrel\'s heading', () => {
+        [cannonOf(0), cannonOf(1)].forEach(cannon => {
+            [-30, 0, 20].forEach(horizontal => {
+                cannon.setAim(40, horizontal);
+                // group.rotation.y turns the barrel's +x about y: (cos, 0, -sin)
+                const heading = cannon.group.rotation.y;
+                const dir = cannon.getFireDirection();
+                const flat = Math.hypot(dir.x, dir.z);
+                runner.assertNearlyEqual(dir.x / flat, Math.cos(heading), 1e-9);
+                runner.assertNearlyEqual(dir.z / flat, -Math.sin(heading), 1e-9);
+
+                const muzzle = cannon.getFirePosition().sub(cannon.position);
+                runner.assertNearlyEqual(Math.atan2(-muzzle.z, muzzle.x), Math.atan2(-dir.z, dir.x), 1e-9,
+                    'Muzzle on the same heading');
+            });
+        });
+        runner.assertTrue(cannonOf(0).getFireDirection().x > 0, 'Left castle fires right');
+        runner.assertTrue(cannonOf(1).getFireDirection().x < 0, 'Right castle fires left');
+    });
+});
+
+const ENGINE_FULL = [
+    ...ENGINE_CORE,
+    'engine/world/Terrain.js',
+    'engine/physics/ParticleSystem.js',
+    'engine/physics/TrajectoryPreview.js',
+    'engine/ai/AIController.js',
+    'engine/game/Replay.js',
+    'engine/game/SaveStore.js',
+    'engine/game/League.js',
+    'engine/game/BaseGameController.js'
+];
+
+const BALLER_SOURCES = [
+    ...ENGINE_FULL,
+    'games/ballerburg3D/js/BallerConfig.js',
+    'games/ballerburg3D/js/BallerTerrain.js',
+    'games/ballerburg3D/js/CastleLoader.js',
+    'games/ballerburg3D/js/Castle.js',
+    'games/ballerburg3D/js/Cannon.js',
+    'games/ballerburg3D/js/King.js',
+    'games/ballerburg3D/js/MiningTower.js',
+    'games/ballerburg3D/js/WindVane.js',
+    'games/ballerburg3D/js/Economy.js',
+    'games/ballerburg3D/js/Market.js',
+    'games/ballerburg3D/js/BallerStrings.js',
+    'games/ballerburg3D/js/KingAdvisor.js',
+    'games/ballerburg3D/js/ClassicView.js',
+    'games/ballerburg3D/js/MusicFile.js',
+    'games/ballerburg3D/js/ChipSynth.js',
+    'games/ballerburg3D/js/BallerGame.js'
+];
+
+const WORMS_SOURCES = [
+    ...ENGINE_FULL,
+    'games/worms3D/js/WormsConfig.js',
+    'games/worms3D/js/WormsTerrain.js',
+    'games/worms3D/js/Worm.js',
+    'games/worms3D/js/WormsGame.js'
+];
+
+runner.describe('Headless engine', () => {
+    const baller = loadSources(BALLER_SOURCES);
+    const worms = loadSources(WORMS_SOURCES);
+
+    runner.test('Headless init skips renderer and DOM', () => {
+        const game = new baller.BallerGame({ headless: true, playerTypes: ['ai', 'ai'] }).setSeed(1).init();
+        runner.assertEqual(game.renderer, null, 'No renderer in headless mode');
+        runner.assertEqual(game.castles.length, 2);
+        game.dispose();
+    });
+
+    runner.test('Engine.schedule runs callbacks in simulation time', () => {
+        const engine = new baller.Engine(baller.EngineConfig, { headless: true });
+        const fired = [];
+        engine.schedule(() => fired.push('b'), 200);
+        engine.schedule(() => fired.push('a'), 100);
+        const cancelled = engine.schedule(() => fired.push('x'), 50);
+        engine.cancelScheduled(cancelled);
+        engine.simulate({ maxTime: 0.15 });
+        runner.assertEqual(fired.join(''), 'a', 'Only the 100ms callback is due');
+        engine.simulate({ maxTime: 0.1 });
+        runner.assertEqual(fired.join(''), 'ab');
+    });
+
+    // Short matches: weak castles and a narrow worm field keep these fast
+    const shortBaller = baller.mergeConfig(baller.BallerConfig, { GAMEPLAY: { CASTLE_HEALTH: 10 } });
+    const shortWorms = worms.mergeConfig(worms.WormsConfig, { TERRAIN: { DEPTH: 4 } });
+
+    runner.test('Predicted impact matches the real shot', () => {
+        const config = baller.EngineConfig;
+        const start = new THREE.Vector3(0, 1, 0);
+        const velocity = new THREE.Vector3(20, 20, 0);
+        const wind = { strength: 2, direction: -1 };
+        const predicted = baller.BaseProjectile.predictImpact(start, velocity, config,
+            { terrain: flatTerrain, wind, step: 1 / 60 });
+
+        const real = new baller.BaseProjectile(new THREE.Scene(), start, velocity, config);
+        let steps = 0;
+        while (real.update(1 / 60, flatTerrain, wind) && steps++ < 10000) {
+            // fly until impact
+        }
+        runner.assertEqual(predicted.x, real.position.x);
+        runner.assertEqual(predicted.y, real.position.y);
+    });
+
+    runner.test('TrajectoryCalculator.solvePower lands on target', () => {
+        const config = baller.EngineConfig;
+        const start = new THREE.Vector3(0, 1, 0);
+        const direction = new THREE.Vector3(1, 1, 0).normalize();
+        const options = { terrain: flatTerrain, wind: null, step: 1 / 60, maxPower: 100 };
+        const power = baller.TrajectoryCalculator.solvePower(start, direction, 30, config, options);
+        const impact = baller.BaseProjectile.predictImpact(start, direction.clone().multiplyScalar(power), config, options);
+        runner.assertTrue(Math.abs(impact.x - 30) < 0.5, `Impact at ${impact.x}`);
+        runner.assertEqual(baller.TrajectoryCalculator.solvePower(start, direction, 500, config, options), null, 'Out of reach');
+    });
+
+    runner.test('BallerGame AI vs AI match runs to completion', () => {
+        const game = new baller.BallerGame({ headless: true, playerTypes: ['ai', 'ai'], config: shortBaller }).setSeed(3).init();
+        game.simulate({ until: () => game.state.gameOver, maxTime: 3600 });
+        runner.assertTrue(game.state.gameOver, 'Match should finish');
+        game.dispose();
+    });
+
+    runner.test('Same seed replays the same BallerGame match', () => {
+        const play = () => {
+            const game = new baller.BallerGame({ headless: true, playerTypes: ['ai', 'ai'], config: shortBaller }).setSeed('replay').init();
+            const steps = game.simulate({ until: () => game.state.gameOver, maxTime: 3600 });
+            const result = `${steps}:${game.castles.map(c => c.health.toFixed(6)).join('/')}`;
+            game.dispose();
+            return result;
+        };
+        runner.assertEqual(play(), play());
+    });
+
+    runner.test('WormsGame AI vs AI match runs to completion', () => {
+        const game = new worms.WormsGame({ headless: true, teamTypes: ['ai', 'ai'], config: shortWorms }).setSeed(3).init();
+        game.simulate({ until: () => game.state.gameOver, maxTime: 3600 });
+        runner.assertTrue(game.state.gameOver, 'Match should finish');
+        game.dispose();
+    });
+});
+
+runner.describe('Match replays', () => {
+    const baller = loadSources(BALLER_SOURCES);
+    const worms = loadSources(WORMS_SOURCES);
+    const shortBaller = baller.mergeConfig(baller.BallerConfig, { GAMEPLAY: { CASTLE_HEALTH: 10 } });
+
+    const ballerState = game => `${game.state.turn}:${game.castles.map(c => c.health.toFixed(6)).join('/')}`;
+    const wormsState = game => game.teams.map(team => team.map(w =>
+        `${w.position.x.toFixed(4)},${w.position.y.toFixed(4)},${w.health.toFixed(4)}`).join(' ')).join(' | ');
+
+    runner.test('Replay survives a JSON round trip', () => {
+        const replay = new baller.Replay({ game: 'BallerGame', seed: 42, configHash: 'abcd1234' });
+        replay.record(90, 1, 'fire', { weapon: 2, verticalAngle: 45.5, horizontalAngle: 0, power: 21.75 });
+        const copy = baller.Replay.fromJSON(JSON.stringify(replay));
+        runner.assertEqual(copy.seed, 42);
+        runner.assertEqual(copy.events.length, 1);
+        runner.assertEqual(copy.events[0].power, 21.75);
+        runner.assertEqual(copy.events[0].tick, 90);
+    });
+
+    runner.test('Replay.fromJSON rejects other JSON', () => {
+        let threw = false;
+        try {
+            baller.Replay.fromJSON('{"hello": "world"}');
+        } catch (e) {
+            threw = true;
+        }
+        runner.assertTrue(threw, 'Should throw without events');
+    });
+
+    runner.test('BallerGame replay reproduces an AI match', () => {
+        const game = new baller.BallerGame({ headless: true, playerTypes: ['ai', 'ai'], config: shortBaller }).setSeed(7).init();
+        game.simulate({ until: () => game.state.gameOver, maxTime: 3600 });
+        const recorded = ballerState(game);
+        const json = game.exportReplay();
+        game.dispose();
+
+        // Watch it in a game with no AI at all
+        const viewer = new baller.BallerGame({ headless: true, playerTypes: ['human', 'human'], config: shortBaller }).init();
+        const player = viewer.playReplay(json);
+        viewer.simulate({ until: () => viewer.state.gameOver, maxTime: 3600 });
+        runner.assertTrue(player.finished, 'All inputs applied');
+        runner.assertEqual(ballerState(viewer), recorded);
+        viewer.dispose();
+    });
+
+    runner.test('WormsGame replay reproduces moves, jumps and shots', () => {
+        const game = new worms.WormsGame({ headless: true, teamTypes: ['human', 'ai'] }).setSeed(11).init();
+        const key = (type, k) => (type === 'down' ? game._onKeyDown({ key: k }) : game._onKeyUp({ key: k }));
+
+        // Walk left, hop, aim and fire a charged shot
+        key('down', 'ArrowLeft');
+        game.simulate({ maxTime: 0.5 });
+        key('up', 'ArrowLeft');
+        key('down', 'ArrowUp');
+        game.simulate({ maxTime: 1 });
+        key('down', ' ');
+        key('down', ' ');
+        game.simulate({ maxTime: 0.4 });
+        key('up', ' ');
+        game.simulate({ until: () => game.state.turn >= 3, maxTime: 120 });
+
+        const recorded = wormsState(game);
+        const tick = game._matchTick();
+        const replay = game.replay;
+        runner.assertTrue(replay.events.some(e => e.type === 'jump'), 'Jump recorded');
+        runner.assertTrue(replay.events.some(e => e.type === 'fire' && e.turn === 1), 'Human shot recorded');
+
+        game.playReplay(JSON.stringify(replay));
+        game.simulate({ until: () => game._matchTick() >= tick, maxTime: 120 });
+        runner.assertEqual(wormsState(game), recorded);
+        game.dispose();
+    });
+
+    runner.test('seekToTurn lands on the start of the turn', () => {
+        const match = () => new baller.BallerGame({ headless: true, playerTypes: ['ai', 'ai'], config: shortBaller }).setSeed(7).init();
+        const game = match();
+        // Turn 4, or the last turn played if a king falls before it
+        game.simulate({ until: () => game.state.turn >= 4 || game.state.gameOver, maxTime: 3600 });
+        const turn = game.state.turn;
+        runner.assertTrue(turn > 1, 'Match lasted past the first turn');
+
+        const fresh = match();
+        fresh.simulate({ until: () => fresh.state.turn >= turn, maxTime: 3600 });
+        const atTurn = ballerState(fresh);
+        fresh.dispose();
+        const player = game.playReplay();
+
+        runner.assertTrue(player.seekToTurn(turn), `Turn ${turn} reached`);
+        runner.assertEqual(ballerState(game), atTurn);
+        runner.assertEqual(game.timeScale, 1, 'Still playing after seek');
+        player.pause();
+        runner.assertEqual(game.timeScale, 0, 'Paused');
+        game.dispose();
+    });
+});
+
+// localStorage stand-in
+const memoryStorage = () => {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+    };
+};
+
+runner.describe('Save games', () => {
+    const baller = loadSources(BALLER_SOURCES);
+    const worms = loadSources(WORMS_SOURCES);
+    const shortBaller = baller.mergeConfig(baller.BallerConfig, { GAMEPLAY: { CASTLE_HEALTH: 10 } });
+    const shortWorms = worms.mergeConfig(worms.WormsConfig, { TERRAIN: { DEPTH: 4 } });
+
+    const ballerState = game => `${game._matchTick()}:${game.state.turn}:` +
+        game.castles.map(c => c.health.toFixed(6)).join('/');
+    const wormsState = game => `${game._matchTick()}:` + game.teams.map(team => team.map(w =>
+        `${w.position.x.toFixed(4)},${w.position.y.toFixed(4)},${w.health.toFixed(4)}`).join(' ')).join(' | ');
+
+    runner.test('BallerGame resumed from the turn autosave finishes identically', () => {
+        const storage = memoryStorage();
+        const game = new baller.BallerGame({ headless: true, playerTypes: ['ai', 'ai'], config: shortBaller, storage })
+            .setSeed(7).init();
+        game.simulate({ until: () => game.state.turn >= 3, maxTime: 3600 });
+        const snapshot = game.saves.load('autosave');
+        runner.assertEqual(snapshot.state.turn, 3, 'Autosaved at the turn change');
+
+        game.simulate({ until: () => game.state.gameOver, maxTime: 3600 });
+        const finished = ballerState(game);
+        game.dispose();
+
+        const resumed = new baller.BallerGame({ headless: true, playerTypes: ['ai', 'ai'], config: shortBaller, storage: null }).init();
+        runner.assertTrue(resumed.restoreSnapshot(JSON.parse(JSON.stringify(snapshot))), 'Restored');
+        runner.assertEqual(resumed.terrain.heightMap[10][20], snapshot.terrain[10][20], 'Terrain restored');
+        resumed.simulate({ until: () => resumed.state.gameOver, maxTime: 3600 });
+        runner.assertEqual(ballerState(resumed), finished);
+        resumed.dispose();
+    });
+
+    runner.test('WormsGame resumed from the turn autosave continues identically', () => {
+        const game = new worms.WormsGame({ headless: true, teamTypes: ['ai', 'ai'], config: shortWorms, storage: memoryStorage() })
+            .setSeed(5).init();
+        game.simulate({ until: () => game.state.turn >= 2, maxTime: 600 });
+        const snapshot = game.saves.load('autosave');
+        game.simulate({ until: () => game.state.turn >= 5 || game.state.gameOver, maxTime: 3600 });
+        const later = wormsState(game);
+        game.dispose();
+
+        const resumed = new worms.WormsGame({ headless: true, teamTypes: ['ai', 'ai'], config: shortWorms, storage: null }).init();
+        runner.assertTrue(resumed.restoreSnapshot(snapshot), 'Restored');
+        resumed.simulate({ until: () => resumed.state.turn >= 5 || resumed.state.gameOver, maxTime: 3600 });
+        runner.assertEqual(wormsState(resumed), later);
+        resumed.dispose();
+    });
+
+    runner.test('Named slots are listed, loaded and deleted', () => {
+        const game = new baller.BallerGame({ headless: true, playerTypes: ['human', 'human'], storage: memoryStorage() })
+            .setSeed(1).init();
+        runner.assertTrue(game.saveGame('first'), 'Saved');
+        game.cannons[0].setAim(30, 10);
+        game.saveGame('second');
+        runner.assertEqual(game.listSaves().map(s => s.slot).sort().join(','), 'first,second');
+
+        runner.assertTrue(game.loadGame('first'), 'Loaded');
+        runner.assertEqual(game.cannons[0].verticalAngle, 45, 'Aim from the first save');
+        runner.assertTrue(game.loadGame('second'), 'Loaded');
+        runner.assertEqual(game.cannons[0].verticalAngle, 30, 'Aim from the second save');
+
+        game.deleteSave('first');
+        runner.assertEqual(game.listSaves().length, 1);
+        runner.assertEqual(game.loadGame('first'), false, 'Deleted slot is gone');
+        game.dispose();
+    });
+
+    runner.test('Saving is refused mid-shot and for other games', () => {
+        const game = new baller.BallerGame({ headless: true, playerTypes: ['human', 'human'], storage: memoryStorage() })
+            .setSeed(1).init();
+        game.state.power = 30;
+        game.state.charging = true;
+        game._fire();
+        runner.assertEqual(game.saveGame('mid-shot'), false, 'No save while the ball flies');
+
+        const vsAI = new baller.BallerGame({ headless: true, playerTypes: ['ai', 'human'], storage: memoryStorage() })
+            .setSeed(1).init();
+        runner.assertEqual(vsAI.saveGame(), false, 'No save while the AI is about to shoot');
+        vsAI.dispose();
+
+        const other = new worms.WormsGame({ headless: true, storage: null }).setSeed(1).init();
+        runner.assertEqual(game.restoreSnapshot(other.createSnapshot()), false, 'Worms snapshot rejected');
+        other.dispose();
+        game.dispose();
+    });
+});
+
+runner.describe('Game events', () => {
+    const baller = loadSources(BALLER_SOURCES);
+    const worms = loadSources(WORMS_SOURCES);
+    const shortBaller = baller.mergeConfig(baller.BallerConfig, { GAMEPLAY: { CASTLE_HEALTH: 10 } });
+    const shortWorms = worms.mergeConfig(worms.WormsConfig, { TERRAIN: { DEPTH: 4 } });
+
+    // Subscribe to every event and log them in order
+    const recordEvents = game => {
+        const log = [];
+        game.constructor.EVENTS.forEach(name => game.on(name, payload => log.push({ name, ...payload })));
+        return log;
+    };
+    const count = (log, name) => log.filter(e => e.name === name).length;
+
+    runner.test('EventBus on/once/off and typed names', () => {
+        const bus = new baller.EventBus(['ping']);
+        const got = [];
+        const off = bus.on('ping', p => got.push(`on${p.n}`));
+        bus.once('ping', p => got.push(`once${p.n}`));
+        bus.emit('ping', { n: 1 });
+        bus.emit('ping', { n: 2 });
+        off();
+        bus.emit('ping', { n: 3 });
+        runner.assertEqual(got.join(','), 'on1,once1,on2');
+
+        let threw = false;
+        try {
+            bus.on('pong', () => {});
+        } catch (e) {
+            threw = true;
+        }
+        runner.assertTrue(threw, 'Unknown event name throws');
+    });
+
+    runner.test('A failing handler does not stop the others', () => {
+        const bus = new baller.EventBus();
+        let reached = false;
+        bus.on('x', () => { throw new Error('broken listener'); });
+        bus.on('x', () => { reached = true; });
+        const errorLog = baller.console.error;
+        baller.console.error = () => {};
+        bus.emit('x');
+        baller.console.error = errorLog;
+        runner.assertTrue(reached);
+    });
+
+    runner.test('BallerGame emits the match flow', () => {
+        const game = new baller.BallerGame({ headless: true, playerTypes: ['ai', 'ai'], config: shortBaller }).setSeed(3);
+        const log = recordEvents(game);
+        game.init();
+        game.simulate({ until: () => game.state.gameOver, maxTime: 3600 });
+
+        runner.assertEqual(log[log.length - 1].name, 'gameOver', 'Match ends with gameOver');
+        runner.assertEqual(count(log, 'gameOver'), 1, 'gameOver only once');
+        runner.assertEqual(count(log, 'fire'), count(log, 'impact'), 'Every shot lands');
+        runner.assertEqual(count(log, 'turnEnd'), game.state.turn - 1);
+        runner.assertEqual(count(log, 'turnStart'), game.state.turn);
+        const decisive = log.filter(e => e.name === 'entityKilled' &&
+            (e.entity instanceof baller.Castle || e.entity instanceof baller.King));
+        runner.assertEqual(decisive.length, 1, 'One castle or king destroyed');
+        runner.assertTrue(['castle', 'king'].includes(game.state.endReason), `Ended by ${game.state.endReason}`);
+
+        const first = log.find(e => e.name === 'turnStart');
+        runner.assertEqual(first.turn, 1);
+        runner.assertEqual(first.player, 0);
+
+        // Damage events add up to the health the castles lost
+        game.castles.forEach(castle => {
+            const total = log.filter(e => e.name === 'damage' && e.entity === castle)
+                .reduce((sum, e) => sum + e.amount, 0);
+            runner.assertTrue(Math.abs(total - (castle.maxHealth - castle.health)) < 1e-9,
+                `Damage ${total} vs lost ${castle.maxHealth - castle.health}`);
+        });
+        game.dispose();
+    });
+
+    runner.test('WormsGame emits turns, shots and kills', () => {
+        const game = new worms.WormsGame({ headless: true, teamTypes: ['ai', 'ai'], config: shortWorms }).setSeed(3);
+        const log = recordEvents(game);
+        game.init();
+        game.simulate({ until: () => game.state.gameOver, maxTime: 3600 });
+
+        const killed = log.filter(e => e.name === 'entityKilled');
+        const dead = game.teams.reduce((n, team) => n + team.filter(w => !w.alive).length, 0);
+        runner.assertEqual(killed.length, dead, 'One entityKilled per dead worm');
+        runner.assertTrue(killed.every(e => ['impact', 'fall', 'water'].includes(e.cause)));
+        runner.assertEqual(count(log, 'gameOver'), 1);
+        runner.assertTrue(log.filter(e => e.name === 'turnStart').every(e => e.worm !== undefined), 'Worm in turn info');
+        runner.assertEqual(count(log, 'windChanged'), count(log, 'turnEnd') + 1, 'Wind per turn');
+        game.dispose();
+    });
+
+    runner.test('Loading a save emits only the resumed turn', () => {
+        const game = new baller.BallerGame({ headless: true, playerTypes: ['human', 'human'], storage: null }).setSeed(1).init();
+        const snapshot = game.createSnapshot();
+        const log = recordEvents(game);
+        game.restoreSnapshot(snapshot);
+        runner.assertEqual(count(log, 'turnStart'), 1);
+        runner.assertEqual(count(log, 'windChanged'), 1);
+        runner.assertEqual(count(log, 'turnEnd'), 0);
+        game.dispose();
+    });
+});
+
+runner.describe('Impact energy', () => {
+    const baller = loadSources(BALLER_SOURCES);
+
+    runner.test('Weapons map impact energy to a crater scale', () => {
+        const scale = baller.BaseGameController.impactScale;
+        const weapon = { crater: { energy: 400, exponent: 0.5, min: 0.5, max: 1.5 } };
+        runner.assertEqual(scale({}, 1000), 1, 'No curve, no scaling');
+        runner.assertEqual(scale(weapon, 400), 1);
+        runner.assertEqual(scale(weapon, 100), 0.5, 'Half the speed, half the hole');
+        runner.assertEqual(scale(weapon, 1600), 1.5, 'Capped');
+        runner.assertEqual(scale(weapon, 0), 0.5);
+    });
+
+    runner.test('A harder hit digs deeper and damages more', () => {
+        const hit = speed => {
+            const game = new baller.BallerGame({ headless: true, playerTypes: ['human', 'human'] }).setSeed(4).init();
+            const castle = game.castles[1];
+            const point = castle.position.clone().add(new THREE.Vector3(-8, 0, 0));
+            point.y = game.terrain.getHeight(point.x, point.z);
+            const ground = point.y;
+            let energy = null;
+            game.once('impact', e => { energy = e.energy; });
+
+            game.projectile = new baller.BaseProjectile(game.scene, point, new THREE.Vector3(0, -speed, 0), game.config);
+            game.projectile.weapon = game.config.WEAPONS[0];
+            game._onProjectileHit();
+            const result = { energy, dug: ground - game.terrain.getHeight(point.x, point.z), damage: castle.maxHealth - castle.health };
+            game.dispose();
+            return result;
+        };
+
+        const soft = hit(20);
+        const hard = hit(40);
+        runner.assertEqual(soft.energy, 200);
+        runner.assertEqual(hard.energy, 800);
+        runner.assertTrue(hard.dug > soft.dug, `Crater ${hard.dug} vs ${soft.dug}`);
+        runner.assertNearlyEqual(hard.damage / soft.damage, Math.sqrt(800 / 500) / Math.sqrt(200 / 500), 1e-9);
+    });
+});
+
+runner.describe('Ballerburg economy', () => {
+    const baller = loadSources(BALLER_SOURCES);
+
+    // Stand-in stream that always rolls the lowest or highest value
+    const fixedRng = high => ({ int: max => (high ? max - 1 : 0) });
+
+    runner.test('Taxes and migration follow rechnen()', () => {
+        const economy = new baller.Economy(baller.BallerConfig);
+        const low = economy.createPlayer();
+        runner.assertEqual(low.gold, 400);
+        runner.assertEqual(low.population, 200);
+        runner.assertEqual(low.tax, 20);
+
+        economy.collect(low, fixedRng(false));
+        runner.assertEqual(low.gold, 426, '200 * 20 / 150');
+        runner.assertEqual(low.population, 190, '200 * 95 / 100 + 1 * 8 / 20');
+
+        const high = economy.createPlayer();
+        economy.collect(high, fixedRng(true));
+        runner.assertEqual(high.gold, 439, '200 * 20 / 101');
+        runner.assertEqual(high.population, 215, '200 * 105 / 100 + 9 * 12 / 20');
+    });
+
+    runner.test('Income falls again above 65% and people leave', () => {
+        const economy = new baller.Economy(baller.BallerConfig);
+        const moderate = Object.assign(economy.createPlayer(), { tax: 64 });
+        const greedy = Object.assign(economy.createPlayer(), { tax: 100 });
+        const a = economy.collect(moderate, fixedRng(false));
+        const b = economy.collect(greedy, fixedRng(false));
+        runner.assertTrue(b.income < a.income, `${b.income} < ${a.income}`);
+        runner.assertTrue(b.migration < -10, 'High taxes drive people away');
+        runner.assertEqual(economy.clampTax(130), 100);
+        runner.assertEqual(economy.clampTax(-4), 0);
+    });
+
+    runner.test('A kingdom without people loses', () => {
+        const game = new baller.BallerGame({ headless: true, playerTypes: ['human', 'human'] }).setSeed(1).init();
+        let result = null;
+        game.on('gameOver', payload => { result = payload; });
+        game.state.economy[0].population = 1;
+        game.state.economy[0].tax = 100;
+        game._nextTurn();
+
+        runner.assertTrue(game.state.gameOver, 'Game over');
+        runner.assertEqual(game.state.economy[0].population, 0);
+        runner.assertEqual(result.winner, 2);
+        runner.assertTrue(result.details.includes('no more people'), result.details);
+        game.dispose();
+    });
+
+    runner.test('Players are taxed after their own turn and the AI sees real gold', () => {
+        const game = new baller.BallerGame({ headless: true, playerTypes: ['human', 'human'] }).setSeed(1).init();
+        game._nextTurn();
+        runner.assertTrue(game.state.economy[0].gold > 400, 'Player 1 collected taxes');
+        runner.assertEqual(game.state.economy[1].gold, 400, 'Player 2 not yet');
+        runner.assertEqual(game._getAIGameState().enemyGold, game.state.economy[0].gold);
+        game.dispose();
+    });
+
+    runner.test('Tax changes are recorded and replayed', () => {
+        const game = new baller.BallerGame({ headless: true, playerTypes: ['human', 'human'] }).setSeed(2).init();
+        game._onKeyDown({ key: '+' });
+        game._onKeyDown({ key: '+' });
+        runner.assertEqual(game.getCurrentEconomy().tax, 24);
+        game.simulate({ until: () => game.state.turn >= 2, maxTime: 60 }); // turn timer runs out
+        game._changeTax(-10);
+        runner.assertEqual(game.getCurrentEconomy().tax, 10);
+        game.simulate({ until: () => game.state.turn >= 3, maxTime: 60 });
+        const recorded = JSON.stringify(game.state.economy);
+        runner.assertEqual(game.replay.events.filter(e => e.type === 'tax').length, 3);
+
+        game.playReplay();
+        game.simulate({ until: () => game.state.turn >= 3, maxTime: 120 });
+        runner.assertEqual(JSON.stringify(game.state.economy), recorded);
+        game.dispose();
+    });
+});
+
+runner.describe('Ballerburg market', () => {
+    const baller = loadSources(BALLER_SOURCES);
+    const market = new baller.Market(baller.BallerConfig);
+    const economy = new baller.Economy(baller.BallerConfig);
+    const roomy = { cannons: 0, cannonSlots: 2, towers: 0, canBuild: true };
+
+    runner.test('Prices open near base and drift within bounds', () => {
+        const rng = new baller.SeededRandom(5);
+        const prices = market.createPrices(rng);
+        market.items.forEach((item, i) => {
+            runner.assertTrue(Math.abs(prices[i] - item.price) <= item.price * 0.05 + 1, `${item.id} ${prices[i]}`);
+        });
+
+        const start = prices.slice();
+        for (let turn = 0; turn < 500; turn++) {
+            market.drift(prices, rng);
+            market.items.forEach((item, i) => {
+                runner.assertTrue(prices[i] >= item.min && prices[i] <= item.max, `${item.id} ${prices[i]} out of bounds`);
+            });
+        }
+        runner.assertTrue(prices.some((p, i) => p !== start[i]), 'Prices moved');
+    });
+
+    runner.test('Purchase restrictions', () => {
+        const prices = market.items.map(item => item.price);
+        const player = Object.assign(economy.createPlayer(), { gold: 10000 });
+
+        runner.assertEqual(market.whyNot('vane', player, prices, { vane: true }), 'You already have a wind vane');
+        runner.assertTrue(market.buy('vane', player, prices, roomy), 'Replacement vane');
+
+        runner.assertTrue(market.whyNot('tower', player, prices, { towers: 5 }).includes('5'), 'Max 5 towers');
+        runner.assertEqual(market.whyNot('cannon', player, prices, { cannons: 2, cannonSlots: 2 }), 'No free cannon platform');
+        runner.assertEqual(market.whyNot('build', player, prices, { canBuild: false }), 'No room left to build');
+
+        player.gold = 10;
+        runner.assertEqual(market.whyNot('powder', player, prices, roomy), 'Not enough gold');
+        runner.assertEqual(market.buy('powder', player, prices, roomy), false);
+        runner.assertEqual(player.gold, 10, 'Nothing paid');
+    });
+
+    runner.test('Full storerooms take the gold but not the goods', () => {
+        const prices = market.items.map(item => item.price);
+        const player = Object.assign(economy.createPlayer(), { gold: 1000, powder: 290 });
+        market.buy('powder', player, prices, roomy);
+        runner.assertEqual(player.powder, 300, 'Capped at the storeroom size');
+        runner.assertTrue(market.isFull('powder', player));
+        market.buy('powder', player, prices, roomy);
+        runner.assertEqual(player.powder, 300);
+        runner.assertEqual(player.gold, 900, 'Both purchases paid');
+
+        const rich = Object.assign(economy.createPlayer(), { gold: 1499 });
+        economy.collect(rich, new baller.SeededRandom(1));
+        runner.assertEqual(rich.gold, 1500, 'Treasury holds at most 1500');
+    });
+
+    runner.test('BallerGame purchases are recorded and prices move every turn', () => {
+        const game = new baller.BallerGame({ headless: true, playerTypes: ['human', 'human'] }).setSeed(4).init();
+        const before = game.state.prices.slice();
+        const gold = game.getCurrentEconomy().gold;
+
+        runner.assertTrue(game.buy('balls'), 'Bought balls');
+        runner.assertEqual(game.getCurrentEconomy().balls, 14);
+        runner.assertEqual(game.getCurrentEconomy().gold, gold - before[market.indexOf('balls')]);
+        runner.assertEqual(game.buy('vane'), false, 'Already has a vane');
+        runner.assertEqual(game.buy('cannon'), false, 'Cannon platform taken');
+        runner.assertEqual(game.replay.events.filter(e => e.type === 'buy').length, 1);
+
+        game._nextTurn();
+        runner.assertTrue(game.state.prices.some((p, i) => p !== before[i]), 'Prices drifted');
+        game.dispose();
+    });
+
+    runner.test('Computer players shop for mining towers', () => {
+        const rich = baller.mergeConfig(baller.BallerConfig, { GAMEPLAY: { ECONOMY: { START_GOLD: 800 } } });
+        const game = new baller.BallerGame({ headless: true, playerTypes: ['ai', 'human'], config: rich }).setSeed(4).init();
+        game.simulate({ until: () => game.projectile !== null, maxTime: 10 });
+        runner.assertEqual(game._towersOf(0).length, 1, 'Brubbel invests in a tower');
+        runner.assertTrue(game.state.economy[0].gold < 800 - 300);
+        game.dispose();
+    });
+});
+
+runner.describe('Ballerburg powder and balls', () => {
+    const baller = loadSources(BALLER_SOURCES);
+
+    const humans = () => new baller.BallerGame({ headless: true, playerTypes: ['human', 'human'] }).setSeed(2).init();
+    const speed = v => Math.hypot(v.x, v.y, v.z);
+    const pullTrigger = game => {
+        game._startCharge();
+        game._fire();
+    };
+
+    runner.test('A shot costs its powder charge and one ball', () => {
+        const game = humans();
+        const player = game.getCurrentEconomy();
+        game._changeCharge(-100);
+        runner.assertEqual(game.cannons[0].charge, 5, 'At least 5 units');
+        pullTrigger(game);
+        runner.assertEqual(player.powder, 175);
+        runner.assertEqual(player.balls, 11);
+        const weak = speed(game.projectile.velocity);
+        game.dispose();
+
+        const strong = humans();
+        strong._changeCharge(100);
+        runner.assertEqual(strong.cannons[0].charge, 20, 'At most 20 units');
+        pullTrigger(strong);
+        runner.assertEqual(strong.getCurrentEconomy().powder, 160);
+        // Original schuss(): speed .4 + .25 * charge
+        runner.assertNearlyEqual(weak / speed(strong.projectile.velocity), 1.65 / 5.4, 0.001);
+        runner.assertNearlyEqual(strong.state.power, baller.BallerConfig.GAMEPLAY.MAX_POWER, 0.001);
+        strong.dispose();
+    });
+
+    runner.test('Firing is refused when powder or balls run out', () => {
+        const game = humans();
+        const player = game.getCurrentEconomy();
+        const events = [];
+        game.on('fire', e => events.push(e));
+
+        player.powder = 4;
+        runner.assertEqual(game.whyCannotFire(), 'Not enough powder!');
+        pullTrigger(game);
+        runner.assertEqual(game.projectile, null, 'No shot without powder');
+        runner.assertFalse(game.state.charging, 'Trigger released');
+
+        player.powder = 100;
+        player.balls = 0;
+        runner.assertEqual(game.whyCannotFire(), 'No cannonballs left!');
+        pullTrigger(game);
+        runner.assertEqual(game.projectile, null, 'No shot without balls');
+        runner.assertEqual(player.powder, 100, 'Nothing used');
+
+        runner.assertTrue(game.buy('balls'), 'Restocked at the market');
+        pullTrigger(game);
+        runner.assertTrue(game.projectile !== null, 'Fires again');
+        runner.assertEqual(events.length, 1);
+        runner.assertEqual(game.replay.events.filter(e => e.type === 'fire').length, 1);
+        game.dispose();
+    });
+
+    runner.test('A charge never uses more powder than is in store', () => {
+        const game = humans();
+        const player = game.getCurrentEconomy();
+        player.powder = 8;
+        pullTrigger(game);
+        runner.assertEqual(player.powder, 0);
+        runner.assertEqual(game.replay.events.find(e => e.type === 'fire').charge, 8);
+        game.dispose();
+    });
+
+    runner.test('Computer players load a charge they can afford', () => {
+        const game = new baller.BallerGame({ headless: true, playerTypes: ['ai', 'human'] }).setSeed(3).init();
+        const shots = [];
+        game.on('fire', e => shots.push(e));
+        game.simulate({ until: () => shots.length >= 1, maxTime: 10 });
+        runner.assertEqual(shots.length, 1);
+        runner.assertTrue(shots[0].charge >= 5 && shots[0].charge <= 20, `Charge ${shots[0].charge}`);
+        runner.assertEqual(game.state.economy[0].powder, 180 - shots[0].charge);
+        game.dispose();
+
+        const broke = new baller.BallerGame({ headless: true, playerTypes: ['ai', 'human'] }).setSeed(3).init();
+        Object.assign(broke.state.economy[0], { gold: 0, balls: 0 });
+        broke.simulate({ until: () => broke.projectile !== null, maxTime: 10 });
+        runner.assertEqual(broke.projectile, null, 'Nothing to fire and no gold to buy balls');
+        runner.assertEqual(broke.state.currentPlayer, 1, 'Passed without waiting out the timer');
+        runner.assertTrue(broke.replay.events.some(e => e.type === 'pass' && e.turn === 1), 'Pass recorded');
+        broke.dispose();
+    });
+});
+
+runner.describe('Ballerburg cannons', () => {
+    const baller = loadSources(BALLER_SOURCES);
+    const slots = baller.BallerConfig.GAMEPLAY.CANNON_SLOTS;
+
+    const humans = () => new baller.BallerGame({ headless: true, playerTypes: ['human', 'human'] }).setSeed(2).init();
+    const barrel = cannon => cannon.position.clone().add(new THREE.Vector3(0, 1.5, 0));
+
+    runner.test('Every platform starts manned, mirrored for the right castle', () => {
+        const game = humans();
+        runner.assertEqual(game._cannonsOf(0).length, slots.length);
+        runner.assertEqual(game._cannonsOf(1).length, slots.length);
+
+        const [left, right] = [game._cannonsOf(0)[1], game._cannonsOf(1)[1]];
+        runner.assertNearlyEqual(left.position.x - game.castles[0].position.x, slots[1].x);
+        runner.assertNearlyEqual(right.position.x - game.castles[1].position.x, -slots[1].x);
+        runner.assertEqual(game._getAIGameState().enemyCannons.length, slots.length);
+        game.dispose();
+    });
+
+    runner.test('Selected cannon fires and is recorded', () => {
+        const game = humans();
+        game.cycleCannon();
+        runner.assertEqual(game.state.activeCannon[0], 1);
+        game.cycleCannon();
+        runner.assertEqual(game.state.activeCannon[0], 0, 'Cycles around');
+        runner.assertEqual(game.selectCannon(7), false, 'No cannon on that platform');
+
+        game.selectCannon(1);
+        game._startCharge();
+        game._fire();
+        runner.assertEqual(game.replay.events.find(e => e.type === 'fire').cannon, 1);
+        runner.assertNearlyEqual(game.projectile.position.x, game._currentCannon().getFirePosition().x, 0.5);
+        game.dispose();
+    });
+
+    runner.test('A hit destroys that cannon only', () => {
+        const game = humans();
+        const killed = [];
+        game.on('entityKilled', e => killed.push(e.entity));
+        const target = game._cannonsOf(1)[0];
+        game.state.currentPlayer = 1;
+
+        // A ball flying into the barrel stops there
+        game.projectile = new baller.BaseProjectile(game.scene, barrel(target).add(new THREE.Vector3(1, 0, 0)),
+            new THREE.Vector3(-30, 0, 0), game.config);
+        game.projectile.weapon = game.config.WEAPONS[0];
+        game.step();
+        runner.assertEqual(game.projectile, null, 'Ball stopped at the cannon');
+
+        runner.assertEqual(killed.length, 1);
+        runner.assertEqual(killed[0], target);
+        runner.assertEqual(game._cannonsOf(1).length, slots.length - 1);
+        runner.assertEqual(game._cannonsOf(0).length, slots.length, 'Other castle untouched');
+        runner.assertEqual(game.state.activeCannon[1], 1, 'Fires from the next cannon');
+        runner.assertEqual(game._getAIGameState().enemyCannons.length, slots.length, 'Player 1 sees all enemy cannons');
+        game.state.currentPlayer = 0;
+        runner.assertEqual(game._getAIGameState().enemyCannons.length, slots.length - 1, 'AI only targets survivors');
+        game.dispose();
+    });
+
+    runner.test('Lost cannons can be bought back onto empty platforms', () => {
+        const game = humans();
+        const player = game.getCurrentEconomy();
+        player.gold = 1500;
+        runner.assertEqual(game.whyCannotBuy('cannon'), 'No free cannon platform');
+
+        game._cannonsOf(0).forEach(c => game._applyDamageToEntities(barrel(c), game.config.WEAPONS[0]));
+        runner.assertEqual(game._cannonsOf(0).length, 0);
+        runner.assertEqual(game.whyCannotFire(), 'You have no cannon left!');
+
+        runner.assertTrue(game.buy('cannon'), 'Bought a cannon');
+        runner.assertEqual(game._cannonsOf(0)[0].slot, 0, 'First free platform');
+        runner.assertEqual(game.state.activeCannon[0], 0);
+        runner.assertEqual(game.whyCannotFire(), null);
+        game.dispose();
+    });
+
+    runner.test('Destroyed cannons stay gone after loading', () => {
+        const game = new baller.BallerGame({ headless: true, playerTypes: ['human', 'human'], storage: memoryStorage() })
+            .setSeed(2).init();
+        game._applyDamageToEntities(barrel(game._cannonsOf(1)[0]), game.config.WEAPONS[0]);
+        game._cannonsOf(1)[0].setAim(30, 5);
+        runner.assertTrue(game.saveGame('one-down'));
+
+        game.restart(2);
+        runner.assertEqual(game._cannonsOf(1).length, slots.length, 'Fresh match, all manned');
+        runner.assertTrue(game.loadGame('one-down'));
+        runner.assertEqual(game._cannonsOf(1).length, slots.length - 1);
+        runner.assertEqual(game._cannonsOf(1)[0].slot, 1);
+        runner.assertEqual(game._cannonsOf(1)[0].verticalAngle, 30);
+        runner.assertEqual(game.state.activeCannon[1], 1);
+        game.dispose();
+    });
+});
+
+runner.describe('Ballerburg mining towers', () => {
+    const baller = loadSources(BALLER_SOURCES);
+    const settings = baller.BallerConfig.GAMEPLAY.MINING_TOWERS;
+
+    const humans = (options = {}) =>
+        new baller.BallerGame({ headless: true, playerTypes: ['human', 'human'], ...options }).setSeed(2).init();
+    const richPlayer = (game, player) => {
+        game.state.currentPlayer = player;
+        game.getCurrentEconomy().gold = 1500;
+    };
+
+    runner.test('Bought towers stand in a row in front of the castle and pay', () => {
+        const game = humans();
+        richPlayer(game, 1);
+        runner.assertTrue(game.buy('tower'));
+        runner.assertTrue(game.buy('tower'));
+
+        const [first, second] = game._towersOf(1);
+        const castle = game.castles[1];
+        runner.assertNearlyEqual(first.position.x, castle.position.x - settings.FIRST_X);
+        runner.assertNearlyEqual(second.position.x, castle.position.x - settings.FIRST_X - settings.SPACING);
+        runner.assertNearlyEqual(first.position.y, game.terrain.getHeight(first.position.x, first.position.z));
+        runner.assertEqual(game._towersOf(0).length, 0);
+
+        let paidFor = null;
+        game.economy.collect = (player, rng, towers) => {
+            paidFor = towers;
+            return { income: 0, migration: 0 };
+        };
+        game._collectTaxes();
+        runner.assertEqual(paidFor, 2, 'Income from both towers');
+        game.dispose();
+    });
+
+    runner.test('A direct hit brings a tower down, a near miss only damages it', () => {
+        const game = humans();
+        const killed = [];
+        game.on('entityKilled', e => killed.push(e.entity));
+        richPlayer(game, 1);
+        game.buy('tower');
+        game.buy('tower');
+        const [near, far] = game._towersOf(1);
+        game.state.currentPlayer = 0;
+        runner.assertEqual(game._getAIGameState().enemyTowers.length, 2);
+
+        // A ball flying into the tower stops there
+        const stone = game.config.WEAPONS[4];
+        game.projectile = new baller.BaseProjectile(game.scene, near.getCenter().add(new THREE.Vector3(1, 0, 0)),
+            new THREE.Vector3(-30, 0, 0), game.config);
+        game.projectile.weapon = stone;
+        game.step();
+        runner.assertEqual(game.projectile, null, 'Ball stopped at the tower');
+        runner.assertTrue(killed.includes(near), 'Tower destroyed');
+        runner.assertEqual(game._towersOf(1).length, 1);
+
+        game._applyDamageToEntities(far.getCenter().add(new THREE.Vector3(-stone.radius / 2, 0, 0)), stone);
+        runner.assertTrue(far.alive && far.health < settings.HEALTH, `Damaged to ${far.health}`);
+        runner.assertEqual(game._getAIGameState().enemyTowers.length, 1, 'AI only targets standing towers');
+
+        richPlayer(game, 1);
+        runner.assertTrue(game.buy('tower'));
+        runner.assertEqual(game._towersOf(1).map(t => t.slot).sort().join(), '0,1', 'Rebuilt on the free place');
+        game.dispose();
+    });
+
+    runner.test('At most five towers, and they survive saving', () => {
+        const game = humans({ storage: memoryStorage() });
+        richPlayer(game, 0);
+        for (let i = 0; i < 5; i++) game._placeTower(0);
+        runner.assertEqual(game.whyCannotBuy('tower'), 'At most 5 mining towers');
+
+        game._towersOf(0)[2].health = 7;
+        runner.assertTrue(game.saveGame('towers'));
+        game.restart(2);
+        runner.assertEqual(game._towersOf(0).length, 0, 'Fresh match, no towers');
+        runner.assertTrue(game.loadGame('towers'));
+        runner.assertEqual(game._towersOf(0).length, 5);
+        runner.assertEqual(game._towersOf(0).find(t => t.slot === 2).health, 7);
+        game.dispose();
+    });
+});
+
+runner.describe('Ballerburg stonework', () => {
+    const baller = loadSources(BALLER_SOURCES);
+    const stones = baller.BallerConfig.GAMEPLAY.BUILD.STONES;
+
+    const humans = (options = {}) =>
+        new baller.BallerGame({ headless: true, playerTypes: ['human', 'human'], ...options }).setSeed(2).init();
+    const withStones = (options = {}) => {
+        const game = humans(options);
+        game.getCurrentEconomy().gold = 1000;
+        game.buy('build');
+        return game;
+    };
+
+    runner.test('Stones must touch the castle and stay within its grounds', () => {
+        const game = humans();
+        const castle = game.castles[0];
+        runner.assertTrue(castle.canBuildAt(5, 5), 'Next to the side tower');
+        runner.assertFalse(castle.canBuildAt(4, 5), 'Inside the side tower');
+        runner.assertFalse(castle.canBuildAt(7, 5), 'Not touching anything');
+
+        castle.addBlock(5, 5);
+        runner.assertTrue(castle.canBuildAt(6, 5), 'Next to a new stone');
+        [6, 7, 8].forEach(x => castle.addBlock(x, 5));
+        runner.assertFalse(castle.canBuildAt(9, 5), 'Past the front of the grounds');
+
+        // Mirrored for the right castle
+        runner.assertTrue(game.castles[1].canBuildAt(-7, 5));
+        runner.assertFalse(game.castles[1].canBuildAt(-5, 5), 'Inside the side tower');
+        game.dispose();
+    });
+
+    runner.test('Bought stonework is placed stone by stone until the turn ends', () => {
+        const game = withStones();
+        runner.assertEqual(game.state.stones, stones);
+        runner.assertTrue(game.placeStone(5, 5));
+        runner.assertFalse(game.placeStone(7, 5), 'Refused, nothing touched');
+        runner.assertEqual(game.state.stones, stones - 1);
+        runner.assertEqual(game.castles[0].blocks.length, 1);
+        runner.assertEqual(game.replay.events.filter(e => e.type === 'stone').length, 1);
+
+        game._nextTurn();
+        runner.assertEqual(game.state.stones, 0, 'Unplaced stones are lost');
+        runner.assertFalse(game.placeStone(-6, 5));
+        game.dispose();
+    });
+
+    runner.test('Stones take damage and a shot-out stone can be replaced', () => {
+        const game = withStones();
+        const castle = game.castles[0];
+        game.placeStone(5, 5);
+        const part = castle.parts[castle.parts.length - 1];
+
+        const worldPos = castle.position.clone().add(new THREE.Vector3(5.5, 5.5, 0));
+        castle.takeDamage(20, worldPos);
+        runner.assertTrue(part.destroyed, 'Stone is rubble');
+        runner.assertTrue(castle.health < castle.maxHealth);
+        runner.assertTrue(game.placeStone(5, 5), 'Rebuilt on the rubble');
+        game.dispose();
+    });
+
+    runner.test('Stones survive saving', () => {
+        const game = withStones({ storage: memoryStorage() });
+        game.placeStone(5, 5);
+        game.placeStone(5, 6);
+        game.castles[0].parts[game.castles[0].parts.length - 1].health = 3;
+        runner.assertTrue(game.saveGame('walls'));
+
+        game.restart(2);
+        runner.assertTrue(game.loadGame('walls'));
+        const castle = game.castles[0];
+        runner.assertEqual(JSON.stringify(castle.blocks), '[{"x":5,"y":5},{"x":5,"y":6}]');
+        runner.assertEqual(castle.parts[castle.parts.length - 1].health, 3);
+        runner.assertEqual(game.state.stones, stones - 2, 'Unplaced stones kept within the turn');
+        game.dispose();
+    });
+});
+
+runner.describe('Ballerburg wind vanes', () => {
+    const baller = loadSources(BALLER_SOURCES);
+
+    const humans = (options = {}) =>
+        new baller.BallerGame({ headless: true, playerTypes: ['human', 'human'], ...options }).setSeed(2).init();
+    const shootThrough = (game, vane) => {
+        game.projectile = new baller.BaseProjectile(game.scene,
+            vane.position.clone().add(new THREE.Vector3(-0.5, 1, 0)), new THREE.Vector3(30, 0, 0), game.config);
+        game.projectile.weapon = game.config.WEAPONS[0];
+        game.step();
+    };
+
+    runner.test('Every castle starts with a vane that swings with the wind', () => {
+        const game = humans();
+        game.state.wind = { strength: 3, direction: -1 };
+        runner.assertEqual(game._windText(), '-3.0', 'Exact reading');
+        game.simulate({ maxTime: 2 });
+
+        const [left, right] = game.vanes;
+        runner.assertTrue(left.position.x < game.castles[0].position.x, 'On the back tower');
+        runner.assertTrue(right.position.x > game.castles[1].position.x, 'Mirrored');
+        runner.assertTrue(left.hinge.rotation.z < -1, `Flag flies downwind (${left.hinge.rotation.z})`);
+        game.dispose();
+    });
+
+    runner.test('A ball shoots the vane off and flies on; the wind is unknown without it', () => {
+        const game = humans();
+        const killed = [];
+        game.on('entityKilled', e => killed.push(e.entity));
+        const vane = game._vaneOf(0);
+
+        shootThrough(game, vane);
+        runner.assertTrue(game.projectile !== null, 'Ball still flying');
+        runner.assertEqual(killed[0], vane);
+        runner.assertEqual(game._vaneOf(0), null);
+        runner.assertEqual(game.getVisibleWind(), null);
+        runner.assertEqual(game._windText(), '?');
+
+        game.state.currentPlayer = 1;
+        runner.assertEqual(game.getVisibleWind(), game.state.wind, 'Player 2 still reads the wind');
+        game.dispose();
+    });
+
+    runner.test('A new vane can be bought, a lost one stays lost after loading', () => {
+        const game = humans({ storage: memoryStorage() });
+        game.getCurrentEconomy().gold = 1000;
+        runner.assertEqual(game.whyCannotBuy('vane'), 'You already have a wind vane');
+
+        shootThrough(game, game._vaneOf(0));
+        game.projectile.dispose();
+        game.projectile = null;
+        runner.assertTrue(game.saveGame('no-vane'));
+        runner.assertTrue(game.loadGame('no-vane'));
+        runner.assertEqual(game._vaneOf(0), null);
+        runner.assertTrue(game._vaneOf(1) !== null);
+
+        runner.assertTrue(game.buy('vane'), 'Replacement vane');
+        runner.assertTrue(game.getVisibleWind() !== null);
+        game.dispose();
+    });
+});
+
+runner.describe('Ballerburg king and capitulation', () => {
+    const baller = loadSources(BALLER_SOURCES);
+
+    const humans = (config = baller.BallerConfig) =>
+        new baller.BallerGame({ headless: true, playerTypes: ['human', 'human'], config }).setSeed(2).init();
+    const roomCenter = castle => {
+        const room = castle.getThroneRoom();
+        return new THREE.Vector3((room.minX + room.maxX) / 2, (room.minY + room.maxY) / 2, 0);
+    };
+
+    // Player 1 down to nothing: no cannons, no towers, fewer people, no gold
+    const ruin = game => {
+        game._cannonsOf(0).slice().forEach(c => game._destroyCannon(c, { cause: 'test' }));
+        Object.assign(game.state.economy[0], { gold: 0, population: 100 });
+    };
+
+    runner.test('A ball in the throne room kills the king and ends the match', () => {
+        const game = humans();
+        const log = [];
+        game.on('entityKilled', e => log.push(e.entity));
+        game.on('gameOver', e => log.push(e));
+
+        game.projectile = new baller.BaseProjectile(game.scene, roomCenter(game.castles[1]).add(new THREE.Vector3(1, 0, 0)),
+            new THREE.Vector3(-30, 0, 0), game.config);
+        game.projectile.weapon = game.config.WEAPONS[0];
+        game.step();
+        runner.assertEqual(game.projectile, null, 'Ball stopped in the throne room');
+        runner.assertEqual(log[0], game.kings[1], 'King killed first');
+        runner.assertTrue(game.kings[0].alive, 'Own king unharmed');
+        runner.assertTrue(game.state.gameOver);
+        runner.assertEqual(game.state.endReason, 'king');
+        runner.assertEqual(log[log.length - 1].winner, 1);
+        runner.assertTrue(log[log.length - 1].details.includes("king was hit"), log[log.length - 1].details);
+        runner.assertEqual(baller.BallerGame.END_CODES.king, 16);
+        game.dispose();
+    });
+
+    runner.test('Throne room is mirrored for the right castle and known to the AI', () => {
+        const config = baller.mergeConfig(baller.BallerConfig, { GAMEPLAY: { THRONE_ROOM: { x: 3 } } });
+        const game = humans(config);
+        const [left, right] = game.castles;
+        runner.assertTrue(left.isInThroneRoom(left.position.clone().add(new THREE.Vector3(3, 4, 0))));
+        runner.assertFalse(left.isInThroneRoom(left.position.clone().add(new THREE.Vector3(-3, 4, 0))));
+        runner.assertTrue(right.isInThroneRoom(right.position.clone().add(new THREE.Vector3(-3, 4, 0))));
+
+        const target = new baller.AIController(game.config)._z_kn(game._getAIGameState());
+        runner.assertNearlyEqual(target.x, roomCenter(right).x);
+        runner.assertEqual(target.type, 'king');
+        game.dispose();
+    });
+
+    runner.test('A hopeless king capitulates before his turn', () => {
+        const game = humans();
+        let result = null;
+        game.on('gameOver', payload => { result = payload; });
+        game.state.currentPlayer = 1;
+        ruin(game);
+        game._nextTurn();
+
+        runner.assertTrue(game.state.gameOver, 'Game over');
+        runner.assertEqual(game.state.endReason, 'capitulation');
+        runner.assertEqual(result.winner, 2);
+        runner.assertTrue(result.details.includes('capitulated'), result.details);
+        game.dispose();
+    });
+
+    runner.test('No capitulation while there is hope or when switched off', () => {
+        const game = humans();
+        ruin(game);
+        const tower = game._placeTower(0);
+        runner.assertFalse(game._shouldCapitulate(0), 'A mining tower still pays');
+        game._removeTower(tower);
+        runner.assertTrue(game._shouldCapitulate(0));
+        runner.assertFalse(game._shouldCapitulate(1), 'Enemy still has cannons');
+        game.dispose();
+
+        const stubborn = humans(baller.mergeConfig(baller.BallerConfig, { GAMEPLAY: { CAPITULATION: false } }));
+        ruin(stubborn);
+        runner.assertFalse(stubborn._shouldCapitulate(0));
+        stubborn.dispose();
+    });
+
+    runner.test('Capitulation weighs the people against the castle\'s own start', () => {
+        const originals = baller.CastleLoader.originals();
+        const big = originals[3];
+        const game = humans(baller.mergeConfig(baller.BallerConfig, { GAMEPLAY: { CASTLE_DESIGNS: [big, originals[0]] } }));
+        ruin(game);
+        game.state.economy[0].population = big.start.people - 10;
+        runner.assertTrue(big.start.people - 10 > game.config.GAMEPLAY.ECONOMY.START_POPULATION);
+        runner.assertTrue(game._shouldCapitulate(0), 'Fewer people than this castle started with');
+        runner.assertEqual(game._kingSituation().startPopulation, big.start.people);
+        game.dispose();
+    });
+});
+
 // ============================================================================
 // Run Tests
 // ============================================================================
@@ -1182,3 +2581,731 @@ runner.describe('TrajectoryCalculator', () => {
 runner.run().then(success => {
     process.exit(success ? 0 : 1);
 });
+
+runner.describe('Ballerburg castle files', () => {
+    const baller = loadSources(BALLER_SOURCES);
+    const originals = baller.CastleLoader.originals();
+
+    const withCastles = (designs, options = {}) => {
+        const game = new baller.BallerGame({ headless: true, playerTypes: ['human', 'human'], ...options });
+        game.useCastles(designs);
+        return game.setSeed(2).init();
+    };
+
+    runner.test('BALLER.DAT parses into six castle descriptors', () => {
+        const text = fs.readFileSync(path.join(__dirname, '..', 'baller_sources', 'BALLER.DAT'), 'latin1');
+        const castles = baller.CastleLoader.parse(text);
+        runner.assertEqual(castles.length, 6);
+        runner.assertEqual(JSON.stringify(castles), JSON.stringify(originals), 'Built-in copy matches the file');
+
+        const first = castles[0];
+        runner.assertEqual(first.width, 130);
+        runner.assertEqual(JSON.stringify(first.cannons), '[{"x":10,"y":31},{"x":70,"y":36}]');
+        runner.assertEqual(JSON.stringify(first.throne), '{"x":40,"y":1}');
+        runner.assertEqual(JSON.stringify(first.start), '{"gold":400,"powder":180,"balls":12,"people":200}');
+        runner.assertEqual(first.shapes.length, 3);
+        runner.assertEqual(first.shapes[1].pattern.join(), '2,11', 'Roof tiles');
+
+        runner.assertThrows(() => baller.CastleLoader.parse('* cut short * 130 10,31'));
+    });
+
+    runner.test('Layout converts pixels and sizes the storerooms', () => {
+        const layout = baller.CastleLoader.layout(originals[0], 0.1);
+        runner.assertNearlyEqual(layout.cannonSlots[0].x, -4.5, 0.001, 'Cannon middle from the castle centre');
+        runner.assertNearlyEqual(layout.cannonSlots[0].y, 3.1);
+        runner.assertNearlyEqual(layout.throneRoom.x, -1);
+        runner.assertNearlyEqual(layout.throneRoom.width, 3);
+        runner.assertNearlyEqual(layout.buildArea.FRONT, 8);
+        runner.assertEqual(JSON.stringify(layout.storage), '{"MAX_GOLD":900,"MAX_POWDER":180,"MAX_BALLS":12}');
+    });
+
+    runner.test('A match with original castles builds them from the data', () => {
+        const game = withCastles([originals[0], originals[4]]);
+        const [left, right] = game.castles;
+        const scale = baller.BallerConfig.GAMEPLAY.CASTLE_SCALE;
+
+        runner.assertEqual(left.cannonSlots.length, 2);
+        runner.assertEqual(right.cannonSlots.length, 3);
+        runner.assertEqual(game.cannons.length, 5, 'Every platform manned');
+        runner.assertTrue(left.parts.some(p => p.type === 'roof'));
+        runner.assertTrue(left.parts.some(p => p.type === 'throne'));
+
+        // Solid inside the outline only, mirrored for the right castle
+        runner.assertTrue(left.isSolidAt((110 - 65) * scale, 20 * scale), 'Wall');
+        runner.assertFalse(left.isSolidAt((50 - 65) * scale, 50 * scale), 'Above the sloping wall');
+        runner.assertTrue(right.isSolidAt(-(100 - 57.5) * scale, 20 * scale));
+
+        // Start values and storerooms of the castle
+        const economy = game.state.economy[1];
+        runner.assertEqual(economy.gold, 500);
+        runner.assertEqual(economy.population, 220);
+        runner.assertEqual(economy.powder, 120);
+        runner.assertEqual(right.storage.MAX_GOLD, 600);
+
+        game._nextTurn();
+        economy.gold = 1000;
+        runner.assertTrue(game.market.isFull('powder', economy, right.storage), 'Small powder chamber');
+        game._collectTaxes();
+        runner.assertEqual(economy.gold, 600, 'Treasury overflows');
+        game.dispose();
+    });
+
+    runner.test('Loaded castle files and saves keep their castles', () => {
+        const game = withCastles([null, null], { storage: memoryStorage() });
+        const text = fs.readFileSync(path.join(__dirname, '..', 'baller_sources', 'BALLER.DAT'), 'latin1');
+        const added = game.addCastles(text, 'BALLER.DAT');
+        runner.assertEqual(game.castleChoices.length, 12);
+        runner.assertEqual(added[5].name, 'BALLER.DAT: Castle 6');
+
+        game.useCastles([added[5], null]);
+        game.restart(2);
+        runner.assertTrue(game.saveGame('custom'));
+
+        game.useCastles([null, null]);
+        game.restart(2);
+        runner.assertEqual(game.castles[0].layout, null, 'Classic castle');
+        runner.assertTrue(game.loadGame('custom'));
+        runner.assertEqual(game.castles[0].cannonSlots.length, 4, 'Castle 6 is back');
+        runner.assertEqual(game.castles[1].layout, null);
+        game.dispose();
+    });
+});
+
+runner.describe('League table', () => {
+    const baller = loadSources(BALLER_SOURCES);
+    const worms = loadSources(WORMS_SOURCES);
+
+    runner.test('Results are counted like the original BALLER.TAB', () => {
+        const storage = memoryStorage();
+        const league = new baller.League(storage);
+        runner.assertTrue(league.record('Wusel', 'Dummel'));
+        runner.assertTrue(league.record('Wusel', 'Dummel'));
+        runner.assertTrue(league.record('Dummel', 'Wusel'));
+        runner.assertFalse(league.record('Hugo', 'Dummel'), 'Not on the roster');
+        runner.assertFalse(league.record('Wusel', 'Wusel'), 'Against himself');
+
+        const wusel = league.standings()[3];
+        runner.assertEqual(wusel.beat.join(), '0,2,0,0,0,0');
+        runner.assertEqual(`${wusel.games} ${wusel.won} ${wusel.lost} ${wusel.percent}`, '3 2 1 66');
+        runner.assertEqual(league.standings()[1].percent, 33);
+        runner.assertEqual(league.standings()[0].percent, null, 'No games yet');
+
+        // Kept in storage; names compare on 7 characters
+        const reopened = new baller.League(storage);
+        runner.assertEqual(reopened.standings()[3].won, 2);
+        runner.assertTrue(reopened.record('Brubbel der Große', 'Toffel'));
+
+        reopened.setNames(['Hugo', 'Emil']);
+        runner.assertEqual(reopened.names.join(), 'Hugo,Emil,Brubbel,Wusel,Brösel,Toffel');
+        runner.assertEqual(reopened.standings()[3].won, 2, 'Renaming keeps results');
+        reopened.setNames(reopened.names, true);
+        runner.assertEqual(reopened.standings()[3].games, 0, 'Cleared');
+    });
+
+    runner.test('A finished Ballerburg match is entered, a watched replay is not', () => {
+        const storage = memoryStorage();
+        const game = new baller.BallerGame({
+            headless: true, playerTypes: ['human', 'human'], playerNames: ['Wusel', 'Toffel'], storage
+        }).setSeed(2).init();
+
+        game._endGame(1, 'castle');
+        runner.assertEqual(game.league.standings()[3].won, 1, 'Wusel won');
+        runner.assertEqual(game.league.standings()[5].lost, 1);
+
+        game.playReplay();
+        game._endGame(1, 'castle');
+        runner.assertEqual(new baller.League(storage).standings()[3].games, 1, 'Replay not counted');
+        game.dispose();
+    });
+
+    runner.test('Worms teams count when their names are on the roster', () => {
+        const storage = memoryStorage();
+        const game = new worms.WormsGame({ headless: true, storage }).setSeed(2).init();
+        runner.assertEqual(game.getPlayerNames().join(), 'Red Team,Blue Team');
+        game.league.setNames(['Red Team', 'Blue Team']);
+
+        game.teams[0].forEach(worm => worm.kill());
+        game._checkVictory();
+        runner.assertTrue(game.state.gameOver);
+        runner.assertEqual(game.league.standings()[1].won, 1, 'Blue Team won');
+        runner.assertEqual(game.league.standings()[0].lost, 1);
+        game.dispose();
+    });
+});
+
+runner.describe('Ballerburg round limit', () => {
+    const baller = loadSources(BALLER_SOURCES);
+
+    const humans = (rounds, options = {}) => {
+        const game = new baller.BallerGame({ headless: true, playerTypes: ['human', 'human'], ...options });
+        game.useMaxRounds(rounds);
+        return game.setSeed(2).init();
+    };
+
+    runner.test('A position is valued at market prices like the original', () => {
+        const game = humans(0);
+        const price = id => game.state.prices[game.market.indexOf(id)];
+        Object.assign(game.state.economy[0], { gold: 300, powder: 45, balls: 3, population: 150 });
+        game._placeTower(0);
+
+        const score = game.scorePosition(0);
+        runner.assertEqual(score.powder, Math.trunc(45 * price('powder') / 30));
+        runner.assertEqual(score.balls, Math.trunc(3 * price('balls') / 2));
+        runner.assertEqual(score.vane, price('vane'));
+        runner.assertEqual(score.people, 600);
+        runner.assertEqual(score.towers, price('tower'));
+        runner.assertEqual(score.cannons, 2 * price('cannon'));
+        runner.assertEqual(score.total, 300 + score.powder + score.balls + score.vane + 600 +
+            score.towers + score.cannons);
+
+        game._destroyVane(game._vaneOf(0));
+        runner.assertEqual(game.scorePosition(0).vane, 0, 'No vane, nothing for it');
+        game.dispose();
+    });
+
+    runner.test('After the last round the better position wins (code 64)', () => {
+        const storage = memoryStorage();
+        const game = humans(2, { storage });
+        const over = [];
+        game.on('gameOver', e => over.push(e));
+
+        // Three turns played: one and a half rounds
+        for (let i = 0; i < 3; i++) game._nextTurn();
+        runner.assertFalse(game.state.gameOver);
+        runner.assertEqual(game.state.turn, 4);
+
+        game.state.economy[1].gold += 1000;
+        game._nextTurn();
+        runner.assertTrue(game.state.gameOver, 'Two rounds played');
+        runner.assertEqual(game.state.endReason, 'rounds');
+        runner.assertEqual(baller.BallerGame.END_CODES.rounds, 64);
+        runner.assertEqual(over[0].winner, 2, 'Player 2 is richer');
+        runner.assertTrue(over[0].details.includes('Player 1 is in the worse position'));
+        runner.assertTrue(game.state.scores[1].total > game.state.scores[0].total);
+
+        // The limit is part of a save
+        game.useMaxRounds(0);
+        game.restart(2);
+        game.saves.save('limited', game.createSnapshot());
+        game.useMaxRounds(7);
+        game.restart(2);
+        game.restoreSnapshot(game.saves.load('limited'));
+        runner.assertEqual(game.config.GAMEPLAY.MAX_ROUNDS, 0);
+        game.dispose();
+    });
+});
+
+runner.describe("Ballerburg king's audience", () => {
+    const baller = loadSources(BALLER_SOURCES);
+
+    // Hands out the given numbers in turn, each reduced to the asked range
+    const scriptedRng = (...values) => ({ int: max => values.shift() % max });
+    const situation = overrides => ({
+        gold: 500, tax: 20, population: 200, startGold: 500, startPopulation: 200,
+        towers: 0, cannons: 2, vane: true, towerPrice: 300, cannonPrice: 350, turn: 10, ...overrides
+    });
+
+    runner.test('The remarks follow the original rules', () => {
+        const advisor = new baller.KingAdvisor();
+        const record = advisor.createRecord();
+        const remarks = (s, rng) => advisor.candidates(record, s, rng).join(' ');
+
+        runner.assertEqual(remarks(situation(), scriptedRng(0, 1)), 'kn10 kn6 kn5');
+        runner.assertEqual(remarks(situation({ gold: 100, tax: 75, vane: false, cannons: 0 }),
+            scriptedRng(7, 1)), 'kn0 kn12 kn14 kn3 kn9 kn4');
+
+        // Doing well: praise instead of the second remark, and towers are noticed
+        runner.assertEqual(remarks(situation({ gold: 900, population: 250, towers: 3 }),
+            scriptedRng(0, 1)), 'kn10 kn2 kn2');
+
+        // Regular visitors are told off, early on there is little to say
+        record.streak = 7;
+        record.visits = 20;
+        runner.assertEqual(remarks(situation({ gold: 0 }), scriptedRng(0, 1)),
+            'kn10 kn6 kn7 kn7 kn7 kn8 kn8');
+        runner.assertEqual(remarks(situation({ turn: 3 }), scriptedRng(1, 1)),
+            'kn0 kn11 kn11 kn11');
+    });
+
+    runner.test('Once a turn, never the same remark twice in a row', () => {
+        const advisor = new baller.KingAdvisor();
+        const record = advisor.createRecord();
+        const early = situation({ turn: 0 });
+
+        runner.assertEqual(advisor.consult(record, early, scriptedRng(1, 1, 1, 1)).key, 'kn11');
+        runner.assertEqual(advisor.consult(record, early, scriptedRng(1)).key, 'refused', 'Already seen this turn');
+        runner.assertEqual(record.visits, 2, 'A refusal counts as a visit');
+        runner.assertEqual(record.streak, 2);
+
+        // The same remark again brings "nothing new" into play
+        advisor.endTurn(record);
+        runner.assertEqual(advisor.consult(record, early, scriptedRng(1, 1, 1, 1, 4)).key, 'kn13');
+        runner.assertEqual(record.streak, 3);
+
+        // A turn without a visit breaks the streak
+        advisor.endTurn(record);
+        advisor.endTurn(record);
+        runner.assertEqual(record.streak, 0);
+        runner.assertEqual(advisor.consult(record, early, scriptedRng(0)).key, 'refused', 'One in twenty');
+    });
+
+    runner.test('The king answers in the chosen language', () => {
+        const game = new baller.BallerGame({ headless: true, playerTypes: ['human', 'human'], language: 'de' })
+            .setSeed(3).init();
+        const text = game.consultKing();
+        runner.assertTrue(Object.values(baller.BallerStrings.de.king).includes(text), text);
+        runner.assertEqual(game.state.audiences[0].visits, 1);
+        runner.assertEqual(game.consultKing(), 'Der König hat keine Lust, dich zu sprechen.');
+
+        game._nextTurn();
+        runner.assertFalse(game.state.audiences[0].visited, 'Next turn, the door is open again');
+        runner.assertEqual(baller.BallerStrings.get('king.kn8', 'en', { count: 9 }),
+            'Do you know you have already visited me 9 times?');
+        runner.assertEqual(baller.BallerStrings.get('king.kn8', 'fr', { count: 9 }),
+            'Do you know you have already visited me 9 times?', 'Missing languages fall back to English');
+        game.dispose();
+    });
+});
+
+runner.describe('Ballerburg classic view', () => {
+    const baller = loadSources(BALLER_SOURCES);
+    const shortBaller = baller.mergeConfig(baller.BallerConfig, { GAMEPLAY: { CASTLE_HEALTH: 10 } });
+
+    runner.test('A locked side view at the original 640x400 aspect', () => {
+        const game = new baller.BallerGame({ headless: true, playerTypes: ['human', 'human'] }).setSeed(1).init();
+        const view = game.classicView;
+        const camera = view.camera;
+        runner.assertEqual((camera.right - camera.left) / (camera.top - camera.bottom), 640 / 400);
+        runner.assertEqual(camera.right - camera.left, game.config.TERRAIN.WIDTH, 'The whole field is on screen');
+
+        runner.assertEqual(game._viewCamera(), game.camera);
+        game.toggleClassicView();
+        runner.assertTrue(view.active);
+        runner.assertEqual(game._viewCamera(), camera);
+
+        // Whole pixels when the window is big enough, centred
+        const box = view.letterbox(1920, 1080);
+        runner.assertEqual(`${box.left},${box.top},${box.width},${box.height}`, '320,140,1280,800');
+        runner.assertEqual(view.letterbox(320, 400).width, 320, 'Shrunk to fit a small window');
+
+        const centre = view.pointer(960, 540, 1920, 1080);
+        runner.assertEqual(`${centre.x},${centre.y}`, '0,0');
+        runner.assertEqual(view.pointer(100, 540, 1920, 1080), null, 'Outside the screen');
+        game.dispose();
+    });
+
+    runner.test('Colours become dithered grey levels', () => {
+        const view = new baller.ClassicView(baller.BallerConfig.CLASSIC_VIEW);
+        const rgb = hex => ({ r: (hex >> 16) / 255, g: ((hex >> 8) & 255) / 255, b: (hex & 255) / 255 });
+        runner.assertEqual(baller.ClassicView.tone(rgb(0x000000), 5), 0);
+        runner.assertEqual(baller.ClassicView.tone(rgb(0xFFFFFF), 5), 1);
+        runner.assertEqual(baller.ClassicView.tone(rgb(0x808080), 5), 0.5);
+        runner.assertEqual(baller.ClassicView.tone(rgb(baller.BallerConfig.COLORS.TERRAIN), 5), 0.25);
+
+        // Materials of the same tone share a dither material
+        const stone = view.materialFor({ visible: true, color: rgb(0x888888), side: 0 });
+        runner.assertEqual(view.materialFor({ visible: true, color: rgb(0x7F7F7F), side: 0 }), stone);
+        runner.assertEqual(stone.uniforms.tone.value, 0.5);
+        const smoke = view.materialFor({ visible: true, color: rgb(0x888888), side: 0, transparent: true, opacity: 0.5 });
+        runner.assertTrue(smoke !== stone, 'See-through materials get a pixel screen');
+        runner.assertEqual(smoke.uniforms.opacity.value, 0.5);
+        view.dispose();
+    });
+
+    runner.test('Switching views mid-match does not change the match', () => {
+        const play = switchViews => {
+            const game = new baller.BallerGame({ headless: true, playerTypes: ['ai', 'ai'], config: shortBaller })
+                .setSeed('views').init();
+            game.simulate({ until: () => game.state.turn >= 3, maxTime: 3600 });
+            if (switchViews) game.toggleClassicView();
+            game.simulate({ until: () => game.state.turn >= 5, maxTime: 3600 });
+            if (switchViews) game.toggleClassicView();
+            const steps = game.simulate({ until: () => game.state.gameOver, maxTime: 3600 });
+            const result = `${steps}:${game.state.turn}:${game.castles.map(c => c.health.toFixed(6)).join('/')}`;
+            game.dispose();
+            return result;
+        };
+        runner.assertEqual(play(true), play(false));
+    });
+});
+
+runner.describe('Ballerburg music', () => {
+    const baller = loadSources(BALLER_SOURCES);
+    const MusicFile = baller.MusicFile;
+
+    // A note word: tone on at volume 12, note 28 (C)
+    const C = 0x1C70;
+
+    runner.test('BALLER.MUS parses like m_laden()', () => {
+        const file = fs.readFileSync(path.join(__dirname, '..', 'baller_sources', 'BALLER.MUS'));
+        const song = MusicFile.parse(new Uint8Array(file));
+        runner.assertEqual(JSON.stringify(MusicFile.original()), JSON.stringify(song), 'Embedded copy matches the file');
+        runner.assertEqual(song.tempo, 1040);
+        runner.assertFalse(song.waltz);
+        runner.assertEqual(song.list.length, 29 * 4);
+        runner.assertEqual(song.bars.length, 25);
+        runner.assertEqual(song.bars[0][0], C);
+        runner.assertThrows(() => MusicFile.parse(new Uint8Array(file.subarray(0, 3000))));
+    });
+
+    runner.test('The list plays like m_musik()', () => {
+        const steps = MusicFile.sequence(MusicFile.original());
+        runner.assertEqual(steps.length, 20 * 96, 'Twenty rows, the first four of them repeated');
+        runner.assertEqual(steps[0].seconds, 0.0208);
+
+        // Bar 0 an octave down (transposed by -12): middle C
+        const first = steps[0].voices[0];
+        runner.assertEqual(`${first.period},${first.tone},${first.noise},${first.volume}`, '478,true,false,12');
+        runner.assertEqual(steps[0].voices[1].volume, 0, 'Silent voice');
+
+        // Tempo, a call, and a repeat left after its third pass
+        const song = {
+            tempo: 1000,
+            barLength: 2,
+            bars: [[C, C]],
+            list: [-4, 150, 0, 0, -8, 4, 0, 0, -1, 0, 0, 0,
+                -5, 0, 0, 0, -1000, 0, -1000, -1000, -6, 2, 0, 0, -7, 0, 0, 0, -1, 0, 0, 0]
+        };
+        const short = MusicFile.sequence(song);
+        runner.assertEqual(short.length, 6);
+        runner.assertEqual(short[0].seconds, 0.03);
+
+        song.list = [-5, 0, 0, 0, -7, 0, 0, 0];
+        runner.assertThrows(() => MusicFile.sequence(song), 'A repeat without exit never ends');
+    });
+
+    runner.test('The tune renders offline to PCM samples', () => {
+        const synth = new baller.ChipSynth();
+        const note = { period: 478, tone: true, noise: false, volume: 15 };
+        const samples = synth.render([
+            { seconds: 0.5, noise: 0, voices: [note, { ...note, volume: 0 }, { ...note, tone: false }] },
+            { seconds: 0.5, noise: 0, voices: [{ ...note, volume: 0 }, { ...note, volume: 0 }, { ...note, tone: false }] }
+        ], 8000);
+        runner.assertEqual(samples.length, 8000);
+
+        // 125 kHz / 478 = 261.5 Hz: two sign changes per cycle
+        let changes = 0;
+        for (let i = 1; i < 4000; i++) changes += Math.sign(samples[i]) !== Math.sign(samples[i - 1]);
+        runner.assertNearlyEqual(changes, 261, 3);
+        runner.assertTrue(samples.slice(4000).every(s => s === 0), 'Silence');
+
+        const tune = synth.render(MusicFile.sequence(MusicFile.original()), 4000);
+        runner.assertEqual(tune.length, Math.round(39.936 * 4000));
+        runner.assertTrue(tune.every(s => Math.abs(s) <= 1));
+        runner.assertTrue(tune.some(s => s !== 0));
+        runner.assertFalse(synth.play([]), 'No Web Audio in tests');
+    });
+});
+
+// --- Ballerburg Hit Zone Tests ---
+runner.describe('Ballerburg hit zones', () => {
+    const baller = loadSources(BALLER_SOURCES);
+    const humans = (designs = [null, null]) => {
+        const game = new baller.BallerGame({ headless: true, playerTypes: ['human', 'human'] });
+        game.useCastles(designs);
+        return game.setSeed(3).init();
+    };
+    const middle = box => new THREE.Vector3((box.minX + box.maxX) / 2, (box.minY + box.maxY) / 2, 0);
+    const weapon = () => ({ name: 'Test', damage: 0, radius: 1 });
+
+    runner.test('Chamber hits cost gold and balls, the powder goes up', () => {
+        const game = humans();
+        const castle = game.castles[1];
+        const economy = game.state.economy[1];
+        economy.gold = 150;
+        economy.balls = 12;
+        economy.powder = 180;
+
+        const zones = castle.hitZonesAt(middle(castle.getChamber('gold')));
+        runner.assertEqual(zones.map(z => z.type).join(), 'gold,walls');
+        game._applyHitZones(castle, middle(castle.getChamber('gold')), weapon());
+        runner.assertEqual(economy.gold, 0, 'At most 200, never below nothing');
+
+        game._applyHitZones(castle, middle(castle.getChamber('balls')), weapon());
+        runner.assertEqual(economy.balls, 10);
+        runner.assertEqual(economy.powder, 180, 'Other stores untouched');
+
+        const health = castle.health;
+        game._applyHitZones(castle, middle(castle.getChamber('powder')), weapon());
+        runner.assertEqual(economy.powder, 0);
+        runner.assertTrue(castle.health < health, 'The blast damages the castle');
+
+        const again = castle.health;
+        game._applyHitZones(castle, middle(castle.getChamber('powder')), weapon());
+        runner.assertEqual(castle.health, again, 'An empty powder store has nothing to blow up');
+        runner.assertEqual(game.state.economy[0].gold, game.config.GAMEPLAY.ECONOMY.START_GOLD, 'Other castle untouched');
+        game.dispose();
+    });
+
+    runner.test('Hits over the castle kill people, misses beside it do not', () => {
+        const game = humans();
+        const castle = game.castles[0];
+        const economy = game.state.economy[0];
+        const start = economy.population;
+        const wall = castle.position.clone().add(new THREE.Vector3(0, 12, 0));
+        const beside = castle.position.clone().add(new THREE.Vector3(game.config.GAMEPLAY.HIT_ZONES.WIDTH, 0, 0));
+
+        runner.assertEqual(castle.hitZonesAt(wall).map(z => z.type).join(), 'walls');
+        runner.assertEqual(castle.hitZonesAt(beside).length, 0);
+
+        game._applyHitZones(castle, beside, weapon());
+        runner.assertEqual(economy.population, start);
+
+        const losses = [];
+        for (let i = 0; i < 20; i++) {
+            const before = economy.population;
+            game._applyHitZones(castle, wall, weapon());
+            losses.push(before - economy.population);
+        }
+        runner.assertTrue(losses.every(n => n >= 0 && n <= 4), 'A coin toss per roll');
+        runner.assertTrue(losses.some(n => n > 0) && losses.some(n => n < 4));
+
+        economy.population = 1;
+        while (economy.population > 0) game._applyHitZones(castle, wall, weapon());
+        game._checkVictory();
+        runner.assertEqual(game.state.endReason, 'people');
+        game.dispose();
+    });
+
+    runner.test('Castle damage goes where the hit zones say', () => {
+        const game = humans();
+        const castle = game.castles[0];
+        const share = game.config.GAMEPLAY.HIT_ZONES.HEALTH_SHARE;
+        const part = castle.parts.find(p => p.box && p.maxHealth > 10);
+        const spot = castle.position.clone().add(new THREE.Vector3(
+            (part.box.minX + part.box.maxX) / 2, (part.box.minY + part.box.maxY) / 2, 0));
+        runner.assertTrue(castle.partAt(spot.x - castle.position.x, spot.y - castle.position.y) === part);
+
+        castle.takeDamage(10, spot);
+        runner.assertEqual(part.health, part.maxHealth - 10, 'The masonry hit takes it all');
+        runner.assertNearlyEqual(castle.health, castle.maxHealth - 10 * share, 1e-9);
+
+        const others = castle.parts.map(p => p.health);
+        const beside = castle.position.clone().add(new THREE.Vector3(-game.config.GAMEPLAY.HIT_ZONES.WIDTH, 2, 0));
+        runner.assertEqual(castle.hitZonesAt(beside).length, 0);
+        castle.takeDamage(10, beside);
+        runner.assertEqual(castle.parts.map(p => p.health).join(), others.join(), 'Masonry untouched');
+        runner.assertNearlyEqual(castle.health, castle.maxHealth - 20 * share, 1e-9);
+        game.dispose();
+    });
+
+    runner.test('Original castles bring their own chambers', () => {
+        const originals = baller.CastleLoader.originals();
+        const layout = baller.CastleLoader.layout(originals[0], 0.1);
+        const gold = originals[0].gold;
+        runner.assertNearlyEqual(layout.chambers.gold.x, (gold.x + gold.width / 2 - 65) * 0.1, 0.001);
+        runner.assertNearlyEqual(layout.chambers.gold.y, gold.y * 0.1, 0.001);
+        runner.assertNearlyEqual(layout.chambers.gold.height, gold.height * 0.1, 0.001);
+
+        const game = humans([originals[0], originals[0]]);
+        const right = game.castles[1];
+        const box = right.getChamber('balls');
+        runner.assertTrue(box.minX > right.position.x - right.span / 2 && box.maxX < right.position.x + right.span / 2,
+            'Mirrored into the right castle');
+        game.state.economy[1].balls = 1;
+        game._applyHitZones(right, middle(box), weapon());
+        runner.assertEqual(game.state.economy[1].balls, 0);
+        game.dispose();
+    });
+});
+
+// --- Worms Weapon Tests ---
+runner.describe('Worms weapons', () => {
+    const worms = loadSources(WORMS_SOURCES);
+    const SHOTGUN = 2;
+    const DYNAMITE = 3;
+    const AIR_STRIKE = 4;
+
+    const humans = () => new worms.WormsGame({ headless: true, teamTypes: ['human', 'human'] }).setSeed(3).init();
+    const pullTrigger = game => {
+        game.state.phase = 'aim';
+        game._startCharge();
+        game._fire();
+    };
+
+    runner.test('The shotgun hits the first worm along its ray, twice a turn', () => {
+        const game = humans();
+        const shooter = game.getCurrentWorm();
+        const [near, far] = game.teams[1];
+        shooter.setPosition(0, 40, 0);
+        near.setPosition(10, 40, 5);
+        far.setPosition(20, 40, 0);
+        shooter.face(1);
+        shooter.setAim(0);
+        game._selectWeapon(SHOTGUN);
+        const ammo = game.state.ammo[SHOTGUN];
+
+        pullTrigger(game);
+        runner.assertEqual(near.health, near.maxHealth - game.config.WEAPONS[SHOTGUN].damage, 'Depth does not count');
+        runner.assertEqual(far.health, far.maxHealth, 'Shielded by the first worm');
+        runner.assertTrue(near.velocity.x > 0 && near.velocity.y > 0, 'Knocked back');
+        runner.assertEqual(game.state.phase, 'aim', 'One more shot');
+        runner.assertEqual(game.state.ammo[SHOTGUN], ammo - 1);
+
+        game._selectWeapon(0);
+        runner.assertEqual(game.state.currentWeapon, SHOTGUN, 'No switching between shots');
+        shooter.setAim(90);
+        pullTrigger(game);
+        runner.assertEqual(game.state.ammo[SHOTGUN], ammo - 1, 'Both shots for one round of ammo');
+        runner.assertEqual(game.state.phase, 'wait');
+        runner.assertEqual(game.projectile, null, 'Nothing in flight');
+
+        game.simulate({ until: () => game.state.currentTeam === 1, maxTime: 5 });
+        runner.assertEqual(game.state.currentTeam, 1, 'Turn over after the second shot');
+        runner.assertEqual(game.state.shotsLeft, 0);
+        game.dispose();
+    });
+
+    runner.test('A shot into the ground chips it, one into the sky hits nothing', () => {
+        const game = humans();
+        const shooter = game.getCurrentWorm();
+        const weapon = game.config.WEAPONS[SHOTGUN];
+        const impacts = [];
+        game.on('impact', e => impacts.push(e));
+
+        const above = new THREE.Vector3(-30, 40, 0);
+        const ground = game.terrain.getHeight(-30, 0);
+        const hit = game._traceShot(above, new THREE.Vector3(0, -1, 0), 100, shooter);
+        runner.assertTrue(hit.ground);
+        runner.assertTrue(hit.point.y <= ground && hit.point.y > ground - 0.5, 'Stops at the surface');
+
+        game._fireHitscan(shooter, { weapon, power: 0 }, above, new THREE.Vector3(0, -1, 0));
+        runner.assertTrue(game.terrain.getHeight(-30, 0) < ground, 'Chipped');
+
+        const sky = game._traceShot(above, new THREE.Vector3(0, 1, 0), weapon.range, shooter);
+        runner.assertFalse(sky.ground);
+        runner.assertEqual(sky.worm, null);
+        runner.assertTrue(sky.point.y > 40 + weapon.range - 1, 'Flew its whole range');
+        runner.assertFalse(impacts[0].outOfBounds);
+        runner.assertEqual(impacts[0].energy, 0, 'Same payload as a projectile impact');
+        game.dispose();
+    });
+
+    runner.test('Dynamite is put down, the worm runs, then it goes off', () => {
+        const game = humans();
+        const worm = game.getCurrentWorm();
+        const weapon = game.config.WEAPONS[DYNAMITE];
+        const victim = game.teams[1][0];
+        victim.setPosition(worm.position.x + 3, worm.position.y, worm.position.z);
+        game._selectWeapon(DYNAMITE);
+        pullTrigger(game);
+
+        const charge = game.projectile;
+        runner.assertTrue(charge instanceof worms.PlacedProjectile);
+        runner.assertNearlyEqual(charge.position.y, game.terrain.getHeight(worm.position.x, worm.position.z), 1e-9, 'At its feet');
+        runner.assertEqual(game.state.phase, 'move', 'Free to run');
+        runner.assertEqual(game.state.retreat, weapon.retreat);
+
+        // Running away, not shooting again
+        const ammo = game.state.ammo.slice();
+        game._onKeyDown({ key: '1' });
+        runner.assertEqual(game.state.currentWeapon, DYNAMITE, 'No switching while running');
+        game._onKeyDown({ key: ' ' });
+        game._onKeyDown({ key: ' ' });
+        game._onKeyUp({ key: ' ' });
+        game._selectWeapon(AIR_STRIKE);
+        runner.assertFalse(game._callAirStrike({ x: 0, z: 0 }));
+        runner.assertTrue(game.projectiles.length === 1 && game.projectile === charge, 'Only the charge');
+        runner.assertEqual(game.state.ammo.join(), ammo.join());
+        runner.assertFalse(game.state.charging);
+
+        game.simulate({ until: () => game.state.phase === 'wait', maxTime: 10 });
+        runner.assertNearlyEqual(charge.elapsed, weapon.retreat, 0.05, 'Control ends after the retreat');
+        runner.assertTrue(game.projectile === charge, 'Still ticking');
+        runner.assertNearlyEqual(charge.remaining, weapon.timer - weapon.retreat, 0.05);
+
+        game.simulate({ until: () => !game.projectile, maxTime: 10 });
+        runner.assertNearlyEqual(charge.elapsed, weapon.timer, 0.05);
+        runner.assertTrue(victim.health < victim.maxHealth, 'Caught in the blast');
+        game.simulate({ until: () => game.state.currentTeam === 1, maxTime: 5 });
+        runner.assertEqual(game.state.currentTeam, 1);
+        game.dispose();
+    });
+
+    runner.test('A placed charge drops when the ground under it is blown away', () => {
+        const game = humans();
+        const spot = new THREE.Vector3(-20, game.terrain.getHeight(-20, 0), 0);
+        const charge = new worms.PlacedProjectile(game.scene, spot, game.config, { timer: 5 });
+        charge.update(game.fixedStep, game.terrain);
+        runner.assertNearlyEqual(charge.position.y, spot.y, 1e-9, 'Lies still');
+
+        game.terrain.damage(spot, 4);
+        const ground = game.terrain.getHeight(-20, 0);
+        runner.assertTrue(ground < spot.y);
+        for (let i = 0; i < 120; i++) charge.update(game.fixedStep, game.terrain);
+        runner.assertNearlyEqual(charge.position.y, ground, 1e-9, 'Rests on the new ground');
+        runner.assertTrue(charge.isActive());
+        charge.dispose();
+        game.dispose();
+    });
+
+    runner.test('An air strike bombs a row across the target and the turn waits for every bomb', () => {
+        const game = humans();
+        const worm = game.getCurrentWorm();
+        const weapon = game.config.WEAPONS[AIR_STRIKE];
+        const strike = game.config.GAMEPLAY.AIR_STRIKE;
+        const flow = [];
+        game.on('impact', () => flow.push('impact'));
+        game.on('turnEnd', () => flow.push('turnEnd'));
+
+        game._selectWeapon(AIR_STRIKE);
+        game._onKeyDown({ key: 'Enter' });
+        game._onKeyDown({ key: 'ArrowRight' });
+        game._onKeyDown({ key: 'ArrowRight' });
+        const target = game.state.target;
+        runner.assertNearlyEqual(target.x, worm.position.x + worm.facing * strike.CURSOR_START + 2 * strike.CURSOR_STEP, 1e-9);
+        runner.assertNearlyEqual(worm.position.x, game.getCurrentWorm().position.x, 1e-9, 'The worm stays put');
+
+        pullTrigger(game);
+        runner.assertEqual(game.projectiles.length, weapon.bombs);
+        game.projectiles.forEach((bomb, i) => {
+            runner.assertNearlyEqual(bomb.position.x, target.x + (i - 2) * weapon.spacing, 1e-9);
+            runner.assertEqual(bomb.position.y, strike.HEIGHT, 'Let go above the map');
+            runner.assertTrue(bomb.weapon === weapon);
+        });
+        runner.assertEqual(game.state.ammo[AIR_STRIKE], 0);
+        runner.assertEqual(game.replay.events.find(e => e.type === 'fire').target, target, 'Target recorded');
+
+        game.simulate({ until: () => game.state.currentTeam === 1, maxTime: 15 });
+        runner.assertEqual(game.state.currentTeam, 1);
+        runner.assertEqual(flow.join(), 'impact,impact,impact,impact,impact,turnEnd', 'Every bomb lands before the turn ends');
+        runner.assertEqual(game.projectiles.length, 0);
+        game.dispose();
+    });
+
+    runner.test('Calling an air strike without ammo leaves the turn as it was', () => {
+        const game = humans();
+        game._selectWeapon(AIR_STRIKE);
+        game.state.ammo[AIR_STRIKE] = 0;
+
+        runner.assertFalse(game._callAirStrike({ x: 10, z: 0 }));
+        runner.assertEqual(game.state.phase, 'move');
+        runner.assertEqual(game.state.target, null);
+        runner.assertFalse(game.state.charging);
+        runner.assertEqual(game.projectile, null);
+
+        game.state.ammo[AIR_STRIKE] = 1;
+        runner.assertTrue(game._callAirStrike({ x: 10, z: 0 }));
+        runner.assertEqual(game.projectiles.length, game.config.WEAPONS[AIR_STRIKE].bombs);
+        runner.assertNearlyEqual(game.projectiles[2].position.x, 10, 1e-9, 'Centred on the click');
+        game.dispose();
+    });
+
+    runner.test('Air strike bombs drift with the wind', () => {
+        const game = humans();
+        const weapon = game.config.WEAPONS[AIR_STRIKE];
+        const landing = wind => game._dropBombs(weapon, { x: 0, z: 0 }).map(bomb => {
+            while (bomb.update(game.fixedStep, game.terrain, wind));
+            bomb.dispose();
+            return bomb.position.x;
+        });
+
+        const still = landing({ strength: 0, direction: 1 });
+        const windy = landing({ strength: 10, direction: 1 });
+        still.forEach((x, i) => {
+            runner.assertNearlyEqual(x, (i - 2) * weapon.spacing, 1e-6, 'Straight down in still air');
+            runner.assertTrue(windy[i] > x + 1, 'Carried downwind');
+        });
+        game.dispose();
+    });
+});